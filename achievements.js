@@ -0,0 +1,96 @@
+/**
+ * File Purpose: Achievement (badge) rules for Midnight Vault players
+ * High-Level Summary: Badges are defined in the active pack's `achievements` list; each definition names
+ *                     a rule that is checked against a fresh solve to decide whether the player earns it
+ * Dependencies: ./puzzles.js
+ * Semantic Tags: achievements, badges, players, packs
+ * Version: 1.0.0
+ */
+
+const puzzles = require('./puzzles');
+
+// Achievement rules and the definition fields they read:
+//   firstInBranch  - the first solve anyone made in a branch (`branch`, or any branch)
+//   branchComplete - the player has personally completed a branch (`branch`, or any branch)
+//   allPuzzles     - the player has solved every step of every branch
+//   puzzle         - the player solved puzzle `puzzleId`
+//   lightning      - solved within `minutes` of the step unlocking
+//   timeOfDay      - solved between `fromHour` and `toHour` (24h in the event's timezone, may wrap past midnight)
+//   solveCount     - the player has solved at least `count` puzzles
+const RULES = {
+  firstInBranch: (def, solve) => solve.isFirst
+    && (!def.branch || def.branch === solve.puzzle.branch)
+    && puzzles.getPuzzlesByBranch(solve.puzzle.branch)
+      .every(p => p.id === solve.puzzle.id || !solve.globalSolvedIds.includes(p.id)),
+  branchComplete: (def, solve) => (!def.branch || def.branch === solve.puzzle.branch)
+    && hasCompletedBranch(solve.puzzle.branch, solve.solvedIds),
+  allPuzzles: (def, solve) => puzzles.getScoredPuzzles().every(p => solve.solvedIds.includes(p.id)),
+  puzzle: (def, solve) => solve.puzzle.id === def.puzzleId,
+  lightning: (def, solve) => solve.minutesSinceUnlock !== null && solve.minutesSinceUnlock <= def.minutes,
+  timeOfDay: (def, solve) => {
+    const hour = solve.hour;
+    return def.fromHour <= def.toHour
+      ? hour >= def.fromHour && hour < def.toHour
+      : hour >= def.fromHour || hour < def.toHour;
+  },
+  solveCount: (def, solve) => solve.solvedIds.length >= def.count
+};
+
+const RULE_NAMES = Object.keys(RULES);
+
+/**
+ * Whether a player's own solves complete a scored branch. A sequential branch
+ * completes for everyone on its final step, so here every step must be theirs.
+ * @param {string} branch - Branch letter
+ * @param {number[]} solvedIds - Puzzles the player has solved
+ * @returns {boolean}
+ */
+function hasCompletedBranch(branch, solvedIds) {
+  if (!puzzles.BRANCH_ORDER.includes(branch)) return false;
+  if (puzzles.getBranchMode(branch) === 'sequential') {
+    return puzzles.getPuzzlesByBranch(branch).every(p => solvedIds.includes(p.id));
+  }
+  return puzzles.isBranchComplete(branch, solvedIds);
+}
+
+/**
+ * Achievement definitions from the active pack
+ * @returns {object[]} - [{ id, name, icon, description, rule, ... }]
+ */
+function getAchievements() {
+  return puzzles.getPack().achievements || [];
+}
+
+/**
+ * Get an achievement definition by id
+ * @param {string} id
+ * @returns {object|undefined}
+ */
+function getAchievement(id) {
+  return getAchievements().find(a => a.id === id);
+}
+
+/**
+ * Achievements a fresh solve earns, skipping ones the player already has
+ * @param {object} solve
+ * @param {object} solve.puzzle - The puzzle just solved
+ * @param {boolean} solve.isFirst - First solve of the puzzle by anyone
+ * @param {number[]} solve.solvedIds - Every puzzle the player has solved, this one included
+ * @param {number[]} solve.globalSolvedIds - Every puzzle anyone has solved, this one included
+ * @param {number|null} solve.minutesSinceUnlock - Minutes from the step unlocking (null if unknown)
+ * @param {number} solve.hour - Hour of the day the solve was made (0-23)
+ * @param {string[]} earnedIds - Achievement ids the player already has
+ * @returns {object[]} - Newly earned definitions
+ */
+function checkSolve(solve, earnedIds) {
+  return getAchievements().filter(def =>
+    !earnedIds.includes(def.id) && RULES[def.rule] && RULES[def.rule](def, solve)
+  );
+}
+
+module.exports = {
+  RULE_NAMES,
+  getAchievements,
+  getAchievement,
+  checkSolve
+};
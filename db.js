@@ -1,14 +1,13 @@
 /**
  * File Purpose: SQLite database operations for Midnight Vault (parallel branches)
- * High-Level Summary: Manages participants, solves, global keys, and branch state
- * Dependencies: better-sqlite3
- * Semantic Tags: database, storage, branches
- * Version: 2.0.0
+ * High-Level Summary: Manages participants, solves, global keys, and branch state for the current event
+ * Dependencies: ./events.js (one SQLite file per event)
+ * Semantic Tags: database, storage, branches, events
+ * Version: 2.1.0
  */
 
-const Database = require('better-sqlite3');
-const path = require('path');
 const crypto = require('crypto');
+const events = require('./events');
 
 // Fun adjectives and nouns for random nicknames
 const ADJECTIVES = [
@@ -20,17 +19,42 @@ const NOUNS = [
   'Falcon', 'Phoenix', 'Dragon', 'Unicorn', 'Tiger', 'Bear', 'Wolf', 'Eagle'
 ];
 
-const db = new Database(path.join(__dirname, 'midnight_vault.db'));
-db.pragma('journal_mode = WAL');
+const initialized = new WeakSet();
+
+/**
+ * Database of the event being served, creating tables and seeding the
+ * hub's permutation key from the event's pack on first use
+ */
+function conn() {
+  const event = events.currentEvent();
+  if (!initialized.has(event.db)) {
+    initialized.add(event.db);
+    initSchema(event.db);
+    event.db.prepare('INSERT OR IGNORE INTO global_values (name, value) VALUES (?, ?)')
+      .run('perm', event.pack.meta.permutationKey);
+  }
+  return event.db;
+}
 
 /**
  * Initialize database schema
  */
-function initSchema() {
+function initSchema(db) {
   db.exec(`
+    CREATE TABLE IF NOT EXISTS teams (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      join_code TEXT NOT NULL UNIQUE,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
     CREATE TABLE IF NOT EXISTS participants (
       id TEXT PRIMARY KEY,
       nickname TEXT NOT NULL,
+      team_id INTEGER REFERENCES teams(id),
+      recovery_code TEXT,
+      signed_session_at TEXT,
+      status TEXT NOT NULL DEFAULT 'active',
       created_at TEXT NOT NULL DEFAULT (datetime('now'))
     );
 
@@ -38,6 +62,47 @@ function initSchema() {
       participant_id TEXT NOT NULL,
       puzzle_id INTEGER NOT NULL,
       solved_at TEXT NOT NULL DEFAULT (datetime('now')),
+      points INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (participant_id, puzzle_id),
+      FOREIGN KEY (participant_id) REFERENCES participants(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS achievements (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      participant_id TEXT NOT NULL,
+      achievement_id TEXT NOT NULL,
+      puzzle_id INTEGER,
+      earned_at TEXT NOT NULL DEFAULT (datetime('now')),
+      UNIQUE (participant_id, achievement_id),
+      FOREIGN KEY (participant_id) REFERENCES participants(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS raffle_draws (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      prize TEXT,
+      weighting TEXT NOT NULL,
+      seed TEXT NOT NULL,
+      entries TEXT NOT NULL,
+      ticket INTEGER NOT NULL,
+      winner_id TEXT NOT NULL,
+      winner_nickname TEXT NOT NULL,
+      drawn_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    CREATE TABLE IF NOT EXISTS prize_claims (
+      puzzle_id INTEGER PRIMARY KEY,
+      participant_id TEXT NOT NULL,
+      code TEXT NOT NULL,
+      claimed_at TEXT NOT NULL DEFAULT (datetime('now')),
+      confirmed_at TEXT,
+      FOREIGN KEY (participant_id) REFERENCES participants(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS wrong_answers (
+      participant_id TEXT NOT NULL,
+      puzzle_id INTEGER NOT NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_at TEXT NOT NULL DEFAULT (datetime('now')),
       PRIMARY KEY (participant_id, puzzle_id),
       FOREIGN KEY (participant_id) REFERENCES participants(id)
     );
@@ -62,13 +127,75 @@ function initSchema() {
       location_hint TEXT,
       prompt TEXT,
       answer TEXT,
+      aliases TEXT,
+      title TEXT,
+      branch TEXT,
+      step INTEGER,
+      collect_letters TEXT,
+      success_message TEXT,
+      deleted INTEGER NOT NULL DEFAULT 0,
       updated_at TEXT NOT NULL DEFAULT (datetime('now'))
     );
+
+    -- Every change to puzzle_overrides, with the row as it was afterwards
+    CREATE TABLE IF NOT EXISTS puzzle_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      puzzle_id INTEGER NOT NULL,
+      action TEXT NOT NULL,
+      snapshot TEXT,
+      author TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+    CREATE INDEX IF NOT EXISTS idx_revisions_puzzle ON puzzle_revisions(puzzle_id, id);
+
+    CREATE TABLE IF NOT EXISTS puzzle_unlocks (
+      puzzle_id INTEGER PRIMARY KEY,
+      unlocked_at TEXT NOT NULL DEFAULT (datetime('now'))
+    );
+
+    -- Per-team (or per-player) unlock times in competitive events
+    CREATE TABLE IF NOT EXISTS scoped_unlocks (
+      scope TEXT NOT NULL,
+      puzzle_id INTEGER NOT NULL,
+      unlocked_at TEXT NOT NULL DEFAULT (datetime('now')),
+      PRIMARY KEY (scope, puzzle_id)
+    );
+
+    CREATE TABLE IF NOT EXISTS hint_reveals (
+      participant_id TEXT NOT NULL,
+      puzzle_id INTEGER NOT NULL,
+      hint_index INTEGER NOT NULL,
+      revealed_at TEXT NOT NULL DEFAULT (datetime('now')),
+      PRIMARY KEY (participant_id, puzzle_id, hint_index),
+      FOREIGN KEY (participant_id) REFERENCES participants(id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_hints_time ON hint_reveals(revealed_at DESC);
   `);
-  
-  // Initialize permutation key if not exists
-  const permStmt = db.prepare('INSERT OR IGNORE INTO global_values (name, value) VALUES (?, ?)');
-  permStmt.run('perm', '26153478');
+
+  // Columns added after the first release
+  addColumnIfMissing(db, 'puzzle_overrides', 'aliases', 'TEXT');
+  addColumnIfMissing(db, 'puzzle_overrides', 'title', 'TEXT');
+  addColumnIfMissing(db, 'puzzle_overrides', 'branch', 'TEXT');
+  addColumnIfMissing(db, 'puzzle_overrides', 'step', 'INTEGER');
+  addColumnIfMissing(db, 'puzzle_overrides', 'collect_letters', 'TEXT');
+  addColumnIfMissing(db, 'puzzle_overrides', 'success_message', 'TEXT');
+  addColumnIfMissing(db, 'puzzle_overrides', 'deleted', 'INTEGER NOT NULL DEFAULT 0');
+  addColumnIfMissing(db, 'participants', 'team_id', 'INTEGER REFERENCES teams(id)');
+  addColumnIfMissing(db, 'participants', 'recovery_code', 'TEXT');
+  addColumnIfMissing(db, 'participants', 'signed_session_at', 'TEXT');
+  addColumnIfMissing(db, 'participants', 'status', "TEXT NOT NULL DEFAULT 'active'");
+  addColumnIfMissing(db, 'solves', 'points', 'INTEGER NOT NULL DEFAULT 0');
+  db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_participants_recovery ON participants(recovery_code)');
+}
+
+/**
+ * Add a column to an existing table (CREATE TABLE IF NOT EXISTS won't)
+ */
+function addColumnIfMissing(db, table, column, type) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+  if (!columns.includes(column)) {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+  }
 }
 
 // =============================================================================
@@ -90,83 +217,341 @@ function generateId() {
 // PARTICIPANTS
 // =============================================================================
 
+// Player standing set by the admin:
+//   active - plays and shows up everywhere
+//   hidden - plays, but is left off the TV, public lists and the raffle
+//   banned - hidden, and can't submit answers
+const PARTICIPANT_STATUSES = ['active', 'hidden', 'banned'];
+
 function createParticipant(nickname = null) {
   const id = generateId();
-  const name = nickname || generateNickname();
-  const stmt = db.prepare('INSERT INTO participants (id, nickname) VALUES (?, ?)');
+  let name = nickname;
+  while (!name || isNicknameTaken(name)) name = generateNickname();
+  const stmt = conn().prepare("INSERT INTO participants (id, nickname, signed_session_at) VALUES (?, ?, datetime('now'))");
   stmt.run(id, name);
   return { id, nickname: name };
 }
 
 function getParticipant(id) {
-  const stmt = db.prepare('SELECT id, nickname, created_at FROM participants WHERE id = ?');
+  const stmt = conn().prepare('SELECT id, nickname, team_id, status, created_at FROM participants WHERE id = ?');
   return stmt.get(id) || null;
 }
 
+// Nicknames are unique ignoring case
+function isNicknameTaken(nickname, exceptId = null) {
+  const stmt = conn().prepare('SELECT 1 FROM participants WHERE nickname = ? COLLATE NOCASE AND id IS NOT ?');
+  return Boolean(stmt.get(nickname, exceptId));
+}
+
+function setParticipantStatus(id, status) {
+  if (!PARTICIPANT_STATUSES.includes(status)) return false;
+  const result = conn().prepare('UPDATE participants SET status = ? WHERE id = ?').run(status, id);
+  return result.changes > 0;
+}
+
 function updateNickname(id, nickname) {
-  const stmt = db.prepare('UPDATE participants SET nickname = ? WHERE id = ?');
+  const stmt = conn().prepare('UPDATE participants SET nickname = ? WHERE id = ?');
   const result = stmt.run(nickname, id);
   return result.changes > 0;
 }
 
+// Participants from before cookies were signed may come back once with their
+// old unsigned cookie. Only ids we generated (UUIDs) qualify, and only until
+// they have been given a signed cookie.
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+function isLegacySession(id) {
+  if (!UUID_PATTERN.test(id)) return false;
+  const row = conn().prepare('SELECT signed_session_at FROM participants WHERE id = ?').get(id);
+  return Boolean(row) && !row.signed_session_at;
+}
+
+function markSessionSigned(id) {
+  conn().prepare("UPDATE participants SET signed_session_at = datetime('now') WHERE id = ? AND signed_session_at IS NULL").run(id);
+}
+
+// Everyone with their solve count, most active first
+function getAllParticipants() {
+  const stmt = conn().prepare(`
+    SELECT p.id, p.nickname, p.team_id, p.status, p.created_at, COUNT(s.puzzle_id) as solves
+    FROM participants p
+    LEFT JOIN solves s ON s.participant_id = p.id
+    GROUP BY p.id
+    ORDER BY solves DESC, p.nickname ASC
+  `);
+  return stmt.all();
+}
+
+// Recovery codes move an identity to another device: 8 characters from the
+// join-code alphabet, shown as XXXX-XXXX. Created on first request.
+function getRecoveryCode(participantId) {
+  const row = conn().prepare('SELECT recovery_code FROM participants WHERE id = ?').get(participantId);
+  if (!row) return null;
+  return row.recovery_code || resetRecoveryCode(participantId);
+}
+
+// Replace a participant's recovery code (e.g. after it was shared by mistake)
+function resetRecoveryCode(participantId) {
+  const exists = conn().prepare('SELECT 1 FROM participants WHERE recovery_code = ?');
+  let code;
+  do {
+    code = Array.from({ length: 8 }, () => JOIN_CODE_CHARS[crypto.randomInt(JOIN_CODE_CHARS.length)]).join('');
+  } while (exists.get(code));
+  conn().prepare('UPDATE participants SET recovery_code = ? WHERE id = ?').run(code, participantId);
+  return code;
+}
+
+// Look up a participant by recovery code (dashes, spaces and case don't matter)
+function getParticipantByRecoveryCode(code) {
+  const normalized = (code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  if (normalized.length !== 8) return null;
+  const stmt = conn().prepare('SELECT id, nickname, team_id, status, created_at FROM participants WHERE recovery_code = ?');
+  return stmt.get(normalized) || null;
+}
+
+// Fold one participant into another: solves (keeping the earlier time when
+// both solved a puzzle) and hint reveals move over, the team carries over if
+// the survivor has none, and the merged-away participant is deleted
+function mergeParticipants(fromId, intoId) {
+  const from = getParticipant(fromId);
+  const into = getParticipant(intoId);
+  if (!from || !into || fromId === intoId) return false;
+
+  conn().transaction(() => {
+    conn().prepare(`
+      INSERT INTO solves (participant_id, puzzle_id, solved_at, points)
+      SELECT ?, puzzle_id, solved_at, points FROM solves WHERE participant_id = ? AND true
+      ON CONFLICT (participant_id, puzzle_id) DO UPDATE SET
+        points = CASE WHEN excluded.solved_at < solved_at THEN excluded.points ELSE points END,
+        solved_at = MIN(solved_at, excluded.solved_at)
+    `).run(intoId, fromId);
+    conn().prepare(`
+      INSERT INTO wrong_answers (participant_id, puzzle_id, attempts, last_at)
+      SELECT ?, puzzle_id, attempts, last_at FROM wrong_answers WHERE participant_id = ? AND true
+      ON CONFLICT (participant_id, puzzle_id) DO UPDATE SET
+        attempts = attempts + excluded.attempts, last_at = MAX(last_at, excluded.last_at)
+    `).run(intoId, fromId);
+    conn().prepare(`
+      INSERT OR IGNORE INTO hint_reveals (participant_id, puzzle_id, hint_index, revealed_at)
+      SELECT ?, puzzle_id, hint_index, revealed_at FROM hint_reveals WHERE participant_id = ?
+    `).run(intoId, fromId);
+    if (!into.team_id && from.team_id) setParticipantTeam(intoId, from.team_id);
+
+    conn().prepare('DELETE FROM solves WHERE participant_id = ?').run(fromId);
+    conn().prepare('DELETE FROM hint_reveals WHERE participant_id = ?').run(fromId);
+    conn().prepare(`
+      INSERT OR IGNORE INTO achievements (participant_id, achievement_id, puzzle_id, earned_at)
+      SELECT ?, achievement_id, puzzle_id, earned_at FROM achievements WHERE participant_id = ?
+    `).run(intoId, fromId);
+    conn().prepare('UPDATE raffle_draws SET winner_id = ? WHERE winner_id = ?').run(intoId, fromId);
+    conn().prepare('UPDATE prize_claims SET participant_id = ? WHERE participant_id = ?').run(intoId, fromId);
+    conn().prepare('DELETE FROM wrong_answers WHERE participant_id = ?').run(fromId);
+    conn().prepare('DELETE FROM achievements WHERE participant_id = ?').run(fromId);
+    conn().prepare('DELETE FROM participants WHERE id = ?').run(fromId);
+  })();
+  return true;
+}
+
+// =============================================================================
+// TEAMS
+// =============================================================================
+
+// Join codes skip look-alike characters (0/O, 1/I)
+const JOIN_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function generateJoinCode() {
+  const exists = conn().prepare('SELECT 1 FROM teams WHERE join_code = ?');
+  let code;
+  do {
+    code = Array.from({ length: 4 }, () => JOIN_CODE_CHARS[crypto.randomInt(JOIN_CODE_CHARS.length)]).join('');
+  } while (exists.get(code));
+  return code;
+}
+
+// Create a team; returns null if the name is taken (names ignore case)
+function createTeam(name) {
+  if (getTeamByName(name)) return null;
+  const result = conn().prepare('INSERT INTO teams (name, join_code) VALUES (?, ?)').run(name, generateJoinCode());
+  return getTeam(result.lastInsertRowid);
+}
+
+function getTeam(id) {
+  return conn().prepare('SELECT * FROM teams WHERE id = ?').get(id) || null;
+}
+
+function getTeamByName(name) {
+  return conn().prepare('SELECT * FROM teams WHERE name = ?').get(name) || null;
+}
+
+function getTeamByJoinCode(code) {
+  return conn().prepare('SELECT * FROM teams WHERE join_code = ?').get(code.toUpperCase()) || null;
+}
+
+// All teams with member counts, oldest first
+function getTeams() {
+  const stmt = conn().prepare(`
+    SELECT t.*, COUNT(p.id) as members
+    FROM teams t
+    LEFT JOIN participants p ON p.team_id = t.id
+    GROUP BY t.id
+    ORDER BY t.created_at, t.id
+  `);
+  return stmt.all();
+}
+
+// Returns false if another team already has the name
+function renameTeam(id, name) {
+  const taken = getTeamByName(name);
+  if (taken && taken.id !== id) return false;
+  return conn().prepare('UPDATE teams SET name = ? WHERE id = ?').run(name, id).changes > 0;
+}
+
+// Put a participant on a team, or take them off one (teamId null)
+function setParticipantTeam(participantId, teamId) {
+  conn().prepare('UPDATE participants SET team_id = ? WHERE id = ?').run(teamId, participantId);
+}
+
+function getTeamMembers(teamId) {
+  const stmt = conn().prepare(`
+    SELECT p.id, p.nickname, COUNT(s.puzzle_id) as solves
+    FROM participants p
+    LEFT JOIN solves s ON s.participant_id = p.id
+    WHERE p.team_id = ?
+    GROUP BY p.id
+    ORDER BY solves DESC, p.nickname ASC
+  `);
+  return stmt.all(teamId);
+}
+
+// Puzzles solved by anyone on the team
+function getTeamSolvedPuzzleIds(teamId) {
+  const stmt = conn().prepare(`
+    SELECT DISTINCT s.puzzle_id
+    FROM solves s
+    JOIN participants p ON s.participant_id = p.id
+    WHERE p.team_id = ?
+    ORDER BY s.puzzle_id
+  `);
+  return stmt.all(teamId).map(row => row.puzzle_id);
+}
+
+// Move everyone from one team into another and drop the emptied team
+function mergeTeams(fromId, intoId) {
+  if (fromId === intoId || !getTeam(fromId) || !getTeam(intoId)) return false;
+  conn().transaction(() => {
+    conn().prepare('UPDATE participants SET team_id = ? WHERE team_id = ?').run(intoId, fromId);
+    conn().prepare('DELETE FROM teams WHERE id = ?').run(fromId);
+  })();
+  return true;
+}
+
+// Even out team sizes (to within one member) by moving players from the
+// biggest team to the smallest, least active players first. Returns the number moved.
+function balanceTeams() {
+  const pickMember = conn().prepare(`
+    SELECT p.id
+    FROM participants p
+    LEFT JOIN solves s ON s.participant_id = p.id
+    WHERE p.team_id = ?
+    GROUP BY p.id
+    ORDER BY COUNT(s.puzzle_id) ASC, p.created_at DESC
+    LIMIT 1
+  `);
+  let moved = 0;
+  conn().transaction(() => {
+    for (;;) {
+      const teams = getTeams().sort((a, b) => a.members - b.members);
+      if (teams.length < 2) break;
+      const smallest = teams[0];
+      const biggest = teams[teams.length - 1];
+      if (biggest.members - smallest.members <= 1) break;
+      setParticipantTeam(pickMember.get(biggest.id).id, smallest.id);
+      moved++;
+    }
+  })();
+  return moved;
+}
+
+// Teams ranked by distinct puzzles solved; ties go to whoever got there first.
+// All teams unless a limit is given.
+function getTeamStandings(limit = -1) {
+  const stmt = conn().prepare(`
+    SELECT t.id, t.name, t.join_code,
+      (SELECT COUNT(*) FROM participants m WHERE m.team_id = t.id) as members,
+      COUNT(DISTINCT s.puzzle_id) as puzzles,
+      COUNT(s.puzzle_id) as solves,
+      MAX(s.solved_at) as last_solved_at
+    FROM teams t
+    LEFT JOIN participants p ON p.team_id = t.id
+    LEFT JOIN solves s ON s.participant_id = p.id
+    GROUP BY t.id
+    ORDER BY puzzles DESC, last_solved_at IS NULL, last_solved_at ASC, t.name ASC
+    LIMIT ?
+  `);
+  return stmt.all(limit);
+}
+
 // =============================================================================
 // SOLVES
 // =============================================================================
 
 function recordSolve(participantId, puzzleId) {
   // Check if already solved by this participant
-  const checkStmt = db.prepare('SELECT 1 FROM solves WHERE participant_id = ? AND puzzle_id = ?');
+  const checkStmt = conn().prepare('SELECT 1 FROM solves WHERE participant_id = ? AND puzzle_id = ?');
   if (checkStmt.get(participantId, puzzleId)) {
     return { success: false, isFirst: false, alreadySolved: true };
   }
   
   // Check if this is the first global solve
-  const firstCheckStmt = db.prepare('SELECT 1 FROM solves WHERE puzzle_id = ? LIMIT 1');
+  const firstCheckStmt = conn().prepare('SELECT 1 FROM solves WHERE puzzle_id = ? LIMIT 1');
   const isFirst = !firstCheckStmt.get(puzzleId);
   
   // Record the solve
-  const insertStmt = db.prepare('INSERT INTO solves (participant_id, puzzle_id) VALUES (?, ?)');
+  const insertStmt = conn().prepare('INSERT INTO solves (participant_id, puzzle_id) VALUES (?, ?)');
   insertStmt.run(participantId, puzzleId);
   
   return { success: true, isFirst, alreadySolved: false };
 }
 
 function hasParticipantSolved(participantId, puzzleId) {
-  const stmt = db.prepare('SELECT 1 FROM solves WHERE participant_id = ? AND puzzle_id = ?');
+  const stmt = conn().prepare('SELECT 1 FROM solves WHERE participant_id = ? AND puzzle_id = ?');
   return !!stmt.get(participantId, puzzleId);
 }
 
 function isPuzzleSolvedGlobally(puzzleId) {
-  const stmt = db.prepare('SELECT 1 FROM solves WHERE puzzle_id = ? LIMIT 1');
+  const stmt = conn().prepare('SELECT 1 FROM solves WHERE puzzle_id = ? LIMIT 1');
   return !!stmt.get(puzzleId);
 }
 
 function getGlobalSolvedPuzzleIds() {
-  const stmt = db.prepare('SELECT DISTINCT puzzle_id FROM solves ORDER BY puzzle_id');
+  const stmt = conn().prepare('SELECT DISTINCT puzzle_id FROM solves ORDER BY puzzle_id');
   return stmt.all().map(row => row.puzzle_id);
 }
 
 function getGlobalSolvedCount() {
-  const stmt = db.prepare('SELECT COUNT(DISTINCT puzzle_id) as count FROM solves');
+  const stmt = conn().prepare('SELECT COUNT(DISTINCT puzzle_id) as count FROM solves');
   return stmt.get().count;
 }
 
-function getRecentSolves(limit = 12) {
-  const stmt = db.prepare(`
-    SELECT s.puzzle_id, s.solved_at, p.nickname
+// Public lists leave out hidden and banned players unless asked
+function getRecentSolves(limit = 12, includeHidden = false) {
+  const stmt = conn().prepare(`
+    SELECT s.puzzle_id, s.solved_at, p.nickname, p.status
     FROM solves s
     JOIN participants p ON s.participant_id = p.id
+    ${includeHidden ? '' : "WHERE p.status = 'active'"}
     ORDER BY s.solved_at DESC
     LIMIT ?
   `);
   return stmt.all(limit);
 }
 
-function getContributors(limit = 10) {
-  const stmt = db.prepare(`
-    SELECT p.nickname, COUNT(*) as solves
+function getContributors(limit = 10, includeHidden = false) {
+  const stmt = conn().prepare(`
+    SELECT p.nickname, p.status, COUNT(*) as solves
     FROM solves s
     JOIN participants p ON s.participant_id = p.id
+    ${includeHidden ? '' : "WHERE p.status = 'active'"}
     GROUP BY s.participant_id
     ORDER BY solves DESC, p.nickname ASC
     LIMIT ?
@@ -175,42 +560,189 @@ function getContributors(limit = 10) {
 }
 
 function getParticipantSolveCount(participantId) {
-  const stmt = db.prepare('SELECT COUNT(*) as count FROM solves WHERE participant_id = ?');
+  const stmt = conn().prepare('SELECT COUNT(*) as count FROM solves WHERE participant_id = ?');
   return stmt.get(participantId).count;
 }
 
 function getParticipantSolvedPuzzles(participantId) {
-  const stmt = db.prepare('SELECT puzzle_id FROM solves WHERE participant_id = ? ORDER BY puzzle_id');
+  const stmt = conn().prepare('SELECT puzzle_id FROM solves WHERE participant_id = ? ORDER BY puzzle_id');
   return stmt.all(participantId).map(row => row.puzzle_id);
 }
 
+// Puzzles solved within a progress scope: everyone (null), a team ("T<id>")
+// or a solo player ("P<id>")
+function getScopeSolvedPuzzleIds(scope = null) {
+  if (!scope) return getGlobalSolvedPuzzleIds();
+  const id = scope.slice(1);
+  return scope[0] === 'T' ? getTeamSolvedPuzzleIds(Number(id)) : getParticipantSolvedPuzzles(id);
+}
+
+// =============================================================================
+// POINTS
+// =============================================================================
+
+function setSolvePoints(participantId, puzzleId, points) {
+  conn().prepare('UPDATE solves SET points = ? WHERE participant_id = ? AND puzzle_id = ?').run(points, participantId, puzzleId);
+}
+
+function recordWrongAnswer(participantId, puzzleId) {
+  conn().prepare(`
+    INSERT INTO wrong_answers (participant_id, puzzle_id, attempts) VALUES (?, ?, 1)
+    ON CONFLICT (participant_id, puzzle_id) DO UPDATE SET attempts = attempts + 1, last_at = datetime('now')
+  `).run(participantId, puzzleId);
+}
+
+function getWrongAnswerCount(participantId, puzzleId) {
+  const row = conn().prepare('SELECT attempts FROM wrong_answers WHERE participant_id = ? AND puzzle_id = ?').get(participantId, puzzleId);
+  return row ? row.attempts : 0;
+}
+
+// Players by points; ties go to whoever got there first
+function getPointsLeaderboard(limit = 10, includeHidden = false) {
+  const stmt = conn().prepare(`
+    SELECT p.id, p.nickname, p.status, SUM(s.points) as points, COUNT(*) as solves
+    FROM solves s
+    JOIN participants p ON s.participant_id = p.id
+    ${includeHidden ? '' : "WHERE p.status = 'active'"}
+    GROUP BY s.participant_id
+    ORDER BY points DESC, MAX(s.solved_at) ASC
+    LIMIT ?
+  `);
+  return stmt.all(limit);
+}
+
+function getParticipantPoints(participantId) {
+  const stmt = conn().prepare('SELECT COALESCE(SUM(points), 0) as points FROM solves WHERE participant_id = ?');
+  return stmt.get(participantId).points;
+}
+
+// =============================================================================
+// ACHIEVEMENTS
+// =============================================================================
+
+// Store a badge; false if the player already had it
+function awardAchievement(participantId, achievementId, puzzleId = null) {
+  const result = conn().prepare('INSERT OR IGNORE INTO achievements (participant_id, achievement_id, puzzle_id) VALUES (?, ?, ?)')
+    .run(participantId, achievementId, puzzleId);
+  return result.changes > 0;
+}
+
+function getParticipantAchievements(participantId) {
+  const stmt = conn().prepare('SELECT achievement_id, puzzle_id, earned_at FROM achievements WHERE participant_id = ? ORDER BY id');
+  return stmt.all(participantId);
+}
+
+// Latest badges for the TV, newest first; hidden and banned players are left out
+function getRecentAchievements(limit = 10) {
+  const stmt = conn().prepare(`
+    SELECT a.id, a.achievement_id, a.earned_at, p.nickname
+    FROM achievements a
+    JOIN participants p ON a.participant_id = p.id
+    WHERE p.status = 'active'
+    ORDER BY a.id DESC
+    LIMIT ?
+  `);
+  return stmt.all(limit);
+}
+
+// =============================================================================
+// RAFFLE
+// =============================================================================
+
+// Log a draw with everything needed to re-run it (entries are stored as JSON)
+function recordRaffleDraw({ prize, weighting, seed, entries, ticket, winner }) {
+  const result = conn().prepare(`
+    INSERT INTO raffle_draws (prize, weighting, seed, entries, ticket, winner_id, winner_nickname)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(prize || null, weighting, seed, JSON.stringify(entries), ticket, winner.id, winner.nickname);
+  return result.lastInsertRowid;
+}
+
+// Every draw, newest first, with entries parsed
+function getRaffleDraws() {
+  return conn().prepare('SELECT * FROM raffle_draws ORDER BY id DESC').all()
+    .map(draw => ({ ...draw, entries: JSON.parse(draw.entries) }));
+}
+
+function getRaffleWinnerIds() {
+  return conn().prepare('SELECT DISTINCT winner_id FROM raffle_draws').all().map(row => row.winner_id);
+}
+
+// =============================================================================
+// SUPER PRIZE CLAIMS
+// =============================================================================
+
+// The first correct answer claims a super prize and gets a one-time code to
+// show the host; the host confirms it, or releases a claim that doesn't check out
+function claimPrize(puzzleId, participantId) {
+  const code = Array.from({ length: 6 }, () => JOIN_CODE_CHARS[crypto.randomInt(JOIN_CODE_CHARS.length)]).join('');
+  conn().prepare('INSERT OR IGNORE INTO prize_claims (puzzle_id, participant_id, code) VALUES (?, ?, ?)')
+    .run(puzzleId, participantId, code);
+  return getPrizeClaim(puzzleId);
+}
+
+function getPrizeClaim(puzzleId) {
+  const stmt = conn().prepare(`
+    SELECT c.*, p.nickname, p.status
+    FROM prize_claims c
+    JOIN participants p ON c.participant_id = p.id
+    WHERE c.puzzle_id = ?
+  `);
+  return stmt.get(puzzleId) || null;
+}
+
+// Confirm a pending claim if the code matches (dashes, spaces and case don't matter)
+function confirmPrizeClaim(puzzleId, code) {
+  const normalized = (code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  const result = conn().prepare(`
+    UPDATE prize_claims SET confirmed_at = datetime('now')
+    WHERE puzzle_id = ? AND code = ? AND confirmed_at IS NULL
+  `).run(puzzleId, normalized);
+  return result.changes > 0;
+}
+
+// Drop a pending claim so the next correct answer can claim the prize
+function releasePrizeClaim(puzzleId) {
+  const result = conn().prepare('DELETE FROM prize_claims WHERE puzzle_id = ? AND confirmed_at IS NULL').run(puzzleId);
+  return result.changes > 0;
+}
+
 // =============================================================================
 // GLOBAL KEYS (branch completion flags)
 // =============================================================================
 
-function setGlobalKey(key) {
-  const stmt = db.prepare('INSERT OR IGNORE INTO global_keys (key) VALUES (?)');
-  stmt.run(key);
+// Competitive events keep flags per scope under a prefix ("T3:L_DONE");
+// a null scope is the shared cooperative set
+function scopedKey(key, scope) {
+  return scope ? `${scope}:${key}` : key;
+}
+
+function setGlobalKey(key, scope = null) {
+  const stmt = conn().prepare('INSERT OR IGNORE INTO global_keys (key) VALUES (?)');
+  stmt.run(scopedKey(key, scope));
 }
 
-function hasGlobalKey(key) {
-  const stmt = db.prepare('SELECT 1 FROM global_keys WHERE key = ?');
-  return !!stmt.get(key);
+function hasGlobalKey(key, scope = null) {
+  const stmt = conn().prepare('SELECT 1 FROM global_keys WHERE key = ?');
+  return !!stmt.get(scopedKey(key, scope));
 }
 
 function getGlobalKeys() {
-  const stmt = db.prepare('SELECT key, unlocked_at FROM global_keys');
+  const stmt = conn().prepare('SELECT key, unlocked_at FROM global_keys');
   return stmt.all();
 }
 
-function countDoneKeys() {
-  const stmt = db.prepare("SELECT COUNT(*) as count FROM global_keys WHERE key LIKE '%_DONE'");
-  return stmt.get().count;
+function countDoneKeys(scope = null) {
+  return getCompletedBranches(scope).length;
 }
 
-function getCompletedBranches() {
-  const stmt = db.prepare("SELECT key FROM global_keys WHERE key LIKE '%_DONE'");
-  return stmt.all().map(row => row.key.replace('_DONE', ''));
+function getCompletedBranches(scope = null) {
+  const prefix = scope ? `${scope}:` : '';
+  const stmt = conn().prepare("SELECT key FROM global_keys WHERE key LIKE '%_DONE'");
+  return stmt.all()
+    .map(row => row.key)
+    .filter(key => key.startsWith(prefix) && !key.slice(prefix.length).includes(':'))
+    .map(key => key.slice(prefix.length).replace('_DONE', ''));
 }
 
 // =============================================================================
@@ -218,7 +750,7 @@ function getCompletedBranches() {
 // =============================================================================
 
 function setGlobalValue(name, value) {
-  const stmt = db.prepare(`
+  const stmt = conn().prepare(`
     INSERT INTO global_values (name, value, updated_at) 
     VALUES (?, ?, datetime('now'))
     ON CONFLICT(name) DO UPDATE SET value = ?, updated_at = datetime('now')
@@ -227,13 +759,101 @@ function setGlobalValue(name, value) {
 }
 
 function getGlobalValue(name) {
-  const stmt = db.prepare('SELECT value FROM global_values WHERE name = ?');
+  const stmt = conn().prepare('SELECT value FROM global_values WHERE name = ?');
   const row = stmt.get(name);
   return row ? row.value : null;
 }
 
 function getPermutationKey() {
-  return getGlobalValue('perm') || '26153478';
+  return getGlobalValue('perm');
+}
+
+// Replace the stored key, e.g. after redesigning the vault code
+function setPermutationKey(perm) {
+  setGlobalValue('perm', perm);
+}
+
+// The event's vault design ({ branches, permutationKey } from the vault
+// designer), laid over its pack's digits; null to play the pack's own
+function getVaultDesign() {
+  const json = getGlobalValue('vault_design');
+  return json ? JSON.parse(json) : null;
+}
+
+function setVaultDesign(design) {
+  conn().transaction(() => {
+    setGlobalValue('vault_design', JSON.stringify({ branches: design.branches, permutationKey: design.permutationKey }));
+    setPermutationKey(design.permutationKey);
+  })();
+}
+
+// Go back to the pack's own digits and permutation key
+function clearVaultDesign(packPermutationKey) {
+  conn().transaction(() => {
+    conn().prepare("DELETE FROM global_values WHERE name = 'vault_design'").run();
+    setPermutationKey(packPermutationKey);
+  })();
+}
+
+// Competitive events: the first scope to open the vault wins. Returns true
+// if this call claimed the win.
+function claimVaultWin(scope, name) {
+  const stmt = conn().prepare("INSERT OR IGNORE INTO global_values (name, value) VALUES ('winner', ?)");
+  return stmt.run(JSON.stringify({ scope, name })).changes > 0;
+}
+
+// { scope, name, at } of the winner, or null
+function getVaultWinner() {
+  const row = conn().prepare("SELECT value, updated_at FROM global_values WHERE name = 'winner'").get();
+  return row ? { ...JSON.parse(row.value), at: row.updated_at } : null;
+}
+
+// =============================================================================
+// PUZZLE UNLOCKS & HINTS
+// =============================================================================
+
+// Record when a puzzle first became available (hint delays count from here),
+// for everyone or, in competitive events, for one scope
+function markPuzzleUnlocked(puzzleId, scope = null) {
+  if (scope) {
+    conn().prepare('INSERT OR IGNORE INTO scoped_unlocks (scope, puzzle_id) VALUES (?, ?)').run(scope, puzzleId);
+  } else {
+    conn().prepare('INSERT OR IGNORE INTO puzzle_unlocks (puzzle_id) VALUES (?)').run(puzzleId);
+  }
+}
+
+function getPuzzleUnlockedAt(puzzleId, scope = null) {
+  const row = scope
+    ? conn().prepare('SELECT unlocked_at FROM scoped_unlocks WHERE scope = ? AND puzzle_id = ?').get(scope, puzzleId)
+    : conn().prepare('SELECT unlocked_at FROM puzzle_unlocks WHERE puzzle_id = ?').get(puzzleId);
+  return row ? row.unlocked_at : null;
+}
+
+function recordHintReveal(participantId, puzzleId, hintIndex) {
+  const stmt = conn().prepare('INSERT OR IGNORE INTO hint_reveals (participant_id, puzzle_id, hint_index) VALUES (?, ?, ?)');
+  return stmt.run(participantId, puzzleId, hintIndex).changes > 0;
+}
+
+function getRevealedHintIndexes(participantId, puzzleId) {
+  const stmt = conn().prepare('SELECT hint_index FROM hint_reveals WHERE participant_id = ? AND puzzle_id = ? ORDER BY hint_index');
+  return stmt.all(participantId, puzzleId).map(row => row.hint_index);
+}
+
+function getParticipantHintReveals(participantId) {
+  const stmt = conn().prepare('SELECT puzzle_id, hint_index, revealed_at FROM hint_reveals WHERE participant_id = ?');
+  return stmt.all(participantId);
+}
+
+function getRecentHintReveals(limit = 12, includeHidden = false) {
+  const stmt = conn().prepare(`
+    SELECT h.puzzle_id, h.hint_index, h.revealed_at, p.nickname, p.status
+    FROM hint_reveals h
+    JOIN participants p ON h.participant_id = p.id
+    ${includeHidden ? '' : "WHERE p.status = 'active'"}
+    ORDER BY h.revealed_at DESC
+    LIMIT ?
+  `);
+  return stmt.all(limit);
 }
 
 // =============================================================================
@@ -243,16 +863,17 @@ function getPermutationKey() {
 /**
  * Get the completion status for each branch
  * @param {object} puzzles - The puzzles module
+ * @param {string} [scope] - Progress scope (see getScopeSolvedPuzzleIds); everyone by default
  * @returns {object} - { F: { steps: [bool,bool,bool], done: bool }, ... }
  */
-function getBranchStatus(puzzles) {
-  const solvedIds = getGlobalSolvedPuzzleIds();
+function getBranchStatus(puzzles, scope = null) {
+  const solvedIds = getScopeSolvedPuzzleIds(scope);
   const status = {};
   
   for (const branch of puzzles.BRANCH_ORDER) {
     const branchPuzzles = puzzles.getPuzzlesByBranch(branch);
     const steps = branchPuzzles.map(p => solvedIds.includes(p.id));
-    const done = hasGlobalKey(`${branch}_DONE`);
+    const done = hasGlobalKey(`${branch}_DONE`, scope);
     status[branch] = { steps, done };
   }
   
@@ -264,15 +885,23 @@ function getBranchStatus(puzzles) {
 // =============================================================================
 
 function resetAllData() {
-  db.exec('DELETE FROM solves');
-  db.exec('DELETE FROM participants');
-  db.exec('DELETE FROM global_keys');
-  // Keep perm value but reset others
-  db.exec("DELETE FROM global_values WHERE name != 'perm'");
+  conn().exec('DELETE FROM solves');
+  conn().exec('DELETE FROM hint_reveals');
+  conn().exec('DELETE FROM wrong_answers');
+  conn().exec('DELETE FROM achievements');
+  conn().exec('DELETE FROM raffle_draws');
+  conn().exec('DELETE FROM prize_claims');
+  conn().exec('DELETE FROM participants');
+  conn().exec('DELETE FROM teams');
+  conn().exec('DELETE FROM global_keys');
+  conn().exec('DELETE FROM puzzle_unlocks');
+  conn().exec('DELETE FROM scoped_unlocks');
+  // Keep perm value and admin settings (blocked words, TV playlist) but reset others
+  conn().exec("DELETE FROM global_values WHERE name NOT IN ('perm', 'vault_design', 'blocked_words', 'tv_playlist')");
 }
 
 function getAllSolves() {
-  const stmt = db.prepare(`
+  const stmt = conn().prepare(`
     SELECT s.puzzle_id, s.solved_at, s.participant_id, p.nickname
     FROM solves s
     JOIN participants p ON s.participant_id = p.id
@@ -286,52 +915,270 @@ function getAllSolves() {
 // =============================================================================
 
 function getPuzzleOverride(puzzleId) {
-  const stmt = db.prepare('SELECT * FROM puzzle_overrides WHERE puzzle_id = ?');
+  const stmt = conn().prepare('SELECT * FROM puzzle_overrides WHERE puzzle_id = ?');
   return stmt.get(puzzleId) || null;
 }
 
 function getAllPuzzleOverrides() {
-  const stmt = db.prepare('SELECT * FROM puzzle_overrides');
+  const stmt = conn().prepare('SELECT * FROM puzzle_overrides');
   return stmt.all();
 }
 
-function setPuzzleOverride(puzzleId, { location_hint, prompt, answer }) {
-  const stmt = db.prepare(`
-    INSERT INTO puzzle_overrides (puzzle_id, location_hint, prompt, answer, updated_at)
-    VALUES (?, ?, ?, ?, datetime('now'))
+// Editable puzzle_overrides columns (everything but the key and timestamp)
+const OVERRIDE_FIELDS = [
+  'location_hint', 'prompt', 'answer', 'aliases', 'title', 'branch', 'step',
+  'collect_letters', 'success_message', 'deleted'
+];
+
+// Snapshot of a puzzle's override row as JSON (null when it has no edits)
+function snapshotOverride(puzzleId) {
+  const row = getPuzzleOverride(puzzleId);
+  if (!row) return null;
+  const { puzzle_id, updated_at, ...fields } = row;
+  return JSON.stringify(fields);
+}
+
+function insertRevision(puzzleId, action, snapshot, author) {
+  const stmt = conn().prepare('INSERT INTO puzzle_revisions (puzzle_id, action, snapshot, author) VALUES (?, ?, ?, ?)');
+  stmt.run(puzzleId, action, snapshot, author);
+}
+
+// Run a change to a puzzle's overrides and record the result as a revision.
+// Edits made before history existed are saved as a baseline revision first.
+function withRevision(puzzleId, action, author, change) {
+  conn().transaction(() => {
+    const hasHistory = conn().prepare('SELECT 1 FROM puzzle_revisions WHERE puzzle_id = ? LIMIT 1').get(puzzleId);
+    const before = snapshotOverride(puzzleId);
+    if (!hasHistory && before) insertRevision(puzzleId, 'baseline', before, null);
+    change();
+    insertRevision(puzzleId, action, snapshotOverride(puzzleId), author);
+  })();
+}
+
+// Every field is optional; null keeps the current value. aliases and
+// collect_letters are arrays of strings (stored as JSON). A row for an id
+// that isn't in the pack is a puzzle created in the admin.
+function setPuzzleOverride(puzzleId, {
+  location_hint = null, prompt = null, answer = null, aliases = null,
+  title = null, branch = null, step = null, collect_letters = null, success_message = null
+}, author = null, action = 'edit') {
+  const aliasesJson = aliases ? JSON.stringify(aliases) : null;
+  const lettersJson = collect_letters ? JSON.stringify(collect_letters) : null;
+  const values = [location_hint, prompt, answer, aliasesJson, title, branch, step, lettersJson, success_message];
+  const stmt = conn().prepare(`
+    INSERT INTO puzzle_overrides (puzzle_id, location_hint, prompt, answer, aliases,
+      title, branch, step, collect_letters, success_message, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'))
     ON CONFLICT(puzzle_id) DO UPDATE SET
       location_hint = COALESCE(?, location_hint),
       prompt = COALESCE(?, prompt),
       answer = COALESCE(?, answer),
+      aliases = COALESCE(?, aliases),
+      title = COALESCE(?, title),
+      branch = COALESCE(?, branch),
+      step = COALESCE(?, step),
+      collect_letters = COALESCE(?, collect_letters),
+      success_message = COALESCE(?, success_message),
       updated_at = datetime('now')
   `);
-  stmt.run(puzzleId, location_hint, prompt, answer, location_hint, prompt, answer);
+  withRevision(puzzleId, action, author, () => stmt.run(puzzleId, ...values, ...values));
 }
 
-function clearPuzzleOverride(puzzleId) {
-  const stmt = db.prepare('DELETE FROM puzzle_overrides WHERE puzzle_id = ?');
-  stmt.run(puzzleId);
+// Hide a pack puzzle (or bring it back) without losing its other edits
+function setPuzzleDeleted(puzzleId, deleted, author = null) {
+  const stmt = conn().prepare(`
+    INSERT INTO puzzle_overrides (puzzle_id, deleted, updated_at)
+    VALUES (?, ?, datetime('now'))
+    ON CONFLICT(puzzle_id) DO UPDATE SET deleted = excluded.deleted, updated_at = datetime('now')
+  `);
+  withRevision(puzzleId, deleted ? 'delete' : 'restore', author, () => stmt.run(puzzleId, deleted ? 1 : 0));
+}
+
+// Copy override rows as-is (e.g. from another event)
+function restorePuzzleOverrides(rows, author = null) {
+  const stmt = conn().prepare(`
+    INSERT OR REPLACE INTO puzzle_overrides (puzzle_id, location_hint, prompt, answer, aliases,
+      title, branch, step, collect_letters, success_message, deleted, updated_at)
+    VALUES (@puzzle_id, @location_hint, @prompt, @answer, @aliases,
+      @title, @branch, @step, @collect_letters, @success_message, @deleted, @updated_at)
+  `);
+  conn().transaction(() => {
+    rows.forEach(row => withRevision(row.puzzle_id, 'import', author, () => stmt.run(row)));
+  })();
+}
+
+function clearPuzzleOverride(puzzleId, author = null) {
+  const stmt = conn().prepare('DELETE FROM puzzle_overrides WHERE puzzle_id = ?');
+  withRevision(puzzleId, 'reset', author, () => stmt.run(puzzleId));
+}
+
+// Revisions of a puzzle's overrides, oldest first
+function getPuzzleRevisions(puzzleId) {
+  const stmt = conn().prepare('SELECT * FROM puzzle_revisions WHERE puzzle_id = ? ORDER BY id');
+  return stmt.all(puzzleId);
+}
+
+function getRevisedPuzzleIds() {
+  const stmt = conn().prepare('SELECT DISTINCT puzzle_id FROM puzzle_revisions');
+  return stmt.all().map(row => row.puzzle_id);
+}
+
+// Put a puzzle's overrides back the way they were after an earlier revision
+function rollbackPuzzleOverride(puzzleId, revisionId, author = null) {
+  const revision = conn().prepare('SELECT * FROM puzzle_revisions WHERE id = ? AND puzzle_id = ?').get(revisionId, puzzleId);
+  if (!revision) return false;
+
+  const fields = revision.snapshot ? JSON.parse(revision.snapshot) : null;
+  withRevision(puzzleId, `rollback #${revisionId}`, author, () => {
+    conn().prepare('DELETE FROM puzzle_overrides WHERE puzzle_id = ?').run(puzzleId);
+    if (fields) {
+      const columns = OVERRIDE_FIELDS.filter(c => fields[c] !== undefined);
+      conn().prepare(`
+        INSERT INTO puzzle_overrides (puzzle_id, ${columns.join(', ')}, updated_at)
+        VALUES (@puzzle_id, ${columns.map(c => '@' + c).join(', ')}, datetime('now'))
+      `).run({ puzzle_id: puzzleId, ...fields });
+    }
+  });
+  return true;
 }
 
 // Swap solves between two puzzles
 function swapPuzzleSolves(fromId, toId) {
   // Use a temp value to swap
   const tempId = 99999;
-  db.prepare('UPDATE solves SET puzzle_id = ? WHERE puzzle_id = ?').run(tempId, fromId);
-  db.prepare('UPDATE solves SET puzzle_id = ? WHERE puzzle_id = ?').run(fromId, toId);
-  db.prepare('UPDATE solves SET puzzle_id = ? WHERE puzzle_id = ?').run(toId, tempId);
+  conn().prepare('UPDATE solves SET puzzle_id = ? WHERE puzzle_id = ?').run(tempId, fromId);
+  conn().prepare('UPDATE solves SET puzzle_id = ? WHERE puzzle_id = ?').run(fromId, toId);
+  conn().prepare('UPDATE solves SET puzzle_id = ? WHERE puzzle_id = ?').run(toId, tempId);
+}
+
+// =============================================================================
+// BACKUP & RESTORE
+// =============================================================================
+
+// Tables in a game-state backup with their primary key columns, in insert
+// order (participants before the rows that reference them)
+const STATE_TABLES = {
+  teams: ['id'],
+  participants: ['id'],
+  solves: ['participant_id', 'puzzle_id'],
+  hint_reveals: ['participant_id', 'puzzle_id', 'hint_index'],
+  wrong_answers: ['participant_id', 'puzzle_id'],
+  achievements: ['id'],
+  raffle_draws: ['id'],
+  prize_claims: ['puzzle_id'],
+  puzzle_unlocks: ['puzzle_id'],
+  scoped_unlocks: ['scope', 'puzzle_id'],
+  global_keys: ['key'],
+  global_values: ['name'],
+  puzzle_overrides: ['puzzle_id'],
+  puzzle_revisions: ['id']
+};
+
+// Every row of every state table
+function exportGameState() {
+  const tables = {};
+  for (const table of Object.keys(STATE_TABLES)) {
+    tables[table] = conn().prepare(`SELECT * FROM ${table}`).all();
+  }
+  return tables;
 }
 
-// Initialize schema on module load
-initSchema();
+// What importing a backup's tables would change, without touching anything.
+// Returns { errors, tables: { name: { current, incoming, added, removed, changed } } };
+// tables missing from the backup are left alone and reported with incoming null.
+function planGameStateImport(tables) {
+  const errors = [];
+  const plan = {};
+
+  for (const [table, keyColumns] of Object.entries(STATE_TABLES)) {
+    const current = conn().prepare(`SELECT * FROM ${table}`).all();
+    const incoming = tables[table];
+    if (incoming === undefined) {
+      plan[table] = { current: current.length, incoming: null, added: [], removed: [], changed: [] };
+      continue;
+    }
+    if (!Array.isArray(incoming) || incoming.some(row => row === null || typeof row !== 'object')) {
+      errors.push(`${table}: expected a list of rows`);
+      continue;
+    }
+
+    const columns = conn().prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+    const unknown = [...new Set(incoming.flatMap(row => Object.keys(row)))].filter(c => !columns.includes(c));
+    if (unknown.length > 0) {
+      errors.push(`${table}: unknown column${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')}`);
+      continue;
+    }
+    const missingKey = keyColumns.filter(c => incoming.some(row => row[c] === undefined || row[c] === null));
+    if (missingKey.length > 0) {
+      errors.push(`${table}: some rows have no ${missingKey.join(', ')}`);
+      continue;
+    }
+
+    const keyOf = row => keyColumns.map(c => row[c]).join(' / ');
+    const rowText = row => JSON.stringify(columns.map(c => row[c] === undefined ? null : row[c]));
+    const currentByKey = new Map(current.map(row => [keyOf(row), rowText(row)]));
+    const incomingByKey = new Map(incoming.map(row => [keyOf(row), rowText(row)]));
+
+    plan[table] = {
+      current: current.length,
+      incoming: incoming.length,
+      added: [...incomingByKey.keys()].filter(k => !currentByKey.has(k)),
+      removed: [...currentByKey.keys()].filter(k => !incomingByKey.has(k)),
+      changed: [...incomingByKey.keys()].filter(k => currentByKey.has(k) && currentByKey.get(k) !== incomingByKey.get(k))
+    };
+  }
+
+  return { errors, tables: plan };
+}
+
+// Replace every state table present in the backup with its rows, exactly
+function importGameState(tables) {
+  const names = Object.keys(STATE_TABLES).filter(table => tables[table] !== undefined);
+  conn().transaction(() => {
+    for (const table of [...names].reverse()) {
+      conn().exec(`DELETE FROM ${table}`);
+    }
+    for (const table of names) {
+      for (const row of tables[table]) {
+        const columns = Object.keys(row);
+        if (columns.length === 0) continue;
+        conn().prepare(`INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(c => '@' + c).join(', ')})`).run(row);
+      }
+    }
+  })();
+}
 
 module.exports = {
   // Participants
   createParticipant,
   getParticipant,
   updateNickname,
+  PARTICIPANT_STATUSES,
+  isNicknameTaken,
+  setParticipantStatus,
+  isLegacySession,
+  markSessionSigned,
+  getAllParticipants,
+  getRecoveryCode,
+  resetRecoveryCode,
+  getParticipantByRecoveryCode,
+  mergeParticipants,
   generateNickname,
   
+  // Teams
+  createTeam,
+  getTeam,
+  getTeamByName,
+  getTeamByJoinCode,
+  getTeams,
+  renameTeam,
+  setParticipantTeam,
+  getTeamMembers,
+  getTeamSolvedPuzzleIds,
+  mergeTeams,
+  balanceTeams,
+  getTeamStandings,
+
   // Solves
   recordSolve,
   hasParticipantSolved,
@@ -342,6 +1189,30 @@ module.exports = {
   getContributors,
   getParticipantSolveCount,
   getParticipantSolvedPuzzles,
+  getScopeSolvedPuzzleIds,
+
+  // Points
+  setSolvePoints,
+  recordWrongAnswer,
+  getWrongAnswerCount,
+  getPointsLeaderboard,
+  getParticipantPoints,
+
+  // Achievements
+  awardAchievement,
+  getParticipantAchievements,
+  getRecentAchievements,
+
+  // Raffle
+  recordRaffleDraw,
+  getRaffleDraws,
+  getRaffleWinnerIds,
+
+  // Super prize claims
+  claimPrize,
+  getPrizeClaim,
+  confirmPrizeClaim,
+  releasePrizeClaim,
   
   // Global keys
   setGlobalKey,
@@ -354,6 +1225,20 @@ module.exports = {
   setGlobalValue,
   getGlobalValue,
   getPermutationKey,
+  setPermutationKey,
+  getVaultDesign,
+  setVaultDesign,
+  clearVaultDesign,
+  claimVaultWin,
+  getVaultWinner,
+  
+  // Puzzle unlocks & hints
+  markPuzzleUnlocked,
+  getPuzzleUnlockedAt,
+  recordHintReveal,
+  getRevealedHintIndexes,
+  getParticipantHintReveals,
+  getRecentHintReveals,
   
   // Branch status
   getBranchStatus,
@@ -367,5 +1252,15 @@ module.exports = {
   getPuzzleOverride,
   getAllPuzzleOverrides,
   setPuzzleOverride,
-  clearPuzzleOverride
+  setPuzzleDeleted,
+  restorePuzzleOverrides,
+  clearPuzzleOverride,
+  getPuzzleRevisions,
+  getRevisedPuzzleIds,
+  rollbackPuzzleOverride,
+
+  // Backup & restore
+  exportGameState,
+  planGameStateImport,
+  importGameState
 };
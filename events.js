@@ -0,0 +1,284 @@
+/**
+ * File Purpose: Event registry for Midnight Vault - several independent games on one server
+ * High-Level Summary: Each event has a slug, puzzle pack, vault code, prize clue and its own SQLite file;
+ *                     requests run inside an event scope so db.js and puzzles.js see that event's data
+ * Dependencies: better-sqlite3, async_hooks, crypto, ./pack-loader.js, ./schedule.js
+ * Semantic Tags: events, multi-game, database, packs
+ * Version: 1.3.0
+ */
+
+const Database = require('better-sqlite3');
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const packLoader = require('./pack-loader');
+const schedule = require('./schedule');
+
+// The default event is served at the site root and keeps its data in
+// midnight_vault.db (which also holds the event registry), so existing
+// installs and printed QR codes carry on working. Other events live under
+// /e/<slug> with their data in data/<slug>.db.
+const DEFAULT_EVENT = 'main';
+const REGISTRY_FILE = path.join(__dirname, 'midnight_vault.db');
+const DATA_DIR = path.join(__dirname, 'data');
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+
+// Game modes:
+//   coop        - one solve opens the next step for everyone; all share the vault
+//   competitive - each team (or solo player) unlocks its own steps, branches and
+//                 vault; the first to open the vault wins
+const GAME_MODES = ['coop', 'competitive'];
+
+const scope = new AsyncLocalStorage();
+const loaded = new Map(); // slug -> event with pack and db attached
+let registry = null;
+
+/**
+ * Open a SQLite file with the settings every event database uses
+ * @param {string} file
+ * @returns {Database}
+ */
+function openDatabase(file) {
+  const handle = new Database(file);
+  handle.pragma('journal_mode = WAL');
+  return handle;
+}
+
+/**
+ * The registry database, opened (and the default event seeded) on first use
+ * @returns {Database}
+ */
+function getRegistry() {
+  if (registry) return registry;
+
+  registry = openDatabase(REGISTRY_FILE);
+  registry.exec(`
+    CREATE TABLE IF NOT EXISTS events (
+      slug TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      pack_id TEXT,
+      vault_code TEXT,
+      prize_clue TEXT,
+      status TEXT NOT NULL DEFAULT 'active',
+      mode TEXT NOT NULL DEFAULT 'coop',
+      cloned_from TEXT,
+      timezone TEXT,
+      target_at TEXT,
+      celebration_text TEXT,
+      created_at TEXT NOT NULL DEFAULT (datetime('now')),
+      archived_at TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS settings (
+      name TEXT PRIMARY KEY,
+      value TEXT NOT NULL
+    );
+  `);
+  // Columns added after the first release
+  const columns = registry.prepare('PRAGMA table_info(events)').all().map(c => c.name);
+  if (!columns.includes('mode')) {
+    registry.exec("ALTER TABLE events ADD COLUMN mode TEXT NOT NULL DEFAULT 'coop'");
+  }
+  for (const column of ['timezone', 'target_at', 'celebration_text']) {
+    if (!columns.includes(column)) registry.exec(`ALTER TABLE events ADD COLUMN ${column} TEXT`);
+  }
+  // NULL pack/code/clue on the default event mean "use PUZZLE_PACK, VAULT_CODE, PRIZE_CLUE"
+  registry.prepare('INSERT OR IGNORE INTO events (slug, name) VALUES (?, ?)').run(DEFAULT_EVENT, 'Midnight Vault');
+  return registry;
+}
+
+/**
+ * Pack name an event plays, falling back to PUZZLE_PACK
+ * @param {object} row - Event row
+ * @returns {string}
+ */
+function resolvePackId(row) {
+  return row.pack_id || process.env.PUZZLE_PACK || packLoader.DEFAULT_PACK;
+}
+
+/**
+ * Get an event by slug with its pack loaded and database open
+ * @param {string} slug
+ * @returns {object|null} - Event row plus { pack, db }, or null if unknown
+ * @throws {Error} - If the event's pack fails to load
+ */
+function getEvent(slug) {
+  const row = getRegistry().prepare('SELECT * FROM events WHERE slug = ?').get(slug);
+  if (!row) return null;
+
+  const cached = loaded.get(slug);
+  if (cached) {
+    // Settings can change from the admin; pack and db handle stay put
+    Object.assign(cached, row);
+    return cached;
+  }
+
+  const event = {
+    ...row,
+    pack: packLoader.loadPack(resolvePackId(row)),
+    db: slug === DEFAULT_EVENT ? getRegistry() : openEventDatabase(slug)
+  };
+  loaded.set(slug, event);
+  return event;
+}
+
+/**
+ * Open the data file for a non-default event
+ * @param {string} slug
+ * @returns {Database}
+ */
+function openEventDatabase(slug) {
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  return openDatabase(path.join(DATA_DIR, `${slug}.db`));
+}
+
+/**
+ * List all events, default first, then newest
+ * @returns {object[]} - Event rows with pack_id resolved
+ */
+function listEvents() {
+  const rows = getRegistry().prepare(`
+    SELECT * FROM events
+    ORDER BY slug = ? DESC, status = 'archived', created_at DESC
+  `).all(DEFAULT_EVENT);
+  return rows.map(row => ({ ...row, pack_id: resolvePackId(row) }));
+}
+
+/**
+ * Check a game mode name
+ * @param {string} mode
+ * @throws {Error} - If it isn't one of GAME_MODES
+ */
+function checkMode(mode) {
+  if (!GAME_MODES.includes(mode)) {
+    throw new Error(`Mode must be one of: ${GAME_MODES.join(', ')}`);
+  }
+}
+
+/**
+ * Check an event's schedule settings (blank ones fall back to schedule.js's defaults)
+ * @param {object} settings - { timezone, target_at }
+ * @throws {Error} - If the timezone is unknown or the target time malformed
+ */
+function checkSchedule({ timezone, target_at }) {
+  if (timezone) schedule.checkTimezone(timezone);
+  if (target_at) schedule.parseTarget(target_at);
+}
+
+/**
+ * Create a new event
+ * @param {object} settings - { slug, name, pack_id, vault_code, prize_clue, mode, cloned_from,
+ *                              timezone, target_at, celebration_text }
+ * @returns {object} - The new event (see getEvent)
+ * @throws {Error} - If the slug is invalid or taken, the mode or timezone is unknown, the target time
+ *                   is malformed, or the pack doesn't load
+ */
+function createEvent({ slug, name, pack_id, vault_code = null, prize_clue = null, mode = 'coop', cloned_from = null,
+  timezone = null, target_at = null, celebration_text = null }) {
+  slug = (slug || '').trim().toLowerCase();
+  if (!SLUG_PATTERN.test(slug)) {
+    throw new Error('Slug must be 1-32 lowercase letters, digits or dashes');
+  }
+  checkMode(mode);
+  timezone = (timezone || '').trim() || null;
+  target_at = (target_at || '').trim() || null;
+  checkSchedule({ timezone, target_at });
+  if (getRegistry().prepare('SELECT 1 FROM events WHERE slug = ?').get(slug)) {
+    throw new Error(`An event called "${slug}" already exists`);
+  }
+  packLoader.loadPack(pack_id); // Refuse packs that wouldn't load
+
+  getRegistry().prepare(`
+    INSERT INTO events (slug, name, pack_id, vault_code, prize_clue, mode, cloned_from, timezone, target_at, celebration_text)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(slug, (name || '').trim() || slug, pack_id, vault_code || null, prize_clue || null, mode, cloned_from,
+    timezone, target_at, (celebration_text || '').trim() || null);
+  return getEvent(slug);
+}
+
+/**
+ * Update an event's name, vault code, prize clue, mode or schedule (blank code/clue fall back to the
+ * env, blank schedule settings to schedule.js's defaults)
+ * @param {string} slug
+ * @param {object} settings - { name, vault_code, prize_clue, mode, timezone, target_at, celebration_text }
+ * @throws {Error} - If the mode or timezone is unknown, or the target time malformed
+ */
+function updateEvent(slug, { name, vault_code, prize_clue, mode, timezone, target_at, celebration_text }) {
+  if (mode !== undefined) checkMode(mode);
+  timezone = (timezone || '').trim() || null;
+  target_at = (target_at || '').trim() || null;
+  checkSchedule({ timezone, target_at });
+  getRegistry().prepare(`
+    UPDATE events SET name = COALESCE(?, name), vault_code = ?, prize_clue = ?, mode = COALESCE(?, mode),
+      timezone = ?, target_at = ?, celebration_text = ? WHERE slug = ?
+  `).run((name || '').trim() || null, vault_code || null, prize_clue || null, mode || null,
+    timezone, target_at, (celebration_text || '').trim() || null, slug);
+}
+
+/**
+ * Archive or restore an event; archived events stay viewable but take no submissions
+ * @param {string} slug
+ * @param {boolean} archived
+ * @throws {Error} - For the default event
+ */
+function setEventArchived(slug, archived) {
+  if (slug === DEFAULT_EVENT) {
+    throw new Error('The default event can\'t be archived');
+  }
+  getRegistry().prepare(`
+    UPDATE events SET status = ?, archived_at = ${archived ? "datetime('now')" : 'NULL'} WHERE slug = ?
+  `).run(archived ? 'archived' : 'active', slug);
+}
+
+/**
+ * A random server-wide secret kept in the registry, created on first use
+ * @param {string} name
+ * @returns {string}
+ */
+function getServerSecret(name) {
+  getRegistry().prepare('INSERT OR IGNORE INTO settings (name, value) VALUES (?, ?)')
+    .run(name, crypto.randomBytes(32).toString('hex'));
+  return getRegistry().prepare('SELECT value FROM settings WHERE name = ?').get(name).value;
+}
+
+/**
+ * Run a function with an event in scope
+ * @param {object} event - As returned by getEvent
+ * @param {function} fn
+ * @returns {*} - Whatever fn returns
+ */
+function runInEvent(event, fn) {
+  return scope.run(event, fn);
+}
+
+/**
+ * The event being served, or the default event outside a request
+ * @returns {object}
+ */
+function currentEvent() {
+  return scope.getStore() || getEvent(DEFAULT_EVENT);
+}
+
+/**
+ * URL prefix for an event's routes ('' for the default event)
+ * @param {object} event
+ * @returns {string}
+ */
+function basePath(event) {
+  return event.slug === DEFAULT_EVENT ? '' : `/e/${event.slug}`;
+}
+
+module.exports = {
+  DEFAULT_EVENT,
+  GAME_MODES,
+  getEvent,
+  listEvents,
+  createEvent,
+  updateEvent,
+  setEventArchived,
+  getServerSecret,
+  runInEvent,
+  currentEvent,
+  basePath
+};
@@ -0,0 +1,109 @@
+/**
+ * File Purpose: Live updates for Midnight Vault over Server-Sent Events
+ * High-Level Summary: Keeps the open /api/live streams of each event and pushes game events
+ *                     (solves, branch completions, unlocks, admin broadcasts) to them as they happen
+ * Dependencies: none
+ * Semantic Tags: live, sse, push, tv, realtime
+ * Version: 1.0.0
+ */
+
+// Event types sent down the stream:
+//   solve           - { puzzleId, title, branch, nickname, isFirst }
+//   branch-complete - { branch, name }
+//   hub-unlock      - {}
+//   vault-unlock    - {}
+//   broadcast       - { message }
+//   tv-playlist     - {} (the TV scene playlist changed; TVs reload)
+//   raffle-draw     - { id } (a raffle winner was drawn; TVs reveal it)
+//   prize-claimed   - { puzzleId } (the host confirmed a super prize; TVs announce it)
+const EVENT_TYPES = ['solve', 'branch-complete', 'hub-unlock', 'vault-unlock', 'broadcast', 'tv-playlist',
+  'raffle-draw', 'prize-claimed'];
+
+// Comment line sent now and then so proxies and phones don't drop an idle stream
+const KEEPALIVE_MS = 25000;
+
+const subscribers = new Map(); // event slug -> Set of { res, scope }
+let keepalive = null;
+
+/**
+ * Start streaming an event's updates to a response. Events tied to a progress
+ * scope (competitive teams and solo players) only reach that scope and
+ * subscribers without one, such as the TV.
+ * @param {string} slug - Event slug
+ * @param {object} req - Express request, watched for the client going away
+ * @param {object} res - Express response
+ * @param {string|null} scope - The subscriber's progress scope, or null for everything
+ */
+function subscribe(slug, req, res, scope = null) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  if (!subscribers.has(slug)) subscribers.set(slug, new Set());
+  const subscriber = { res, scope };
+  subscribers.get(slug).add(subscriber);
+  if (!keepalive) keepalive = setInterval(ping, KEEPALIVE_MS);
+
+  req.on('close', () => {
+    const set = subscribers.get(slug);
+    set.delete(subscriber);
+    if (set.size === 0) subscribers.delete(slug);
+    if (subscribers.size === 0) {
+      clearInterval(keepalive);
+      keepalive = null;
+    }
+  });
+}
+
+/**
+ * Send an event to an event's subscribers
+ * @param {string} slug - Event slug
+ * @param {string} type - One of EVENT_TYPES
+ * @param {object} [data]
+ * @param {string|null} [scope] - Only send to this progress scope (and scope-less subscribers)
+ * @throws {Error} - If the type is unknown
+ */
+function publish(slug, type, data = {}, scope = null) {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Live event type must be one of: ${EVENT_TYPES.join(', ')}`);
+  }
+  const set = subscribers.get(slug);
+  if (!set) return;
+
+  const frame = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+  for (const subscriber of set) {
+    if (scope && subscriber.scope && subscriber.scope !== scope) continue;
+    subscriber.res.write(frame);
+  }
+}
+
+/**
+ * Number of open streams for an event
+ * @param {string} slug
+ * @returns {number}
+ */
+function countSubscribers(slug) {
+  const set = subscribers.get(slug);
+  return set ? set.size : 0;
+}
+
+/**
+ * Keep every open stream alive
+ */
+function ping() {
+  for (const set of subscribers.values()) {
+    for (const { res } of set) res.write(': ping\n\n');
+  }
+}
+
+module.exports = {
+  EVENT_TYPES,
+  subscribe,
+  publish,
+  countSubscribers
+};
@@ -0,0 +1,221 @@
+/**
+ * File Purpose: Load and schema-check puzzle pack JSON files for Midnight Vault
+ * High-Level Summary: Reads packs/<name>.json, checks it against PACK_SCHEMA, returns pack data
+ * Dependencies: fs, path
+ * Semantic Tags: puzzles, packs, config, schema
+ * Version: 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PACKS_DIR = path.join(__dirname, 'packs');
+const DEFAULT_PACK = 'midnight-2026';
+
+// Minimal JSON-schema-style description of a puzzle pack
+const BRANCH_SCHEMA = {
+  type: 'object',
+  required: ['name', 'icon', 'color', 'digits', 'codeWord', 'hint'],
+  properties: {
+    name: { type: 'string' },
+    icon: { type: 'string' },
+    color: { type: 'string' },
+    digits: { type: 'array', items: { type: 'integer' } },
+    codeWord: { type: 'string' },
+    hint: { type: 'string' },
+    mode: { type: 'string' },
+    required: { type: 'integer' }
+  }
+};
+
+const HINT_SCHEMA = {
+  type: 'object',
+  required: ['text'],
+  properties: {
+    text: { type: 'string' },
+    afterMinutes: { type: 'number' },
+    penalty: { type: 'number' }
+  }
+};
+
+const PUZZLE_SCHEMA = {
+  type: 'object',
+  required: ['id', 'branch', 'step', 'title', 'location_hint', 'prompt', 'answer'],
+  properties: {
+    id: { type: 'integer' },
+    branch: { type: 'string' },
+    step: { type: 'integer' },
+    title: { type: 'string' },
+    location_hint: { type: 'string' },
+    prompt: { type: 'string' },
+    answer: { type: 'string' },
+    answerType: { type: 'string' },
+    aliases: { type: 'array', items: { type: 'string' } },
+    tolerance: { type: 'integer' },
+    numericTolerance: { type: 'number' },
+    choices: { type: 'array', items: { type: 'string' } },
+    pattern: { type: 'string' },
+    inputHint: { type: 'string' },
+    collectLetters: { type: 'array', items: { type: 'string' } },
+    successMessage: { type: 'string' },
+    superPrize: { type: 'boolean' },
+    hints: { type: 'array', items: HINT_SCHEMA },
+    requires: { type: 'array', items: { type: 'integer' } }
+  }
+};
+
+const ACHIEVEMENT_SCHEMA = {
+  type: 'object',
+  required: ['id', 'name', 'icon', 'description', 'rule'],
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    icon: { type: 'string' },
+    description: { type: 'string' },
+    rule: { type: 'string' },
+    branch: { type: 'string' },
+    puzzleId: { type: 'integer' },
+    minutes: { type: 'number' },
+    fromHour: { type: 'integer' },
+    toHour: { type: 'integer' },
+    count: { type: 'integer' }
+  }
+};
+
+const PACK_SCHEMA = {
+  type: 'object',
+  required: ['name', 'meta', 'branchOrder', 'branches', 'puzzles'],
+  properties: {
+    name: { type: 'string' },
+    description: { type: 'string' },
+    meta: {
+      type: 'object',
+      required: ['finalPhrase', 'permutationKey'],
+      properties: {
+        finalPhrase: { type: 'array', items: { type: 'string' } },
+        permutationKey: { type: 'string' },
+        hubThreshold: { type: 'integer' },
+        vaultThreshold: { type: 'integer' },
+        vaultCodeLength: { type: 'integer' },
+        hintPenalty: { type: 'number' },
+        hintsCostScore: { type: 'boolean' },
+        scoring: {
+          type: 'object',
+          properties: {
+            solvePoints: { type: 'number' },
+            decayPerMinute: { type: 'number' },
+            minSolvePoints: { type: 'number' },
+            firstSolveBonus: { type: 'number' },
+            hintPoints: { type: 'number' },
+            wrongAnswerPenalty: { type: 'number' }
+          }
+        }
+      }
+    },
+    branchOrder: { type: 'array', items: { type: 'string' } },
+    branches: { type: 'object', additionalProperties: BRANCH_SCHEMA },
+    puzzles: { type: 'array', items: PUZZLE_SCHEMA },
+    achievements: { type: 'array', items: ACHIEVEMENT_SCHEMA }
+  }
+};
+
+/**
+ * Check a value's type against a schema type name
+ * @param {*} value
+ * @param {string} type - object | array | string | integer | number | boolean
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    default: return typeof value === type;
+  }
+}
+
+/**
+ * Recursively check a value against a schema node
+ * @param {*} value - Value to check
+ * @param {object} schema - Schema node
+ * @param {string} where - Path used in error messages
+ * @param {string[]} errors - Collected error messages (mutated)
+ */
+function checkSchema(value, schema, where, errors) {
+  if (!matchesType(value, schema.type)) {
+    errors.push(`${where}: expected ${schema.type}`);
+    return;
+  }
+
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, i) => checkSchema(item, schema.items, `${where}[${i}]`, errors));
+  }
+
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${where}.${key}: is required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = (schema.properties && schema.properties[key]) || schema.additionalProperties;
+      if (childSchema) checkSchema(child, childSchema, `${where}.${key}`, errors);
+    }
+  }
+}
+
+/**
+ * Check a parsed pack against PACK_SCHEMA
+ * @param {object} pack - Parsed pack JSON
+ * @returns {string[]} - Schema errors (empty when valid)
+ */
+function validatePackSchema(pack) {
+  const errors = [];
+  checkSchema(pack, PACK_SCHEMA, 'pack', errors);
+  return errors;
+}
+
+/**
+ * List pack names available in the packs directory
+ * @returns {string[]}
+ */
+function listPacks() {
+  return fs.readdirSync(PACKS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => file.replace(/\.json$/, ''))
+    .sort();
+}
+
+/**
+ * Load a pack by name and check it against the schema
+ * @param {string} name - Pack file name without .json
+ * @returns {object} - Pack data
+ * @throws {Error} - If the file is missing, not JSON, or fails the schema
+ */
+function loadPack(name = DEFAULT_PACK) {
+  const file = path.join(PACKS_DIR, `${path.basename(name)}.json`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Puzzle pack "${name}" not found (available: ${listPacks().join(', ')})`);
+  }
+
+  let pack;
+  try {
+    pack = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Puzzle pack "${name}" is not valid JSON: ${err.message}`);
+  }
+
+  const errors = validatePackSchema(pack);
+  if (errors.length > 0) {
+    throw new Error(`Puzzle pack "${name}" failed schema check:\n  ${errors.join('\n  ')}`);
+  }
+
+  return { ...pack, id: name };
+}
+
+module.exports = {
+  PACKS_DIR,
+  DEFAULT_PACK,
+  PACK_SCHEMA,
+  validatePackSchema,
+  listPacks,
+  loadPack
+};
@@ -0,0 +1,339 @@
+/**
+ * File Purpose: Consistency checks for Midnight Vault puzzle packs
+ * High-Level Summary: Finds broken branch chains, bad digits/permutation, vault code drift and word mismatches
+ * Dependencies: ./pack-loader.js, ./puzzles.js, ./achievements.js
+ * Semantic Tags: puzzles, packs, validation, cli
+ * Version: 1.0.0
+ *
+ * CLI: node pack-validator.js [pack-name]   (exits 1 when errors are found)
+ */
+
+const packLoader = require('./pack-loader');
+const puzzles = require('./puzzles');
+const achievements = require('./achievements');
+
+/**
+ * Sort the letters of a word so anagrams compare equal
+ * @param {string} word
+ * @returns {string}
+ */
+function sortLetters(word) {
+  return puzzles.normalizeAnswer(word).split('').sort().join('');
+}
+
+/**
+ * Check that a permutation key uses each position 1..n exactly once
+ * @param {string} perm - Permutation key (1-indexed positions)
+ * @param {number} n - Expected length
+ * @returns {boolean}
+ */
+function isValidPermutation(perm, n) {
+  if (typeof perm !== 'string') return false;
+  const positions = puzzles.parsePermutation(perm);
+  if (positions.length !== n) return false;
+  const seen = new Set(positions);
+  if (seen.size !== n) return false;
+  for (let i = 1; i <= n; i++) {
+    if (!seen.has(i)) return false;
+  }
+  return true;
+}
+
+/**
+ * Check that a puzzle's answer fits its declared answer type
+ * @param {object} puzzle
+ * @returns {string[]} - Problems found
+ */
+function checkAnswerType(puzzle) {
+  const type = puzzles.getAnswerType(puzzle);
+  const problems = [];
+
+  switch (type) {
+    case 'text':
+      break;
+    case 'number':
+      if (puzzles.parseNumber(puzzle.answer) === null) problems.push(`answer "${puzzle.answer}" is not a number`);
+      break;
+    case 'choice': {
+      const choices = (puzzle.choices || []).map(puzzles.normalizeAnswer);
+      if (choices.length < 2) problems.push('choice answers need at least 2 choices');
+      else if (!choices.includes(puzzles.normalizeAnswer(puzzle.answer))) problems.push(`answer "${puzzle.answer}" is not one of the choices`);
+      break;
+    }
+    case 'sequence': {
+      const sequence = puzzles.getSequence(puzzle);
+      if (sequence.length < 2) problems.push('sequence answers need at least 2 comma-separated items');
+      if (puzzle.choices) {
+        const items = puzzle.choices.map(puzzles.normalizeAnswer).sort().join(',');
+        if (items !== sequence.slice().sort().join(',')) problems.push('sequence choices are not the same items as the answer');
+      }
+      break;
+    }
+    case 'pattern':
+      if (!puzzle.pattern) {
+        problems.push('pattern answers need a pattern');
+      } else {
+        try {
+          new RegExp(puzzle.pattern);
+          if (!puzzles.matchAnswer(puzzle, puzzle.answer).correct) problems.push(`answer "${puzzle.answer}" does not match its own pattern`);
+        } catch (err) {
+          problems.push(`pattern is not a valid regex (${err.message})`);
+        }
+      }
+      break;
+    default:
+      problems.push(`unknown answerType "${type}" (expected ${puzzles.ANSWER_TYPES.join(', ')})`);
+  }
+
+  return problems;
+}
+
+/**
+ * Whether the requires links between puzzles loop back on themselves
+ * @param {object[]} branchPuzzles - Puzzles of one graph branch
+ * @returns {boolean}
+ */
+function hasCycle(branchPuzzles) {
+  const byId = new Map(branchPuzzles.map(p => [p.id, p]));
+  const state = new Map(); // id -> 'visiting' | 'done'
+
+  const visit = id => {
+    if (state.get(id) === 'done') return false;
+    if (state.get(id) === 'visiting') return true;
+    state.set(id, 'visiting');
+    const puzzle = byId.get(id);
+    const looped = (puzzle && puzzle.requires || []).some(visit);
+    state.set(id, 'done');
+    return looped;
+  };
+
+  return branchPuzzles.some(p => visit(p.id));
+}
+
+/**
+ * Derive the vault code a pack produces once every branch is complete
+ * @param {object} pack
+ * @returns {object} - { digits, permuted, vaultCode }
+ */
+function deriveVaultCode(pack) {
+  const digits = pack.branchOrder
+    .map(b => (pack.branches[b] ? pack.branches[b].digits.join('') : ''))
+    .join('');
+  const permuted = puzzles.applyPermutation(digits, pack.meta.permutationKey);
+  return { digits, permuted, vaultCode: permuted ? permuted.slice(0, puzzles.getVaultCodeLength(pack)) : null };
+}
+
+/**
+ * Validate a puzzle pack
+ * @param {object} pack - Pack data (as returned by loadPack, optionally with overrides applied)
+ * @param {object} options
+ * @param {string} [options.vaultCode] - VAULT_CODE setting to compare against the derived code
+ * @param {string} [options.storedPermutationKey] - perm value from global_values
+ * @returns {object} - { errors: Issue[], warnings: Issue[], derived } where Issue = { check, message }
+ */
+function validatePack(pack, options = {}) {
+  const errors = [];
+  const warnings = [];
+  const error = (check, message) => errors.push({ check, message });
+  const warn = (check, message) => warnings.push({ check, message });
+
+  // Schema first: the remaining checks assume the shape is right
+  for (const message of packLoader.validatePackSchema(pack)) {
+    error('schema', message);
+  }
+  if (errors.length > 0) return { errors, warnings, derived: null };
+
+  // Branch references
+  for (const branch of pack.branchOrder) {
+    if (!pack.branches[branch]) error('branches', `branchOrder lists "${branch}" but it has no entry in branches`);
+  }
+  if (new Set(pack.branchOrder).size !== pack.branchOrder.length) {
+    error('branches', `branchOrder has duplicates: ${pack.branchOrder.join(', ')}`);
+  }
+
+  // Duplicate ids
+  const idCounts = new Map();
+  for (const p of pack.puzzles) idCounts.set(p.id, (idCounts.get(p.id) || 0) + 1);
+  for (const [id, count] of idCounts) {
+    if (count > 1) error('ids', `Puzzle id ${id} is used ${count} times`);
+  }
+
+  for (const p of pack.puzzles) {
+    if (!pack.branches[p.branch]) error('branches', `Puzzle #${p.id} is in unknown branch "${p.branch}"`);
+    for (const message of checkAnswerType(p)) error('answers', `Puzzle #${p.id}: ${message}`);
+
+    // Hints are revealed in order, so a later hint shouldn't unlock earlier than the one before it
+    const delays = (p.hints || []).map(h => h.afterMinutes || 0);
+    if (delays.some((d, i) => i > 0 && d < delays[i - 1])) {
+      warn('hints', `Puzzle #${p.id} hint delays go down (${delays.join(', ')} min); later hints wait for earlier ones`);
+    }
+  }
+
+  // Steps per branch: 1..n, no gaps, no duplicates
+  for (const branch of Object.keys(pack.branches)) {
+    const branchPuzzles = pack.puzzles.filter(p => p.branch === branch);
+    if (branchPuzzles.length === 0) {
+      if (pack.branchOrder.includes(branch)) error('steps', `Branch ${branch} has no puzzles`);
+      continue;
+    }
+
+    const steps = branchPuzzles.map(p => p.step).sort((a, b) => a - b);
+    const maxStep = steps[steps.length - 1];
+    for (let step = 1; step <= maxStep; step++) {
+      const atStep = branchPuzzles.filter(p => p.step === step);
+      if (atStep.length === 0) {
+        error('steps', `Branch ${branch} is missing step ${step}`);
+      } else if (atStep.length > 1) {
+        error('steps', `Branch ${branch} step ${step} is used by puzzles ${atStep.map(p => '#' + p.id).join(', ')}`);
+      }
+    }
+    if (steps[0] < 1) error('steps', `Branch ${branch} has a step below 1`);
+
+    // Interleaved ids are legal but easy to mis-label when printing QR codes
+    const chain = branchPuzzles.slice().sort((a, b) => a.step - b.step).map(p => p.id);
+    const ascending = chain.every((id, i) => i === 0 || id > chain[i - 1]);
+    if (!ascending) warn('steps', `Branch ${branch} ids are out of step order: ${chain.map(id => '#' + id).join(' → ')}`);
+  }
+
+  // Branch ordering modes
+  for (const [branch, info] of Object.entries(pack.branches)) {
+    const mode = info.mode || 'sequential';
+    const branchPuzzles = pack.puzzles.filter(p => p.branch === branch);
+    const ids = branchPuzzles.map(p => p.id);
+
+    if (!puzzles.BRANCH_MODES.includes(mode)) {
+      error('modes', `Branch ${branch} has unknown mode "${mode}" (expected ${puzzles.BRANCH_MODES.join(', ')})`);
+      continue;
+    }
+    if (mode === 'any' && (info.required === undefined || info.required < 1 || info.required > branchPuzzles.length)) {
+      error('modes', `Branch ${branch} mode "any" needs required between 1 and ${branchPuzzles.length}`);
+    }
+    if (mode !== 'graph' && branchPuzzles.some(p => p.requires)) {
+      warn('modes', `Branch ${branch} puzzles list requires, but only graph branches use it`);
+    }
+    if (mode === 'graph') {
+      for (const p of branchPuzzles) {
+        for (const id of p.requires || []) {
+          if (id === p.id) error('modes', `Puzzle #${p.id} requires itself`);
+          else if (!ids.includes(id)) error('modes', `Puzzle #${p.id} requires #${id}, which is not in branch ${branch}`);
+        }
+      }
+      if (!branchPuzzles.some(p => !p.requires || p.requires.length === 0)) {
+        error('modes', `Branch ${branch} has no entry puzzle (every puzzle requires another)`);
+      }
+      if (hasCycle(branchPuzzles)) error('modes', `Branch ${branch} requires form a cycle`);
+    }
+  }
+
+  // Digits and permutation: one permutation position per earned digit
+  const derived = deriveVaultCode(pack);
+  const positions = puzzles.parsePermutation(pack.meta.permutationKey).length;
+  const codeLength = puzzles.getVaultCodeLength(pack);
+  if (derived.digits.length !== positions) {
+    error('digits', `Branch digits total ${derived.digits.length}, expected ${positions} to match the permutation key (${derived.digits || 'none'})`);
+  }
+  if (!isValidPermutation(pack.meta.permutationKey, positions)) {
+    error('permutation', `Permutation key "${pack.meta.permutationKey}" must use each of 1-${positions} exactly once`);
+  }
+  if (codeLength < 1 || codeLength > derived.digits.length) {
+    error('digits', `vaultCodeLength ${codeLength} must be between 1 and the ${derived.digits.length} branch digits`);
+  }
+
+  // Hub and vault thresholds
+  const branchCount = pack.branchOrder.length;
+  const hubThreshold = puzzles.getHubThreshold(pack);
+  const vaultThreshold = puzzles.getVaultThreshold(pack);
+  if (vaultThreshold < 1 || vaultThreshold > branchCount) {
+    error('thresholds', `vaultThreshold ${vaultThreshold} must be between 1 and ${branchCount} branches`);
+  } else if (vaultThreshold < branchCount) {
+    warn('thresholds', `Vault opens at ${vaultThreshold} of ${branchCount} branches, before every digit is known`);
+  }
+  if (hubThreshold < 1 || hubThreshold > vaultThreshold) {
+    error('thresholds', `hubThreshold ${hubThreshold} must be between 1 and vaultThreshold ${vaultThreshold}`);
+  }
+  if (options.storedPermutationKey && options.storedPermutationKey !== pack.meta.permutationKey) {
+    error('permutation', `Database perm "${options.storedPermutationKey}" differs from pack key "${pack.meta.permutationKey}" (the hub shows the database value)`);
+  }
+
+  // VAULT_CODE drift
+  if (options.vaultCode === undefined || options.vaultCode === null) {
+    warn('vault-code', 'VAULT_CODE is not set, drift check skipped');
+  } else if (derived.vaultCode && options.vaultCode !== derived.vaultCode) {
+    error('vault-code', `VAULT_CODE ${options.vaultCode} differs from the computed code ${derived.vaultCode}`);
+  }
+
+  // collectLetters must anagram into the final step's answer ("any" branches collect a subset)
+  for (const branch of pack.branchOrder) {
+    if (pack.branches[branch] && pack.branches[branch].mode === 'any') continue;
+    const branchPuzzles = pack.puzzles
+      .filter(p => p.branch === branch)
+      .sort((a, b) => a.step - b.step);
+    if (branchPuzzles.length === 0) continue;
+
+    const letters = branchPuzzles.flatMap(p => p.collectLetters || []);
+    if (letters.length === 0) continue;
+
+    const finalStep = branchPuzzles[branchPuzzles.length - 1];
+    if (sortLetters(letters.join('')) !== sortLetters(finalStep.answer)) {
+      error('letters', `Branch ${branch} letters ${letters.join(',')} do not anagram to step ${finalStep.step} answer "${finalStep.answer}"`);
+    }
+  }
+
+  // FINAL_PHRASE must be made of the branch code words
+  const codeWords = pack.branchOrder
+    .filter(b => pack.branches[b])
+    .map(b => puzzles.normalizeAnswer(pack.branches[b].codeWord))
+    .sort();
+  const phraseWords = pack.meta.finalPhrase.map(w => puzzles.normalizeAnswer(w)).sort();
+  if (codeWords.join(' ') !== phraseWords.join(' ')) {
+    error('final-phrase', `FINAL_PHRASE "${pack.meta.finalPhrase.join(' ')}" does not match branch code words (${codeWords.join(', ')})`);
+  }
+
+  // Achievements: unique ids, known rules, and the fields each rule reads
+  const achievementIds = (pack.achievements || []).map(a => a.id);
+  for (const a of pack.achievements || []) {
+    if (achievementIds.filter(id => id === a.id).length > 1) error('achievements', `Achievement id "${a.id}" is used more than once`);
+    if (!achievements.RULE_NAMES.includes(a.rule)) {
+      error('achievements', `Achievement "${a.id}" has unknown rule "${a.rule}" (expected ${achievements.RULE_NAMES.join(', ')})`);
+    }
+    if (a.branch !== undefined && !pack.branchOrder.includes(a.branch)) error('achievements', `Achievement "${a.id}" names unknown branch "${a.branch}"`);
+    if (a.rule === 'puzzle' && !pack.puzzles.some(p => p.id === a.puzzleId)) error('achievements', `Achievement "${a.id}" needs a puzzleId from this pack`);
+    if (a.rule === 'lightning' && !(a.minutes > 0)) error('achievements', `Achievement "${a.id}" needs minutes above 0`);
+    if (a.rule === 'solveCount' && !(a.count > 0)) error('achievements', `Achievement "${a.id}" needs a count above 0`);
+    if (a.rule === 'timeOfDay' && ![a.fromHour, a.toHour].every(h => h >= 0 && h <= 23)) {
+      error('achievements', `Achievement "${a.id}" needs fromHour and toHour between 0 and 23`);
+    }
+  }
+
+  return { errors, warnings, derived };
+}
+
+// CLI entry point
+if (require.main === module) {
+  const name = process.argv[2] || process.env.PUZZLE_PACK || packLoader.DEFAULT_PACK;
+  let pack;
+  try {
+    pack = packLoader.loadPack(name);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+
+  const { errors, warnings, derived } = validatePack(pack, { vaultCode: process.env.VAULT_CODE });
+
+  console.log(`Pack: ${pack.name} (${name})`);
+  if (derived) {
+    console.log(`Digits ${derived.digits} → permuted ${derived.permuted || '-'} → vault code ${derived.vaultCode || '-'}`);
+  }
+  for (const w of warnings) console.log(`  WARN  [${w.check}] ${w.message}`);
+  for (const e of errors) console.log(`  ERROR [${e.check}] ${e.message}`);
+  console.log(errors.length === 0 ? 'OK' : `${errors.length} error(s)`);
+  process.exit(errors.length === 0 ? 0 : 1);
+}
+
+module.exports = {
+  isValidPermutation,
+  checkAnswerType,
+  deriveVaultCode,
+  validatePack
+};
@@ -0,0 +1,87 @@
+/**
+ * File Purpose: Live updates for Midnight Vault phone pages
+ * High-Level Summary: Listens to the event's /api/live stream (body data-live), pops up a toast for each
+ *                     game event and re-renders the page's [data-live-region] sections when the event type
+ *                     is in body data-live-refresh, leaving alone any section someone is typing in
+ * Dependencies: none (EventSource)
+ * Semantic Tags: live, sse, client, toast
+ * Version: 1.0.0
+ */
+
+(function () {
+  const body = document.body;
+  if (!body.dataset.live || !window.EventSource) return;
+
+  const refreshOn = (body.dataset.liveRefresh || '').split(' ').filter(Boolean);
+  const source = new EventSource(body.dataset.live);
+
+  const describe = {
+    'solve': d => (d.isFirst ? '⚡ ' : '✔ ') + (d.nickname || 'Someone') + ' solved ' + d.title,
+    'branch-complete': d => '🎉 ' + d.name + ' branch complete!',
+    'hub-unlock': () => '🔓 The Hub is unlocked!',
+    'vault-unlock': () => '🔓 The Vault is unlocked!',
+    'broadcast': d => '📣 ' + d.message
+  };
+
+  Object.keys(describe).forEach(type => {
+    source.addEventListener(type, e => {
+      toast(describe[type](JSON.parse(e.data)), type === 'broadcast');
+      if (refreshOn.includes(type)) scheduleRefresh();
+    });
+  });
+
+  // Stack toasts in one corner; broadcasts stay up longer
+  function toast(text, sticky) {
+    let stack = document.getElementById('live-toasts');
+    if (!stack) {
+      stack = document.createElement('div');
+      stack.id = 'live-toasts';
+      stack.className = 'live-toasts';
+      body.appendChild(stack);
+    }
+    const el = document.createElement('div');
+    el.className = 'live-toast' + (sticky ? ' broadcast' : '');
+    el.textContent = text;
+    el.addEventListener('click', () => el.remove());
+    stack.appendChild(el);
+    setTimeout(() => el.remove(), sticky ? 15000 : 5000);
+  }
+
+  // A solve can bring a branch completion and an unlock with it; render once for the lot
+  let refreshTimer = null;
+  function scheduleRefresh() {
+    clearTimeout(refreshTimer);
+    refreshTimer = setTimeout(refresh, 400);
+  }
+
+  async function refresh() {
+    let fresh;
+    try {
+      const html = await (await fetch(location.href, { credentials: 'same-origin' })).text();
+      fresh = new DOMParser().parseFromString(html, 'text/html');
+    } catch (err) {
+      return; // Try again on the next event
+    }
+    document.querySelectorAll('[data-live-region]').forEach(region => {
+      const next = fresh.getElementById(region.id);
+      if (!next || isEditing(region)) return;
+      region.replaceWith(next);
+      runScripts(next);
+    });
+  }
+
+  // Someone is typing an answer or has changed a field in this section
+  function isEditing(region) {
+    return region.contains(document.activeElement) && document.activeElement !== body
+      || Array.from(region.querySelectorAll('input, textarea')).some(el => el.value !== el.defaultValue);
+  }
+
+  // Parsed scripts don't run, so swap in fresh copies
+  function runScripts(region) {
+    region.querySelectorAll('script').forEach(old => {
+      const script = document.createElement('script');
+      script.textContent = old.textContent;
+      old.replaceWith(script);
+    });
+  }
+})();
@@ -1,189 +1,29 @@
 /**
- * File Purpose: Puzzle data with parallel branch structure for Midnight Vault
- * High-Level Summary: 4 branches (F/M/D/B) x 3 puzzles each, sequential within branch
- * Dependencies: None
- * Semantic Tags: puzzles, branches, game-data
- * Version: 2.0.0
- */
-
-// Branch order for digit concatenation
-const BRANCH_ORDER = ['L', 'H', 'J', 'P'];
-
-// Branch metadata
-const BRANCHES = {
-  L: { name: 'LEGO', icon: '🧱', color: '#e74c3c', digits: [4, 1], codeWord: 'MIDNIGHT', hint: 'Build a Lego set, show the host' },
-  H: { name: 'HIDDEN', icon: '🔍', color: '#9b59b6', digits: [8, 2], codeWord: 'BREAK', hint: 'Find the hidden QR codes!' },
-  J: { name: 'JIGSAW', icon: '🧩', color: '#3498db', digits: [0, 9], codeWord: 'FEARLESS', hint: 'Complete the jigsaw, show the host' },
-  P: { name: 'PUZZLE BOX', icon: '📦', color: '#27ae60', digits: [5, 3], codeWord: 'AGAIN', hint: 'Open the puzzle box to get QR' },
-  X: { name: 'SUPER PRIZE', icon: '⭐', color: '#f1c40f', digits: [], codeWord: '', hint: 'Super secret bonus!' }
-};
+ * File Purpose: Puzzle logic for Midnight Vault, backed by the active puzzle pack
+ * High-Level Summary: Lookups, answer checks and vault code math over the current event's pack
+ * Dependencies: ./events.js
+ * Semantic Tags: puzzles, branches, game-data, packs
+ * Version: 2.5.0
+ */
 
-// Final phrase when all branches complete: "MIDNIGHT FEARLESS BREAK AGAIN"
-const FINAL_PHRASE = ['MIDNIGHT', 'FEARLESS', 'BREAK', 'AGAIN'];
-
-// Permutation key (1-indexed positions) - revealed at hub
-const PERMUTATION_KEY = '26153478';
-
-// 12 puzzles: 3 per branch, sequential steps within each branch
-// Physical puzzle (Lego/Hidden/Jigsaw/Puzzle Box) reveals QR1, then chain continues
-const PUZZULAR = [
-  // LEGO branch (L1, L2, L3) - Chain puzzles, collect letters → MIDNIGHT
-  // Build Lego set, get QR from host. Each puzzle gives letters.
-  {
-    id: 1,
-    branch: 'L',
-    step: 1,
-    title: 'Lego Chain 1',
-    location_hint: 'Complete a Lego set, show the host!',
-    prompt: 'You built a Lego set! Type START to begin the LEGO chain.',
-    answer: 'START',
-    collectLetters: ['M', 'I', 'D'],
-    successMessage: 'Collect these letters: M, I, D - Write them down!'
-  },
-  {
-    id: 2,
-    branch: 'L',
-    step: 2,
-    title: 'Lego Chain 2',
-    location_hint: 'LEGO STATION - QR #2 is under Lego Darth Vader in Austin\'s office',
-    prompt: 'Taylor\'s lucky number is?',
-    answer: '13',
-    collectLetters: ['N', 'I', 'G'],
-    successMessage: 'Collect these letters: N, I, G - Add them to your list!'
-  },
-  {
-    id: 3,
-    branch: 'L',
-    step: 3,
-    title: 'Lego Chain 3',
-    location_hint: 'LEGO STATION - QR #3 is on the Lego picture frame on the credenza',
-    prompt: 'Unscramble all 8 letters you collected (T,H,G,I,N,D,I,M) for a Taylor Swift album!',
-    answer: 'MIDNIGHT',
-    collectLetters: ['H', 'T'],
-    successMessage: 'MIDNIGHT! You cracked the LEGO chain!'
-  },
-
-  // HIDDEN branch (H1, H2, H3) - Find hidden QRs, collect letters → BREAK
-  // User will set actual hiding spots. Each puzzle gives letters.
-  {
-    id: 4,
-    branch: 'H',
-    step: 1,
-    title: 'Hidden Hunt 1',
-    location_hint: 'Under the shelf, under the metal car',
-    prompt: 'You found it! What Taylor song says "Band-aids don\'t fix bullet holes"?',
-    answer: 'BAD BLOOD',
-    collectLetters: ['B', 'R'],
-    successMessage: 'Collect letters: B, R - HINT: Time and space hold another secret...'
-  },
-  {
-    id: 5,
-    branch: 'H',
-    step: 2,
-    title: 'Hidden Hunt 2',
-    location_hint: 'In the TARDIS cabinet',
-    prompt: 'Nice find! Taylor\'s song about a scarf left behind is "All Too ____"',
-    answer: 'WELL',
-    collectLetters: ['E', 'A'],
-    successMessage: 'Collect letters: E, A - HINT: Check where time is measured in the kitchen...'
-  },
-  {
-    id: 6,
-    branch: 'H',
-    step: 3,
-    title: 'Hidden Hunt 3',
-    location_hint: 'On the kitchen timer in the kitchen drawer',
-    prompt: 'Unscramble your 5 letters (K,A,E,R,B) - Taylor says "we are never getting back together" after a ____',
-    answer: 'BREAK',
-    collectLetters: ['K'],
-    successMessage: 'Collect letter: K - HINT: Something metallic sits low on a shelf...'
-  },
-
-  // PUZZLE BOX branch (P1, P2, P3) - Riddles, collect letters → AGAIN
-  // Open puzzle box to get QR1. Each puzzle is a riddle.
-  // Chain: 7 → 11 → 12
-  {
-    id: 7,
-    branch: 'P',
-    step: 1,
-    title: 'Riddle 1',
-    location_hint: 'Inside the puzzle box',
-    prompt: 'You opened the puzzle box! Type START to begin the PUZZLE BOX chain.',
-    answer: 'START',
-    collectLetters: ['A', 'G'],
-    successMessage: 'Collect these letters: A, G - Write them down!'
-  },
-  {
-    id: 8,
-    branch: 'J',
-    step: 2,
-    title: 'Word Puzzle 2',
-    location_hint: 'JIGSAW STATION - QR #2 is inside the door going outside, on the door frame',
-    prompt: 'Unscramble: VEROL (A Taylor album about romance)',
-    answer: 'LOVER',
-    collectLetters: ['R', 'L', 'E'],
-    successMessage: 'Collect these letters: R, L, E - Add them to your list!'
-  },
-  {
-    id: 9,
-    branch: 'J',
-    step: 3,
-    title: 'Word Puzzle 3',
-    location_hint: 'JIGSAW STATION - QR #3 is on the clock',
-    prompt: 'Unscramble all 8 letters (S,S,E,L,R,A,E,F) for a Taylor Swift album about being brave!',
-    answer: 'FEARLESS',
-    collectLetters: ['S', 'S'],
-    successMessage: 'FEARLESS! You conquered the JIGSAW word puzzles!'
-  },
-
-  // JIGSAW branch (J1, J2, J3) - Word puzzles, collect letters → FEARLESS
-  // Complete jigsaw, get QR from host. Each puzzle is a word game.
-  // Chain: 10 → 8 → 9
-  {
-    id: 10,
-    branch: 'J',
-    step: 1,
-    title: 'Word Puzzle 1',
-    location_hint: 'Complete the jigsaw, show the host!',
-    prompt: 'You completed the jigsaw! Type START to begin the JIGSAW chain.',
-    answer: 'START',
-    collectLetters: ['F', 'E', 'A'],
-    successMessage: 'Collect these letters: F, E, A - Write them down!'
-  },
-  {
-    id: 11,
-    branch: 'P',
-    step: 2,
-    title: 'Riddle 2',
-    location_hint: 'PUZZLE BOX STATION - QR #2 is next to the TV',
-    prompt: 'Taylor sings "We Are Never Getting Back Together" - what\'s another word for "getting back together"?',
-    answer: 'REUNITING',
-    collectLetters: ['A', 'I'],
-    successMessage: 'Collect these letters: A, I - Add them to your list!'
-  },
-  {
-    id: 12,
-    branch: 'P',
-    step: 3,
-    title: 'Riddle 3',
-    location_hint: 'PUZZLE BOX STATION - QR #3 is on Austin\'s phone',
-    prompt: 'Unscramble your 5 letters (N,I,A,G,A). Taylor has a song "Begin ______"',
-    answer: 'AGAIN',
-    collectLetters: ['N'],
-    successMessage: 'AGAIN! You solved the PUZZLE BOX riddles!'
-  },
-
-  // SUPER HIDDEN PRIZE - Special bonus QR for top earner
-  {
-    id: 14,
-    branch: 'X',
-    step: 1,
-    title: 'Super Hidden Prize',
-    location_hint: 'SUPER SECRET LOCATION',
-    prompt: 'Congratulations! You found the super secret prize! Show this to the host to claim your reward!',
-    answer: 'WINNER'
-  }
-];
+const events = require('./events');
+
+/**
+ * Get the active puzzle pack (the pack of the event being served, with admin edits)
+ * @returns {object}
+ */
+function getPack() {
+  return events.currentEvent().pack;
+}
+
+/**
+ * Get the active pack as loaded from packs/<id>.json, without admin edits
+ * @returns {object}
+ */
+function getBasePack() {
+  const event = events.currentEvent();
+  return event.basePack || event.pack;
+}
 
 /**
  * Normalize an answer for comparison
@@ -194,32 +34,493 @@ function normalizeAnswer(input) {
   return input.trim().toUpperCase().replace(/[^A-Z0-9]/g, '');
 }
 
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+/**
+ * All accepted spellings of a puzzle's answer (answer + aliases), normalized
+ * @param {object} puzzle
+ * @returns {string[]}
+ */
+function getAcceptedAnswers(puzzle) {
+  return [puzzle.answer, ...(puzzle.aliases || [])]
+    .map(normalizeAnswer)
+    .filter(Boolean);
+}
+
+// Number words for "thirteen"-style numeric answers
+const NUMBER_WORDS = {
+  ZERO: 0, ONE: 1, TWO: 2, THREE: 3, FOUR: 4, FIVE: 5, SIX: 6, SEVEN: 7, EIGHT: 8, NINE: 9,
+  TEN: 10, ELEVEN: 11, TWELVE: 12, THIRTEEN: 13, FOURTEEN: 14, FIFTEEN: 15, SIXTEEN: 16,
+  SEVENTEEN: 17, EIGHTEEN: 18, NINETEEN: 19, TWENTY: 20, THIRTY: 30, FORTY: 40, FIFTY: 50,
+  SIXTY: 60, SEVENTY: 70, EIGHTY: 80, NINETY: 90
+};
+const NUMBER_SCALES = { HUNDRED: 100, THOUSAND: 1000 };
+
+/**
+ * Parse a numeric answer written as digits or English words
+ * @param {string} input - e.g. "13", "1,000", "-2.5", "thirteen", "twenty-one"
+ * @returns {number|null}
+ */
+function parseNumber(input) {
+  const text = String(input).trim().replace(/,/g, '');
+  if (/^-?\d+(\.\d+)?$/.test(text)) return parseFloat(text);
+
+  const words = text.toUpperCase().replace(/[^A-Z]+/g, ' ').trim().split(' ').filter(w => w && w !== 'AND');
+  if (words.length === 0) return null;
+  let total = 0;
+  let current = 0;
+  for (const word of words) {
+    if (NUMBER_WORDS[word] !== undefined) {
+      current += NUMBER_WORDS[word];
+    } else if (word === 'HUNDRED') {
+      current = (current || 1) * NUMBER_SCALES.HUNDRED;
+    } else if (word === 'THOUSAND') {
+      total += (current || 1) * NUMBER_SCALES.THOUSAND;
+      current = 0;
+    } else {
+      return null;
+    }
+  }
+  return total + current;
+}
+
+/**
+ * Free text: answer or any alias, with edit-distance tolerance
+ * A near miss ("close") is within tolerance plus a quarter of the answer length.
+ */
+function matchText(puzzle, userAnswer) {
+  const input = normalizeAnswer([].concat(userAnswer).join(' '));
+  if (!input) return { correct: false, close: false };
+
+  const tolerance = puzzle.tolerance || 0;
+  let close = false;
+  for (const accepted of getAcceptedAnswers(puzzle)) {
+    if (input === accepted) return { correct: true, close: false };
+    const distance = editDistance(input, accepted);
+    if (distance <= tolerance) return { correct: true, close: false };
+    if (distance <= tolerance + Math.max(1, Math.floor(accepted.length / 4))) close = true;
+  }
+  return { correct: false, close };
+}
+
+/**
+ * Number: digits or words, within numericTolerance of the answer
+ * Close when within a further 10% of the answer (at least 1).
+ */
+function matchNumber(puzzle, userAnswer) {
+  const value = parseNumber([].concat(userAnswer).join(' '));
+  const target = parseNumber(puzzle.answer);
+  if (value === null || target === null) return matchText(puzzle, userAnswer);
+
+  const diff = Math.abs(value - target);
+  const tolerance = puzzle.numericTolerance || 0;
+  if (diff <= tolerance) return { correct: true, close: false };
+  return { correct: false, close: diff <= tolerance + Math.max(1, Math.abs(target) * 0.1) };
+}
+
+/**
+ * Multiple choice: the picked choice must be the answer
+ */
+function matchChoice(puzzle, userAnswer) {
+  const input = normalizeAnswer([].concat(userAnswer).join(' '));
+  return { correct: getAcceptedAnswers(puzzle).includes(input), close: false };
+}
+
+/**
+ * Ordered sequence: items in the order given by the comma-separated answer
+ * Close when every item is placed and at most two are out of position.
+ */
+function matchSequence(puzzle, userAnswer) {
+  const expected = getSequence(puzzle);
+  const given = [].concat(userAnswer).map(item => normalizeAnswer(String(item)));
+  if (given.length !== expected.length) return { correct: false, close: false };
+
+  const misplaced = expected.filter((item, i) => given[i] !== item).length;
+  const sameItems = given.slice().sort().join(',') === expected.slice().sort().join(',');
+  return { correct: misplaced === 0, close: misplaced > 0 && sameItems && misplaced <= 2 };
+}
+
+/**
+ * Pattern: the trimmed answer must fully match the puzzle's regex (case-insensitive)
+ */
+function matchPattern(puzzle, userAnswer) {
+  const input = [].concat(userAnswer).join(' ').trim();
+  try {
+    return { correct: new RegExp(`^(?:${puzzle.pattern})$`, 'i').test(input), close: false };
+  } catch (err) {
+    return { correct: false, close: false }; // Bad pattern: reported by the pack validator
+  }
+}
+
+const ANSWER_MATCHERS = {
+  text: matchText,
+  number: matchNumber,
+  choice: matchChoice,
+  sequence: matchSequence,
+  pattern: matchPattern
+};
+
+const ANSWER_TYPES = Object.keys(ANSWER_MATCHERS);
+
+/**
+ * Answer type of a puzzle (text when not declared)
+ * @param {object} puzzle
+ * @returns {string}
+ */
+function getAnswerType(puzzle) {
+  return puzzle.answerType || 'text';
+}
+
+/**
+ * Correct order of a sequence puzzle, normalized
+ * @param {object} puzzle - Puzzle whose answer is "ITEM1, ITEM2, ..."
+ * @returns {string[]}
+ */
+function getSequence(puzzle) {
+  return puzzle.answer.split(',').map(normalizeAnswer).filter(Boolean);
+}
+
+/**
+ * Match a user's answer using the puzzle's answer type
+ * @param {object} puzzle - Puzzle (with overrides applied)
+ * @param {string|string[]} userAnswer - String, or array of items for sequence puzzles
+ * @returns {object} - { correct: boolean, close: boolean }
+ */
+function matchAnswer(puzzle, userAnswer) {
+  const matcher = ANSWER_MATCHERS[getAnswerType(puzzle)];
+  if (!matcher || userAnswer === undefined || userAnswer === null) return { correct: false, close: false };
+  return matcher(puzzle, userAnswer);
+}
+
 /**
  * Get a puzzle by ID
- * @param {number} id - Puzzle ID (1-12)
+ * @param {number} id - Puzzle ID
  * @returns {object|null}
  */
 function getPuzzle(id) {
-  return PUZZULAR.find(p => p.id === id) || null;
+  return getPack().puzzles.find(p => p.id === id) || null;
 }
 
 /**
  * Get all puzzles for a branch
- * @param {string} branch - Branch letter (F/M/D/B)
+ * @param {string} branch - Branch letter
  * @returns {object[]}
  */
 function getPuzzlesByBranch(branch) {
-  return PUZZULAR.filter(p => p.branch === branch).sort((a, b) => a.step - b.step);
+  return getPack().puzzles.filter(p => p.branch === branch).sort((a, b) => a.step - b.step);
 }
 
 /**
  * Get puzzle by branch and step
  * @param {string} branch - Branch letter
- * @param {number} step - Step number (1-3)
+ * @param {number} step - Step number (1-based)
  * @returns {object|null}
  */
 function getPuzzleByBranchStep(branch, step) {
-  return PUZZULAR.find(p => p.branch === branch && p.step === step) || null;
+  return getPack().puzzles.find(p => p.branch === branch && p.step === step) || null;
+}
+
+/**
+ * Number of steps in a branch
+ * @param {string} branch - Branch letter
+ * @returns {number}
+ */
+function getStepCount(branch) {
+  return getPack().puzzles.filter(p => p.branch === branch).length;
+}
+
+// Branch ordering modes:
+//   sequential - each step needs the previous step solved (default)
+//   unordered  - every puzzle is open; all must be solved
+//   any        - every puzzle is open; `required` of them complete the branch
+//   graph      - each puzzle lists the puzzle ids it `requires`
+const BRANCH_MODES = ['sequential', 'unordered', 'any', 'graph'];
+
+/**
+ * Ordering mode of a branch
+ * @param {string} branch - Branch letter
+ * @returns {string} - One of BRANCH_MODES
+ */
+function getBranchMode(branch) {
+  const info = getPack().branches[branch];
+  return (info && info.mode) || 'sequential';
+}
+
+/**
+ * Ids of the puzzles that must be solved (globally) before this one opens
+ * @param {object} puzzle
+ * @returns {number[]}
+ */
+function getPrerequisites(puzzle) {
+  switch (getBranchMode(puzzle.branch)) {
+    case 'sequential': {
+      const prev = puzzle.step > 1 ? getPuzzleByBranchStep(puzzle.branch, puzzle.step - 1) : null;
+      return prev ? [prev.id] : [];
+    }
+    case 'graph':
+      return puzzle.requires || [];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Whether a puzzle is open for play
+ * @param {object} puzzle
+ * @param {number[]} solvedIds - Globally solved puzzle ids
+ * @returns {boolean}
+ */
+function isPuzzleUnlocked(puzzle, solvedIds) {
+  return getPrerequisites(puzzle).every(id => solvedIds.includes(id));
+}
+
+/**
+ * Puzzles in the same branch that solving this one opened
+ * @param {object} puzzle - The puzzle just solved
+ * @param {number[]} solvedIds - Globally solved puzzle ids, including this one
+ * @returns {object[]}
+ */
+function getUnlockedBy(puzzle, solvedIds) {
+  return getPuzzlesByBranch(puzzle.branch).filter(p =>
+    getPrerequisites(p).includes(puzzle.id) && isPuzzleUnlocked(p, solvedIds)
+  );
+}
+
+/**
+ * Number of solved puzzles a branch needs to complete
+ * @param {string} branch - Branch letter
+ * @returns {number}
+ */
+function getBranchGoal(branch) {
+  const count = getStepCount(branch);
+  if (getBranchMode(branch) !== 'any') return count;
+  const { required } = getPack().branches[branch];
+  return required !== undefined ? Math.min(required, count) : count;
+}
+
+/**
+ * Whether a scored branch is complete
+ * Sequential branches complete on their final step; others when enough puzzles are solved.
+ * @param {string} branch - Branch letter
+ * @param {number[]} solvedIds - Globally solved puzzle ids
+ * @returns {boolean}
+ */
+function isBranchComplete(branch, solvedIds) {
+  if (!getPack().branchOrder.includes(branch)) return false;
+  const branchPuzzles = getPuzzlesByBranch(branch);
+  if (branchPuzzles.length === 0) return false;
+
+  if (getBranchMode(branch) === 'sequential') {
+    return solvedIds.includes(branchPuzzles[branchPuzzles.length - 1].id);
+  }
+  return branchPuzzles.filter(p => solvedIds.includes(p.id)).length >= getBranchGoal(branch);
+}
+
+/**
+ * Puzzles that count toward progress (bonus branches outside BRANCH_ORDER excluded)
+ * @returns {object[]}
+ */
+function getScoredPuzzles() {
+  return getPack().puzzles.filter(p => getPack().branchOrder.includes(p.branch));
+}
+
+/**
+ * Whether a puzzle is a super prize: only the first correct answer claims it
+ * @param {object} puzzle
+ * @returns {boolean}
+ */
+function isSuperPrize(puzzle) {
+  return !!puzzle.superPrize;
+}
+
+/**
+ * Super prize puzzles in the active pack
+ * @returns {object[]}
+ */
+function getSuperPrizePuzzles() {
+  return getPack().puzzles.filter(isSuperPrize);
+}
+
+/**
+ * Total number of scored puzzles
+ * @returns {number}
+ */
+function getTotalPuzzles() {
+  return getScoredPuzzles().length;
+}
+
+/**
+ * Branches needed to unlock the hub (defaults to half, rounded up)
+ * @param {object} [pack] - Pack to read (defaults to the active pack)
+ * @returns {number}
+ */
+function getHubThreshold(pack = getPack()) {
+  const { hubThreshold } = pack.meta;
+  return hubThreshold !== undefined ? hubThreshold : Math.ceil(pack.branchOrder.length / 2);
+}
+
+/**
+ * Branches needed to unlock the vault (defaults to all of them)
+ * @param {object} [pack] - Pack to read (defaults to the active pack)
+ * @returns {number}
+ */
+function getVaultThreshold(pack = getPack()) {
+  const { vaultThreshold } = pack.meta;
+  return vaultThreshold !== undefined ? vaultThreshold : pack.branchOrder.length;
+}
+
+/**
+ * Number of leading permuted digits that form the vault code
+ * @param {object} [pack] - Pack to read (defaults to the active pack)
+ * @returns {number}
+ */
+function getVaultCodeLength(pack = getPack()) {
+  const { vaultCodeLength } = pack.meta;
+  return vaultCodeLength !== undefined ? vaultCodeLength : 6;
+}
+
+/**
+ * Total digits earned when every branch is complete
+ * @param {object} [pack] - Pack to read (defaults to the active pack)
+ * @returns {number}
+ */
+function getDigitCount(pack = getPack()) {
+  return pack.branchOrder.reduce((sum, b) => sum + (pack.branches[b] ? pack.branches[b].digits.length : 0), 0);
+}
+
+/**
+ * Hints for a puzzle, in reveal order, with defaults filled in
+ * @param {object} puzzle
+ * @returns {object[]} - [{ text, afterMinutes, penalty }]
+ */
+function getHints(puzzle) {
+  const defaultPenalty = getPack().meta.hintPenalty !== undefined ? getPack().meta.hintPenalty : 1;
+  return (puzzle.hints || []).map(hint => ({
+    text: hint.text,
+    afterMinutes: hint.afterMinutes || 0,
+    penalty: hint.penalty !== undefined ? hint.penalty : defaultPenalty
+  }));
+}
+
+/**
+ * Whether revealed hints count against a player's personal score
+ * @returns {boolean}
+ */
+function hintsCostScore() {
+  return !!getPack().meta.hintsCostScore;
+}
+
+// Points model defaults; a pack overrides any of them in meta.scoring
+//   solvePoints        - points for a solve made the moment the step unlocked
+//   decayPerMinute     - points lost per minute between unlock and solve
+//   minSolvePoints     - decay never takes a solve below this
+//   firstSolveBonus    - extra points for the first player to solve a puzzle
+//   hintPoints         - points per unit of hint penalty (with hintsCostScore)
+//   wrongAnswerPenalty - points lost per wrong answer before the solve
+const SCORING_DEFAULTS = {
+  solvePoints: 100,
+  decayPerMinute: 1,
+  minSolvePoints: 25,
+  firstSolveBonus: 50,
+  hintPoints: 20,
+  wrongAnswerPenalty: 5
+};
+
+/**
+ * The active pack's points model, with defaults filled in
+ * @returns {object} - See SCORING_DEFAULTS
+ */
+function getScoring() {
+  return { ...SCORING_DEFAULTS, ...(getPack().meta.scoring || {}) };
+}
+
+/**
+ * Points cost of revealing a hint (0 unless hints cost score)
+ * @param {object} hint - As returned by getHints
+ * @returns {number}
+ */
+function getHintCost(hint) {
+  return hintsCostScore() ? Math.round(hint.penalty * getScoring().hintPoints) : 0;
+}
+
+/**
+ * Points for one solve under the active pack's points model
+ * @param {object} solve
+ * @param {boolean} solve.isFirst - First solve of the puzzle by anyone
+ * @param {number} solve.minutesSinceUnlock - Minutes from the step unlocking to the solve
+ * @param {number} solve.hintCost - Points cost of the hints revealed (see getHintCost)
+ * @param {number} solve.wrongAnswers - Wrong answers given before the solve
+ * @returns {number} - Never below 0
+ */
+function scoreSolve({ isFirst, minutesSinceUnlock, hintCost, wrongAnswers }) {
+  const scoring = getScoring();
+  const speedPoints = Math.max(scoring.minSolvePoints,
+    scoring.solvePoints - Math.floor(Math.max(0, minutesSinceUnlock) * scoring.decayPerMinute));
+  const points = speedPoints
+    + (isFirst ? scoring.firstSolveBonus : 0)
+    - hintCost
+    - wrongAnswers * scoring.wrongAnswerPenalty;
+  return Math.max(0, Math.round(points));
+}
+
+/**
+ * Letters earned from a set of solves, per letter-collecting branch in branch order
+ * Pass a participant's solves, or a team's combined solves for the team's inventory.
+ * @param {number[]} solvedIds - Solved puzzle ids
+ * @returns {object[]} - [{ branch, letters: [{ letter, puzzleId }], total }]
+ */
+function getLetterInventory(solvedIds) {
+  return getPack().branchOrder.map(branch => {
+    const branchPuzzles = getPuzzlesByBranch(branch).filter(p => p.collectLetters && p.collectLetters.length > 0);
+    return {
+      branch,
+      letters: branchPuzzles
+        .filter(p => solvedIds.includes(p.id))
+        .flatMap(p => p.collectLetters.map(letter => ({ letter, puzzleId: p.id }))),
+      total: branchPuzzles.reduce((sum, p) => sum + p.collectLetters.length, 0)
+    };
+  }).filter(entry => entry.total > 0);
+}
+
+/**
+ * Tiles for a puzzle's anagram board: the branch's letters from earlier solves
+ * plus the puzzle's own, which its prompt gives away. Only the last step of a
+ * letter-collecting branch (not in "any" mode) unscrambles, so only it has a board.
+ * @param {object} puzzle
+ * @param {number[]} solvedIds - Solved puzzle ids
+ * @returns {object|null} - { tiles: string[], missing: number }, or null for no board
+ */
+function getAnagramBoard(puzzle, solvedIds) {
+  const branchPuzzles = getPuzzlesByBranch(puzzle.branch);
+  if (getBranchMode(puzzle.branch) === 'any' || branchPuzzles[branchPuzzles.length - 1].id !== puzzle.id) {
+    return null;
+  }
+
+  const earlier = branchPuzzles.filter(p => p.id !== puzzle.id && p.collectLetters && p.collectLetters.length > 0);
+  const own = puzzle.collectLetters || [];
+  if (earlier.length === 0 && own.length === 0) return null;
+
+  return {
+    tiles: [...earlier.filter(p => solvedIds.includes(p.id)).flatMap(p => p.collectLetters), ...own],
+    missing: earlier.filter(p => !solvedIds.includes(p.id)).reduce((sum, p) => sum + p.collectLetters.length, 0)
+  };
 }
 
 /**
@@ -231,7 +532,7 @@ function getPuzzleByBranchStep(branch, step) {
 function checkAnswer(puzzleId, userAnswer) {
   const puzzle = getPuzzle(puzzleId);
   if (!puzzle) return false;
-  return normalizeAnswer(userAnswer) === normalizeAnswer(puzzle.answer);
+  return matchAnswer(puzzle, userAnswer).correct;
 }
 
 /**
@@ -241,25 +542,39 @@ function checkAnswer(puzzleId, userAnswer) {
  */
 function buildDigitsString(completedBranches) {
   let digits = '';
-  for (const branch of BRANCH_ORDER) {
+  for (const branch of getPack().branchOrder) {
     if (completedBranches.includes(branch)) {
-      digits += BRANCHES[branch].digits.join('');
+      digits += getPack().branches[branch].digits.join('');
     }
   }
   return digits;
 }
 
+/**
+ * Parse a permutation key into 1-indexed positions
+ * Keys up to 9 positions may be written run together ("26153478");
+ * longer keys separate positions with commas or spaces ("2,10,1,...").
+ * @param {string} perm - Permutation key
+ * @returns {number[]}
+ */
+function parsePermutation(perm) {
+  const parts = /[,\s]/.test(perm) ? perm.split(/[,\s]+/).filter(Boolean) : perm.split('');
+  return parts.map(pos => parseInt(pos, 10));
+}
+
 /**
  * Apply permutation to digits string
- * @param {string} digits - 8-digit string
+ * @param {string} digits - Digits string, one digit per permutation position
  * @param {string} perm - Permutation key (1-indexed positions)
- * @returns {string} - Permuted string
+ * @returns {string|null} - Permuted string, or null if the lengths don't match
  */
-function applyPermutation(digits, perm = PERMUTATION_KEY) {
-  if (digits.length !== 8 || perm.length !== 8) return null;
+function applyPermutation(digits, perm = getPack().meta.permutationKey) {
+  const positions = parsePermutation(perm);
+  if (digits.length === 0 || digits.length !== positions.length) return null;
   let result = '';
-  for (const pos of perm) {
-    const idx = parseInt(pos, 10) - 1; // Convert to 0-indexed
+  for (const pos of positions) {
+    const idx = pos - 1; // Convert to 0-indexed
+    if (!(idx >= 0 && idx < digits.length)) return null;
     result += digits[idx];
   }
   return result;
@@ -273,69 +588,267 @@ function applyPermutation(digits, perm = PERMUTATION_KEY) {
 function computeVaultCode(completedBranches) {
   const digits = buildDigitsString(completedBranches);
   
-  if (digits.length < 8) {
+  if (digits.length < getDigitCount()) {
     return { digits, permuted: null, vaultCode: null };
   }
   
   const permuted = applyPermutation(digits);
-  const vaultCode = permuted ? permuted.slice(0, 6) : null;
+  const vaultCode = permuted ? permuted.slice(0, getVaultCodeLength()) : null;
   
   return { digits, permuted, vaultCode };
 }
 
+/**
+ * Format 1-indexed positions as a permutation key
+ * @param {number[]} positions
+ * @returns {string} - Run together up to 9 positions, comma-separated beyond
+ */
+function formatPermutation(positions) {
+  return positions.join(positions.length > 9 ? ',' : '');
+}
+
+/**
+ * Shuffle an array in place (Fisher-Yates)
+ * @param {Array} items
+ * @param {function} random - Returns a float in [0, 1)
+ * @returns {Array}
+ */
+function shuffle(items, random) {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+}
+
+/**
+ * Work backwards from a lockbox code to branch digits and a permutation key
+ * Fixed digits are kept where given ("4?" fixes only the first digit of a
+ * branch); every other digit and the permutation are chosen at random.
+ * @param {string} targetCode - Desired vault code, getVaultCodeLength() digits
+ * @param {object} [fixedDigits] - { L: '41', P: '?7', ... } or arrays of digits
+ * @param {function} [random] - RNG returning [0, 1), for repeatable designs
+ * @returns {object} - { branches: { L: [4, 1], ... }, digits, permutationKey, permuted, vaultCode }
+ * @throws {Error} - If the code or fixed digits can't produce a valid design
+ */
+function designVaultCode(targetCode, fixedDigits = {}, random = Math.random) {
+  const target = String(targetCode || '').replace(/\s+/g, '');
+  const codeLength = getVaultCodeLength();
+  if (!/^\d+$/.test(target) || target.length !== codeLength) {
+    throw new Error(`Target code must be ${codeLength} digits`);
+  }
+
+  // One slot per digit position, in branch order
+  const slots = [];
+  for (const branch of getPack().branchOrder) {
+    const size = getPack().branches[branch].digits.length;
+    const fixed = Array.isArray(fixedDigits[branch])
+      ? fixedDigits[branch].map(String)
+      : String(fixedDigits[branch] || '').replace(/\s+/g, '').split('');
+    if (fixed.length > size) {
+      throw new Error(`Branch ${branch} has ${size} digit${size === 1 ? '' : 's'}, got ${fixed.length} fixed`);
+    }
+    for (let i = 0; i < size; i++) {
+      const digit = fixed[i];
+      if (digit !== undefined && !/^[\d?_]?$/.test(digit)) {
+        throw new Error(`Branch ${branch}: "${digit}" is not a digit (use ? to leave one free)`);
+      }
+      slots.push({ branch, digit: /^\d$/.test(digit || '') ? digit : null, fixed: /^\d$/.test(digit || '') });
+    }
+  }
+
+  if (slots.length < codeLength) {
+    throw new Error(`The pack only has ${slots.length} digits for a ${codeLength}-digit code`);
+  }
+
+  // Each code position takes its digit from a distinct slot: reuse matching
+  // fixed digits first, then claim free slots
+  const sources = new Array(codeLength).fill(null);
+  const used = new Set();
+  for (let i = 0; i < codeLength; i++) {
+    const matches = slots.map((slot, idx) => idx).filter(idx => slots[idx].fixed && !used.has(idx) && slots[idx].digit === target[i]);
+    if (matches.length > 0) {
+      sources[i] = shuffle(matches, random)[0];
+      used.add(sources[i]);
+    }
+  }
+  for (let i = 0; i < codeLength; i++) {
+    if (sources[i] !== null) continue;
+    const free = slots.map((slot, idx) => idx).filter(idx => !slots[idx].fixed && !used.has(idx));
+    if (free.length === 0) {
+      throw new Error(`Not enough free digits to place "${target[i]}" - fix fewer digits or include it in the fixed digits`);
+    }
+    sources[i] = shuffle(free, random)[0];
+    used.add(sources[i]);
+    slots[sources[i]].digit = target[i];
+  }
+
+  for (const slot of slots) {
+    if (slot.digit === null) slot.digit = String(Math.floor(random() * 10));
+  }
+
+  const rest = shuffle(slots.map((slot, idx) => idx).filter(idx => !used.has(idx)), random);
+  const permutationKey = formatPermutation([...sources, ...rest].map(idx => idx + 1));
+  const digits = slots.map(slot => slot.digit).join('');
+  const permuted = applyPermutation(digits, permutationKey);
+
+  const branches = {};
+  for (const slot of slots) {
+    (branches[slot.branch] = branches[slot.branch] || []).push(parseInt(slot.digit, 10));
+  }
+
+  return { branches, digits, permutationKey, permuted, vaultCode: permuted.slice(0, codeLength) };
+}
+
+/**
+ * Check a vault design against a pack's branches
+ * @param {object} design - { branches, permutationKey } as from designVaultCode
+ * @param {object} [pack] - Defaults to the active pack as loaded from packs/
+ * @throws {Error} - If the design doesn't fit the pack's branches
+ */
+function checkVaultDesign({ branches, permutationKey }, pack = getBasePack()) {
+  for (const branch of pack.branchOrder) {
+    const digits = (branches || {})[branch];
+    const size = pack.branches[branch].digits.length;
+    if (!Array.isArray(digits) || digits.length !== size || !digits.every(d => Number.isInteger(d) && d >= 0 && d <= 9)) {
+      throw new Error(`Branch ${branch} needs ${size} digit${size === 1 ? '' : 's'} from 0-9`);
+    }
+  }
+  const allDigits = pack.branchOrder.map(b => branches[b].join('')).join('');
+  if (!applyPermutation(allDigits, permutationKey || '')) {
+    throw new Error(`Permutation ${permutationKey} doesn't fit ${allDigits.length} digits`);
+  }
+}
+
+/**
+ * Put an event's vault design over a pack: its branch digits and permutation key.
+ * The pack file is shared by every event playing it, so designs are kept per event.
+ * @param {object} pack - Pack as loaded from packs/
+ * @param {object|null} design - { branches, permutationKey } as saved by the vault designer
+ * @returns {object} - Pack with the design's digits, or the pack itself if there's no design
+ *                     or it no longer fits the pack's branches
+ */
+function applyVaultDesign(pack, design) {
+  if (!design) return pack;
+  try {
+    checkVaultDesign(design, pack);
+  } catch (err) {
+    return pack;
+  }
+
+  const branches = { ...pack.branches };
+  for (const branch of pack.branchOrder) {
+    branches[branch] = { ...pack.branches[branch], digits: design.branches[branch] };
+  }
+  return { ...pack, meta: { ...pack.meta, permutationKey: design.permutationKey }, branches };
+}
+
 /**
  * Get all puzzles
  * @returns {object[]}
  */
 function getAllPuzzles() {
-  return PUZZULAR;
+  return getPack().puzzles;
 }
 
 /**
- * Get puzzle with database overrides applied
- * @param {number} id - Puzzle ID
- * @param {object} db - Database module
- * @returns {object|null}
+ * Apply a puzzle_overrides row to a puzzle
+ * @param {object|null} base - Pack puzzle, or null for a puzzle created in the admin
+ * @param {object} override - puzzle_overrides row
+ * @returns {object|null} - Edited puzzle, or null if deleted or missing required fields
  */
-function getPuzzleWithOverrides(id, db) {
-  const base = getPuzzle(id);
-  if (!base) return null;
-  
-  const override = db.getPuzzleOverride(id);
-  if (!override) return base;
-  
-  return {
-    ...base,
-    location_hint: override.location_hint || base.location_hint,
-    prompt: override.prompt || base.prompt,
-    answer: override.answer ? override.answer.toUpperCase().replace(/[^A-Z0-9]/g, '') : base.answer
-  };
+function applyOverride(base, override) {
+  if (override.deleted) return null;
+
+  const puzzle = { ...(base || { id: override.puzzle_id, location_hint: '', prompt: '' }) };
+  if (override.title) puzzle.title = override.title;
+  if (override.branch) puzzle.branch = override.branch;
+  if (override.step) puzzle.step = override.step;
+  if (override.location_hint) puzzle.location_hint = override.location_hint;
+  if (override.prompt) puzzle.prompt = override.prompt;
+  if (override.answer) puzzle.answer = override.answer.trim();
+  if (override.aliases !== null && override.aliases !== undefined) puzzle.aliases = JSON.parse(override.aliases);
+  if (override.collect_letters !== null && override.collect_letters !== undefined) {
+    puzzle.collectLetters = JSON.parse(override.collect_letters);
+  }
+  if (override.success_message) puzzle.successMessage = override.success_message;
+
+  if (!puzzle.title || !puzzle.branch || !puzzle.step || !puzzle.answer) return null;
+  return puzzle;
 }
 
 /**
- * Get all puzzles with overrides applied
- * @param {object} db - Database module
- * @returns {object[]}
+ * Apply admin edits to a pack: edited and deleted pack puzzles, plus puzzles created in the admin
+ * @param {object} pack - Pack as loaded from packs/
+ * @param {object[]} overrides - puzzle_overrides rows
+ * @returns {object} - Pack with the edited puzzle list
  */
-function getAllPuzzlesWithOverrides(db) {
-  return PUZZULAR.map(p => getPuzzleWithOverrides(p.id, db));
+function applyOverrides(pack, overrides) {
+  if (overrides.length === 0) return pack;
+
+  const byId = new Map(overrides.map(o => [o.puzzle_id, o]));
+  const edited = pack.puzzles.map(p => byId.has(p.id) ? applyOverride(p, byId.get(p.id)) : p);
+  const created = overrides
+    .filter(o => !pack.puzzles.some(p => p.id === o.puzzle_id))
+    .sort((a, b) => a.puzzle_id - b.puzzle_id)
+    .map(o => applyOverride(null, o));
+
+  return { ...pack, puzzles: [...edited, ...created].filter(Boolean) };
 }
 
+// Pack data is exposed through getters so callers always see the active pack
 module.exports = {
-  BRANCH_ORDER,
-  BRANCHES,
-  PERMUTATION_KEY,
-  FINAL_PHRASE,
-  PUZZLES: PUZZULAR,
+  get BRANCH_ORDER() { return getPack().branchOrder; },
+  get BRANCHES() { return getPack().branches; },
+  get PERMUTATION_KEY() { return getPack().meta.permutationKey; },
+  get FINAL_PHRASE() { return getPack().meta.finalPhrase; },
+  get PUZZLES() { return getPack().puzzles; },
+  getPack,
+  getBasePack,
   normalizeAnswer,
+  ANSWER_TYPES,
+  editDistance,
+  parseNumber,
+  getAcceptedAnswers,
+  getAnswerType,
+  getSequence,
+  matchAnswer,
   getPuzzle,
   getPuzzlesByBranch,
   getPuzzleByBranchStep,
+  getStepCount,
+  BRANCH_MODES,
+  getBranchMode,
+  getPrerequisites,
+  isPuzzleUnlocked,
+  getUnlockedBy,
+  getBranchGoal,
+  isBranchComplete,
+  getHints,
+  hintsCostScore,
+  getScoring,
+  getHintCost,
+  scoreSolve,
+  getLetterInventory,
+  getAnagramBoard,
+  getScoredPuzzles,
+  isSuperPrize,
+  getSuperPrizePuzzles,
+  getTotalPuzzles,
+  getHubThreshold,
+  getVaultThreshold,
+  getVaultCodeLength,
+  getDigitCount,
   checkAnswer,
   buildDigitsString,
+  parsePermutation,
   applyPermutation,
   computeVaultCode,
+  formatPermutation,
+  designVaultCode,
+  checkVaultDesign,
+  applyVaultDesign,
   getAllPuzzles,
-  getPuzzleWithOverrides,
-  getAllPuzzlesWithOverrides
+  applyOverride,
+  applyOverrides
 };
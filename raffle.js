@@ -0,0 +1,80 @@
+/**
+ * File Purpose: Raffle drawing for Midnight Vault
+ * High-Level Summary: Builds weighted raffle entries from the leaderboard and draws a winner with a
+ *                     seeded RNG, so any logged draw can be re-run from its seed and entries
+ * Dependencies: crypto
+ * Semantic Tags: raffle, prizes, random, audit
+ * Version: 1.0.0
+ */
+
+const crypto = require('crypto');
+
+// What a player's tickets are counted from
+const WEIGHTINGS = ['solves', 'points'];
+
+/**
+ * Random generator (mulberry32) seeded from any string
+ * @param {string} seed
+ * @returns {function(): number} - Returns floats in [0, 1)
+ */
+function createRng(seed) {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * A fresh seed for a draw that wasn't given one
+ * @returns {string}
+ */
+function generateSeed() {
+  return crypto.randomBytes(4).toString('hex');
+}
+
+/**
+ * Raffle entries from leaderboard rows: one ticket per solve or per point,
+ * leaving out excluded players and anyone without tickets
+ * @param {object[]} players - [{ id, nickname, solves, points }]
+ * @param {string} weighting - One of WEIGHTINGS
+ * @param {string[]} [excludeIds] - Player ids that can't win (e.g. earlier winners)
+ * @returns {object[]} - [{ id, nickname, tickets }] sorted by id, so a draw is repeatable
+ * @throws {Error} - If the weighting is unknown
+ */
+function buildEntries(players, weighting, excludeIds = []) {
+  if (!WEIGHTINGS.includes(weighting)) {
+    throw new Error(`Weighting must be one of: ${WEIGHTINGS.join(', ')}`);
+  }
+  return players
+    .filter(p => !excludeIds.includes(p.id) && p[weighting] > 0)
+    .map(p => ({ id: p.id, nickname: p.nickname, tickets: p[weighting] }))
+    .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0));
+}
+
+/**
+ * Draw one ticket from the entries
+ * @param {object[]} entries - As returned by buildEntries
+ * @param {string} seed
+ * @returns {object|null} - { winner, ticket, totalTickets }, or null with no tickets
+ */
+function drawWinner(entries, seed) {
+  const totalTickets = entries.reduce((sum, e) => sum + e.tickets, 0);
+  if (totalTickets === 0) return null;
+
+  const ticket = Math.floor(createRng(seed)() * totalTickets);
+  let upTo = 0;
+  const winner = entries.find(e => (upTo += e.tickets) > ticket);
+  return { winner, ticket, totalTickets };
+}
+
+module.exports = {
+  WEIGHTINGS,
+  createRng,
+  generateSeed,
+  buildEntries,
+  drawWinner
+};
@@ -0,0 +1,131 @@
+/**
+ * File Purpose: Event schedule for Midnight Vault - when the countdown ends, in the event's own timezone
+ * High-Level Summary: An event counts down to a yearly local time (month, day, hour, minute) in an IANA
+ *                     timezone; the year is worked out from the current date, so the same settings carry
+ *                     over to next year's party and to parties anywhere
+ * Dependencies: none (Intl)
+ * Semantic Tags: schedule, countdown, timezone, events
+ * Version: 1.0.0
+ */
+
+// Used when an event leaves a setting blank: midnight on New Year's Day, US Central
+const DEFAULT_TIMEZONE = 'America/Chicago';
+const DEFAULT_TARGET = '01-01 00:00';
+const DEFAULT_CELEBRATION = 'HAPPY NEW YEAR {year}!';
+
+// After the target passes, celebrate this long before counting down to next year
+const CELEBRATE_HOURS = 12;
+
+const TARGET_PATTERN = /^(\d{2})-(\d{2}) (\d{2}):(\d{2})$/;
+
+/**
+ * Check an IANA timezone name
+ * @param {string} timezone - e.g. 'Europe/London'
+ * @throws {Error} - If the runtime doesn't know it
+ */
+function checkTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (err) {
+    throw new Error(`Unknown timezone "${timezone}" - use a name like America/Chicago or Europe/London`);
+  }
+}
+
+/**
+ * Parse a yearly target time
+ * @param {string} text - 'MM-DD HH:MM' in the event's timezone
+ * @returns {object} - { month, day, hour, minute }
+ * @throws {Error} - If it isn't a real date and time
+ */
+function parseTarget(text) {
+  const match = TARGET_PATTERN.exec(String(text).trim());
+  const [month, day, hour, minute] = match ? match.slice(1).map(Number) : [];
+  // Feb 29 is allowed; years without it roll over to Mar 1
+  const daysInMonth = month ? new Date(Date.UTC(2024, month, 0)).getUTCDate() : 0;
+  if (!match || month < 1 || month > 12 || day < 1 || day > daysInMonth || hour > 23 || minute > 59) {
+    throw new Error('Target time must look like MM-DD HH:MM, e.g. 01-01 00:00 for midnight on New Year\'s Day');
+  }
+  return { month, day, hour, minute };
+}
+
+/**
+ * How far a timezone is ahead of UTC at an instant
+ * @param {number} ms - UTC milliseconds
+ * @param {string} timezone
+ * @returns {number} - Offset in milliseconds
+ */
+function getTimezoneOffset(ms, timezone) {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric'
+  }).formatToParts(new Date(ms)).forEach(({ type, value }) => { parts[type] = Number(value); });
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return local - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * The UTC instant of a local wall-clock time in a timezone
+ * @param {number} year
+ * @param {object} target - As returned by parseTarget
+ * @param {string} timezone
+ * @returns {number} - UTC milliseconds
+ */
+function localTimeToUtc(year, { month, day, hour, minute }, timezone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  // Check the offset again at the result, in case a DST change falls in between
+  const guess = wallClock - getTimezoneOffset(wallClock, timezone);
+  return wallClock - getTimezoneOffset(guess, timezone);
+}
+
+/**
+ * An event's countdown: the target it's heading for and whether it's celebrating one that just passed
+ * @param {object} event - Event row (timezone, target_at, celebration_text may be null for the defaults)
+ * @param {number} [now] - UTC milliseconds
+ * @returns {object} - { timezone, target, year, secsRemaining, celebrating, celebration }
+ */
+function getSchedule(event, now = Date.now()) {
+  const timezone = event.timezone || DEFAULT_TIMEZONE;
+  const target = parseTarget(event.target_at || DEFAULT_TARGET);
+  const localYear = new Date(now + getTimezoneOffset(now, timezone)).getUTCFullYear();
+
+  // The first of last year's, this year's and next year's targets that isn't
+  // more than CELEBRATE_HOURS gone (last year's covers a late-December target)
+  let year = localYear - 1;
+  let targetMs = localTimeToUtc(year, target, timezone);
+  while (now - targetMs > CELEBRATE_HOURS * 60 * 60 * 1000) {
+    year += 1;
+    targetMs = localTimeToUtc(year, target, timezone);
+  }
+
+  return {
+    timezone,
+    target: targetMs,
+    year,
+    secsRemaining: Math.floor((targetMs - now) / 1000),
+    celebrating: now >= targetMs,
+    celebration: (event.celebration_text || DEFAULT_CELEBRATION).replace(/\{year\}/g, year)
+  };
+}
+
+/**
+ * The hour of the day (0-23) in an event's timezone
+ * @param {object} event - Event row
+ * @param {number} [now] - UTC milliseconds
+ * @returns {number}
+ */
+function getLocalHour(event, now = Date.now()) {
+  return new Date(now + getTimezoneOffset(now, event.timezone || DEFAULT_TIMEZONE)).getUTCHours();
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DEFAULT_TARGET,
+  DEFAULT_CELEBRATION,
+  checkTimezone,
+  parseTarget,
+  getSchedule,
+  getLocalHour
+};
@@ -1,9 +1,10 @@
 /**
  * File Purpose: Express server for Midnight Vault (parallel branches version)
- * High-Level Summary: 4 parallel branches, hub unlock at 2, meta at 4
- * Dependencies: express, cookie-parser, ./db.js, ./puzzles.js
- * Semantic Tags: server, express, branches, game-logic
- * Version: 2.0.0
+ * High-Level Summary: Parallel branches from the puzzle pack, hub and vault unlock at pack thresholds;
+ *                     each event runs its own game under /e/<slug> (the default event at the root)
+ * Dependencies: express, cookie-parser, ./db.js, ./puzzles.js (active puzzle pack), ./events.js, ./achievements.js, ./raffle.js
+ * Semantic Tags: server, express, branches, game-logic, events
+ * Version: 2.2.0
  */
 
 const express = require('express');
@@ -11,42 +12,173 @@ const cookieParser = require('cookie-parser');
 const path = require('path');
 const db = require('./db');
 const puzzles = require('./puzzles');
+const packValidator = require('./pack-validator');
+const events = require('./events');
+const packLoader = require('./pack-loader');
+const achievements = require('./achievements');
+const raffle = require('./raffle');
+const live = require('./live');
+const tvScenes = require('./tv-scenes');
+const schedule = require('./schedule');
 
 const app = express();
+// Game routes; mounted once per event below
+const router = express.Router();
+
+// Load the default event up front so a broken pack stops the server at startup
+events.getEvent(events.DEFAULT_EVENT);
 
 // Configuration
 const PORT = process.env.PORT || 3000;
 const VAULT_CODE = process.env.VAULT_CODE || '194082';
 const PRIZE_CLUE = process.env.PRIZE_CLUE || '🪅 PIÑATA TIME! 🪅 Gather everyone - time to smash the piñata!';
 const ADMIN_KEY = process.env.ADMIN_KEY || 'supersecret2024';
+const BACKUP_FORMAT = 'midnight-vault-backup';
+
+// Participant cookies are signed. COOKIE_SECRET may list several secrets
+// separated by commas: the first signs new cookies and the rest are still
+// accepted, so a secret can be rotated without sending everyone back to the
+// start. Without it a random secret is made once and kept in the registry.
+// A generated secret isn't part of a backup, so cookies stop working when a
+// backup is restored on another machine (the backup page warns about it).
+const COOKIE_SECRETS = (process.env.COOKIE_SECRET || '').split(',').map(s => s.trim()).filter(Boolean);
+const COOKIE_SECRET_FROM_ENV = COOKIE_SECRETS.length > 0;
+if (!COOKIE_SECRET_FROM_ENV) COOKIE_SECRETS.push(events.getServerSecret('cookie_secret'));
 
-// NYE Countdown state (in-memory)
-let nyeCountdownStart = null; // Timestamp when 10-second countdown started
+// NYE Countdown state (in-memory): event slug -> timestamp when the demo countdown started
+const nyeCountdownStarts = new Map();
 
 // Middleware
-app.use(express.urlencoded({ extended: true }));
+app.use(express.urlencoded({ extended: true, limit: '10mb' })); // Backups are posted as a form field
 app.use(express.json());
-app.use(cookieParser());
+app.use(cookieParser(COOKIE_SECRETS));
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Ensure participant exists
+// Resolve the event from the URL and run the rest of the request inside it,
+// so db and puzzles calls see that event's data and pack
+function scopeEvent(req, res, next) {
+  const event = events.getEvent(req.params.event || events.DEFAULT_EVENT);
+  if (!event) {
+    return res.status(404).send(layout('Not Found', '<div class="container"><h1>Game Not Found</h1><a href="/">Go Home</a></div>'));
+  }
+
+  req.event = event;
+  req.base = events.basePath(event);
+
+  // Archived events are kept for viewing; only the admin can still change them
+  if (event.status === 'archived' && req.method === 'POST' && !req.path.startsWith('/admin')) {
+    return res.status(403).send(layout('Game Over', `<div class="container"><h1>This game has ended</h1><p>${escapeHtml(event.name)} is archived.</p></div>`));
+  }
+
+  events.runInEvent(event, () => {
+    // Admin puzzle edits and the event's vault design sit on top of the pack, so each request sees the latest
+    const pack = puzzles.applyVaultDesign(puzzles.applyOverrides(event.pack, db.getAllPuzzleOverrides()), db.getVaultDesign());
+    const live = { ...event, basePack: event.pack, pack };
+    events.runInEvent(live, next);
+  });
+}
+
+// Each event keeps its own participants, so each gets its own cookie
+function participantCookieName(event) {
+  return event.slug === events.DEFAULT_EVENT ? 'participant_id' : `participant_id_${event.slug}`;
+}
+
+// Vault code and prize clue for an event, falling back to the env settings
+function getVaultCode(event) {
+  return event.vault_code || VAULT_CODE;
+}
+
+function getPrizeClue(event) {
+  return event.prize_clue || PRIZE_CLUE;
+}
+
+// Name recorded on admin puzzle edits (set from the admin dashboard header)
+function getEditorName(req) {
+  return req.cookies.admin_editor || 'admin';
+}
+
+// Remember a participant on this device (for the current event)
+function setParticipantCookie(req, res, participantId) {
+  res.cookie(participantCookieName(req.event), participantId, {
+    maxAge: 365 * 24 * 60 * 60 * 1000,
+    httpOnly: true,
+    sameSite: 'lax',
+    signed: true
+  });
+  db.markSessionSigned(participantId);
+}
+
+// Ensure participant exists. Forged cookies and ids this event doesn't know
+// get a new participant; an unsigned cookie left over from before signing is
+// honoured once (see db.isLegacySession) and swapped for a signed one.
 function ensureParticipant(req, res, next) {
-  let participantId = req.cookies.participant_id;
-  let participant = participantId ? db.getParticipant(participantId) : null;
-  
-  if (!participant) {
-    participant = db.createParticipant();
-    res.cookie('participant_id', participant.id, {
-      maxAge: 365 * 24 * 60 * 60 * 1000,
-      httpOnly: true,
-      sameSite: 'lax'
-    });
+  const cookieName = participantCookieName(req.event);
+  const signedId = req.signedCookies[cookieName];
+  let participant = signedId ? db.getParticipant(signedId) : null;
+
+  if (participant) {
+    // While secrets are being rotated, re-sign so cookies move to the new one
+    if (COOKIE_SECRETS.length > 1) setParticipantCookie(req, res, participant.id);
+  } else {
+    const legacyId = req.cookies[cookieName];
+    if (legacyId && db.isLegacySession(legacyId)) participant = db.getParticipant(legacyId);
+    if (!participant) participant = db.createParticipant();
+    setParticipantCookie(req, res, participant.id);
   }
-  
+
   req.participant = participant;
   next();
 }
 
+// Banned players can look around but not submit anything
+function refuseBanned(req, res, next) {
+  if (req.participant.status === 'banned') {
+    return res.status(403).send(layout('Not Allowed', `<div class="container phone-first"><section class="card"><h2>You can't submit answers</h2><p>The host has removed you from this game.</p><a href="${req.base}/" class="btn btn-secondary">Home</a></section></div>`));
+  }
+  next();
+}
+
+// Digits and symbols people swap in for letters to get past the word filter
+const LOOKALIKES = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's', '!': 'i' };
+
+function squashWord(text) {
+  return text.toLowerCase().replace(/[013457@$!]/g, c => LOOKALIKES[c]).replace(/[^a-z]/g, '');
+}
+
+// The event's blocked words (one per line, set from the admin)
+function getBlockedWords() {
+  return (db.getGlobalValue('blocked_words') || '').split('\n').map(w => w.trim()).filter(Boolean);
+}
+
+// The event's TV scene playlist (set from the admin, see tv-scenes.js)
+function getTvPlaylist() {
+  return tvScenes.parsePlaylist(db.getGlobalValue('tv_playlist'));
+}
+
+// Why a player can't take a nickname, or null if it's fine
+function checkNickname(nickname, participantId) {
+  const squashed = squashWord(nickname);
+  if (getBlockedWords().some(word => squashWord(word) && squashed.includes(squashWord(word)))) {
+    return 'That name isn\'t allowed - pick another';
+  }
+  if (db.isNicknameTaken(nickname, participantId)) {
+    return `Someone is already called "${nickname}"`;
+  }
+  return null;
+}
+
+// Absolute URL of this event (for QR codes)
+function getEventUrl(req) {
+  const protocol = req.headers['x-forwarded-proto'] || req.protocol;
+  const host = req.headers['x-forwarded-host'] || req.headers.host;
+  return `${protocol}://${host}${req.base}`;
+}
+
+// Recovery codes are stored without the dash
+function formatRecoveryCode(code) {
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
 // HTML escape
 function escapeHtml(text) {
   if (!text) return '';
@@ -58,10 +190,18 @@ function escapeHtml(text) {
     .replace(/'/g, '&#039;');
 }
 
-// Base layout
+// SQLite datetime('now') text (UTC, no zone) to epoch ms
+function sqlTimeToMs(text) {
+  return text ? Date.parse(text.replace(' ', 'T') + 'Z') : null;
+}
+
+// Base layout. Pass live: { base, refreshOn } to stream game events to the page
+// (see public/live-client.js): toasts for each one, and the page's
+// [data-live-region] sections re-rendered on the refreshOn event types
 function layout(title, content, options = {}) {
-  const { fullscreen = false, tv = false, refreshRate = 0 } = options;
+  const { fullscreen = false, tv = false, live = null } = options;
   const bodyClass = [fullscreen ? 'fullscreen' : '', tv ? 'tv-mode' : ''].filter(Boolean).join(' ');
+  const liveAttrs = live ? ` data-live="${live.base}/api/live" data-live-refresh="${(live.refreshOn || []).join(' ')}"` : '';
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -69,9 +209,9 @@ function layout(title, content, options = {}) {
   <meta name="viewport" content="width=device-width, initial-scale=1.0, maximum-scale=1.0, user-scalable=no">
   <title>${escapeHtml(title)} | Midnight Vault</title>
   <link rel="stylesheet" href="/style.css">
-  ${refreshRate > 0 ? `<meta http-equiv="refresh" content="${refreshRate}">` : ''}
+  ${live ? '<script src="/live-client.js" defer></script>' : ''}
 </head>
-<body class="${bodyClass}">
+<body class="${bodyClass}"${liveAttrs}>
   ${content}
 </body>
 </html>`;
@@ -80,24 +220,369 @@ function layout(title, content, options = {}) {
 // Check if a puzzle's location should be visible
 // Location is visible if:
 // 1. That puzzle has been solved globally (you found it), OR
-// 2. The previous step in the SAME branch has been solved globally (hint unlocked)
-// 3. It's Step 1 (always visible - entry points)
-// 4. HIDDEN branch (H) is always accessible - no chain locking (scavenger hunt style)
+// 2. Its prerequisites under the branch mode are solved globally (entry points,
+//    the previous step of a sequential branch, every puzzle of an unordered branch)
 function isLocationVisible(puzzle, globalSolvedIds) {
-  // HIDDEN branch is special: all puzzles are independent (find any, solve any)
-  if (puzzle.branch === 'H') return true;
+  if (globalSolvedIds.includes(puzzle.id)) return true;
+  return puzzles.isPuzzleUnlocked(puzzle, globalSolvedIds);
+}
 
-  // Step 1 locations are always visible - they're the entry points
-  if (puzzle.step === 1) return true;
+// Answer input widget for a puzzle, by answer type
+function renderAnswerForm(puzzle, base) {
+  const action = `${base}/p/${puzzle.id}/submit`;
+  const hint = puzzle.inputHint ? escapeHtml(puzzle.inputHint) : '';
 
-  // If this puzzle is already solved, location is obviously known
-  if (globalSolvedIds.includes(puzzle.id)) return true;
+  switch (puzzles.getAnswerType(puzzle)) {
+    case 'number':
+      return `
+        <form action="${action}" method="POST" class="answer-form">
+          <input type="text" name="answer" inputmode="decimal" placeholder="${hint || 'A number...'}" autocomplete="off" required>
+          <button type="submit">Submit</button>
+        </form>`;
+
+    case 'choice':
+      return `
+        <form action="${action}" method="POST" class="answer-form choice-buttons">
+          ${(puzzle.choices || []).map(choice => `
+            <button type="submit" name="answer" value="${escapeHtml(choice)}" class="choice-btn">${escapeHtml(choice)}</button>
+          `).join('')}
+        </form>`;
+
+    case 'sequence': {
+      // Items shown in the pack's choices order, or alphabetically so the answer isn't given away
+      const items = puzzle.choices || puzzle.answer.split(',').map(i => i.trim()).filter(Boolean).sort();
+      const options = items.map(item => `<option value="${escapeHtml(item)}">${escapeHtml(item)}</option>`).join('');
+      return `
+        <form action="${action}" method="POST" class="answer-form sequence-form">
+          ${hint ? `<p class="input-hint">${hint}</p>` : ''}
+          ${items.map((_, i) => `
+            <label class="sequence-slot">
+              <span class="sequence-pos">${i + 1}</span>
+              <select name="answer[]" required>
+                <option value="">Choose...</option>
+                ${options}
+              </select>
+            </label>
+          `).join('')}
+          <button type="submit">Submit Order</button>
+        </form>`;
+    }
+
+    default:
+      return `
+        <form action="${action}" method="POST" class="answer-form">
+          <input type="text" name="answer" placeholder="${hint || 'Your answer...'}" autocomplete="off" required>
+          <button type="submit">Submit</button>
+        </form>`;
+  }
+}
+
+// Unsolved prerequisite steps of a puzzle as text ("Step 2", "Steps 1 and 3"), or '' if none
+function describeMissingSteps(puzzle, globalSolvedIds) {
+  const steps = puzzles.getPrerequisites(puzzle)
+    .filter(id => !globalSolvedIds.includes(id))
+    .map(id => puzzles.getPuzzle(id))
+    .filter(Boolean)
+    .map(p => p.step)
+    .sort((a, b) => a - b);
+  if (steps.length === 0) return '';
+  return steps.length === 1
+    ? `Step ${steps[0]}`
+    : `Steps ${steps.slice(0, -1).join(', ')} and ${steps[steps.length - 1]}`;
+}
+
+// Lock reason for a puzzle, or '' if it can be played (prerequisites follow the branch mode)
+function getLockReason(puzzle, globalSolvedIds) {
+  const missing = describeMissingSteps(puzzle, globalSolvedIds);
+  return missing ? `${missing} must be solved first.` : '';
+}
+
+// Set the branch's _DONE key (for everyone, or one competitive scope) if it just
+// became complete and tell live screens, with the hub or vault unlock it brings;
+// returns true if newly completed
+function completeBranchIfDone(branch, scope = null) {
+  const doneKey = `${branch}_DONE`;
+  if (db.hasGlobalKey(doneKey, scope) || !puzzles.isBranchComplete(branch, db.getScopeSolvedPuzzleIds(scope))) {
+    return false;
+  }
+  db.setGlobalKey(doneKey, scope);
+
+  const slug = events.currentEvent().slug;
+  live.publish(slug, 'branch-complete', { branch, name: puzzles.BRANCHES[branch].name }, scope);
+  const doneCount = db.countDoneKeys(scope);
+  if (doneCount === puzzles.getHubThreshold()) live.publish(slug, 'hub-unlock', {}, scope);
+  if (doneCount === puzzles.getVaultThreshold()) live.publish(slug, 'vault-unlock', {}, scope);
+  return true;
+}
+
+// Whose solves open puzzles, branches, the hub and the vault for this player:
+// everyone's in a cooperative event, their team's (or just their own) in a
+// competitive one. Returns { scope, solvedIds }; scope is null when shared.
+function getProgress(req) {
+  if (req.event.mode !== 'competitive') {
+    return { scope: null, solvedIds: db.getGlobalSolvedPuzzleIds() };
+  }
+  const scope = getParticipantScope(req.participant);
+  return { scope, solvedIds: db.getScopeSolvedPuzzleIds(scope) };
+}
+
+// Competitive events: joining, merging or balancing teams and merging players
+// can finish a branch for a scope without a new solve, so check the scopes they touched
+function completeBranchesForScopes(scopes) {
+  if (events.currentEvent().mode !== 'competitive') return;
+  scopes.forEach(scope => puzzles.BRANCH_ORDER.forEach(branch => completeBranchIfDone(branch, scope)));
+}
+
+// A player's own progress scope in a competitive event: their team, or just them
+function getParticipantScope(participant) {
+  return participant.team_id ? `T${participant.team_id}` : `P${participant.id}`;
+}
+
+// Competitive events: say who won the vault race ('' in a cooperative event)
+function renderVaultRace(req, scope) {
+  if (!scope) return '';
+  const winner = db.getVaultWinner();
+  return winner.scope === scope
+    ? `<p class="race-result won">&#127942; ${escapeHtml(winner.name)} opened the vault first - you win!</p>`
+    : `<p class="race-result">${escapeHtml(winner.name)} got there first (${winner.at}). Still a great crack!</p>`;
+}
+
+// Display name of a competitive scope: the team's name, or a solo player's nickname
+function getScopeName(req) {
+  const team = getParticipantTeam(req.participant);
+  return team ? team.name : req.participant.nickname;
+}
+
+// Hint state for a participant: revealed hints and when the next one becomes available
+// Hints are tiered: each must be revealed in order, and not before afterMinutes since the step unlocked
+function getHintState(puzzle, participantId, scope = null) {
+  const hints = puzzles.getHints(puzzle);
+  const revealed = db.getRevealedHintIndexes(participantId, puzzle.id);
+  const revealedHints = hints.filter((_, i) => revealed.includes(i));
+  const nextIndex = revealedHints.length < hints.length ? revealedHints.length : null;
+
+  let next = null;
+  if (nextIndex !== null) {
+    const unlockedAt = sqlTimeToMs(db.getPuzzleUnlockedAt(puzzle.id, scope)) || Date.now();
+    const availableAt = unlockedAt + hints[nextIndex].afterMinutes * 60 * 1000;
+    next = {
+      index: nextIndex,
+      penalty: hints[nextIndex].penalty,
+      minutesLeft: Math.max(0, Math.ceil((availableAt - Date.now()) / 60000))
+    };
+  }
+
+  return { hints, revealedHints, next };
+}
+
+// Score a fresh solve and store the points: speed since the step unlocked for
+// the player's progress scope, the first-solve bonus, and the hints and wrong
+// answers it took
+function awardSolvePoints(participantId, puzzle, isFirst, scope = null) {
+  const hints = puzzles.getHints(puzzle);
+  const points = puzzles.scoreSolve({
+    isFirst,
+    minutesSinceUnlock: getMinutesSinceUnlock(puzzle, scope) || 0,
+    hintCost: db.getRevealedHintIndexes(participantId, puzzle.id)
+      .reduce((sum, i) => sum + (hints[i] ? puzzles.getHintCost(hints[i]) : 0), 0),
+    wrongAnswers: db.getWrongAnswerCount(participantId, puzzle.id)
+  });
+  db.setSolvePoints(participantId, puzzle.id, points);
+  return points;
+}
+
+// Minutes since a puzzle unlocked for a progress scope (null if it never recorded an unlock)
+function getMinutesSinceUnlock(puzzle, scope = null) {
+  const unlockedAt = sqlTimeToMs(db.getPuzzleUnlockedAt(puzzle.id, scope));
+  return unlockedAt ? (Date.now() - unlockedAt) / 60000 : null;
+}
+
+// Check a fresh solve against the pack's achievements and store the new ones
+function awardSolveAchievements(participantId, puzzle, isFirst, scope = null) {
+  const earnedIds = db.getParticipantAchievements(participantId).map(a => a.achievement_id);
+  const earned = achievements.checkSolve({
+    puzzle,
+    isFirst,
+    solvedIds: db.getParticipantSolvedPuzzles(participantId),
+    globalSolvedIds: db.getGlobalSolvedPuzzleIds(),
+    minutesSinceUnlock: getMinutesSinceUnlock(puzzle, scope),
+    hour: schedule.getLocalHour(events.currentEvent())
+  }, earnedIds);
+  return earned.filter(def => db.awardAchievement(participantId, def.id, puzzle.id));
+}
+
+// Super prize claim state for the puzzle and success pages
+function renderPrizeClaim(claim, participantId) {
+  if (claim.participant_id === participantId) {
+    return claim.confirmed_at ? `
+      <div class="prize-claim confirmed">
+        <p>&#11088; <strong>The host confirmed it - the prize is yours!</strong></p>
+      </div>
+    ` : `
+      <div class="prize-claim">
+        <p>&#11088; <strong>You found it first!</strong> Show this code to the host to claim your prize:</p>
+        <p class="prize-code">${claim.code}</p>
+        <p class="sub-stat">It works once, for you only.</p>
+      </div>`;
+  }
+  return `
+    <div class="prize-claim taken">
+      <p>&#11088; ${claim.confirmed_at
+        ? `Already claimed by <strong>${escapeHtml(claim.nickname)}</strong>.`
+        : `<strong>${escapeHtml(claim.nickname)}</strong> found it first - the host is checking their claim.`}</p>
+    </div>`;
+}
+
+// Badge tiles; locked ones are dimmed
+function renderBadges(defs, earnedIds) {
+  return defs.map(def => `
+    <div class="badge-tile ${earnedIds.includes(def.id) ? 'earned' : 'locked'}" title="${escapeHtml(def.description)}">
+      <span class="badge-icon">${def.icon}</span>
+      <span class="badge-name">${escapeHtml(def.name)}</span>
+      <span class="badge-description">${escapeHtml(def.description)}</span>
+    </div>`).join('');
+}
+
+// Points leaderboard; the given participant's row is highlighted
+function renderPointsLeaderboard(rows, participantId = null) {
+  return `
+    <table class="leaderboard">
+      <thead><tr><th>#</th><th>Player</th><th>Points</th><th>Solves</th></tr></thead>
+      <tbody>
+        ${rows.map((p, i) => `
+          <tr class="${p.id === participantId ? 'me' : ''}">
+            <td>${i + 1}</td><td>${escapeHtml(p.nickname)}</td><td>${p.points}</td><td>${p.solves}</td>
+          </tr>`).join('')}
+      </tbody>
+    </table>`;
+}
+
+// Hints section for the puzzle page
+function renderHints(puzzle, hintState, base) {
+  const { hints, revealedHints, next } = hintState;
+  if (hints.length === 0) return '';
+
+  const cost = next ? puzzles.getHintCost(next) : 0;
+  return `
+    <div class="hints" id="hints">
+      ${revealedHints.map((hint, i) => `
+        <p class="hint-revealed"><span class="hint-label">Hint ${i + 1}:</span> ${escapeHtml(hint.text)}</p>
+      `).join('')}
+      ${!next ? '' : next.minutesLeft > 0 ? `
+        <p class="hint-waiting">Hint ${next.index + 1} of ${hints.length} unlocks in ${next.minutesLeft} min</p>
+      ` : `
+        <form action="${base}/p/${puzzle.id}/hint" method="POST" class="hint-form">
+          <button type="submit" class="btn btn-secondary">
+            Reveal hint ${next.index + 1} of ${hints.length}${cost > 0 ? ` (-${cost} pts)` : ''}
+          </button>
+        </form>
+      `}
+    </div>`;
+}
 
-  // Check if previous step in same branch is solved
-  const prevPuzzle = puzzles.getPuzzleByBranchStep(puzzle.branch, puzzle.step - 1);
-  if (prevPuzzle && globalSolvedIds.includes(prevPuzzle.id)) return true;
+// Letter tiles; null letters render as empty slots still to be earned
+function renderLetterTiles(letters) {
+  return letters.map(letter => letter === null
+    ? '<span class="letter-tile empty"></span>'
+    : `<span class="letter-tile">${escapeHtml(letter)}</span>`
+  ).join('');
+}
+
+// Drag-to-arrange anagram board for a branch's final step; "Use" copies the
+// arrangement into the answer box. Arrangements survive a reload (localStorage).
+function renderAnagramBoard(puzzle, board, base, forTeam = false) {
+  if (!board) return '';
+  return `
+    <div class="anagram-board" data-key="anagram:${escapeHtml(base)}/p/${puzzle.id}">
+      <p class="anagram-label">${forTeam ? 'Team' : 'Your'} letters &mdash; drag to unscramble:</p>
+      <div class="anagram-tiles">${renderLetterTiles(board.tiles)}</div>
+      ${board.missing > 0 ? `
+        <p class="anagram-missing">${board.missing} more letter${board.missing !== 1 ? 's' : ''} come${board.missing === 1 ? 's' : ''} from earlier steps ${forTeam ? 'your team hasn\'t' : 'you haven\'t'} solved yet.</p>
+      ` : ''}
+      <div class="anagram-actions">
+        <button type="button" class="btn btn-small btn-secondary" data-anagram="shuffle">Shuffle</button>
+        <button type="button" class="btn btn-small" data-anagram="use">Use as answer</button>
+      </div>
+    </div>
+    <script>
+      (function () {
+        const board = document.currentScript.previousElementSibling;
+        const row = board.querySelector('.anagram-tiles');
+        const input = document.querySelector('.answer-form input[name="answer"]');
+        const tiles = () => Array.from(row.children);
+        const word = () => tiles().map(t => t.textContent).join('');
+        const save = () => localStorage.setItem(board.dataset.key, word());
+
+        // Restore a saved arrangement if it uses the same letters
+        const saved = localStorage.getItem(board.dataset.key);
+        if (saved && saved.split('').sort().join('') === word().split('').sort().join('')) {
+          const pool = tiles();
+          saved.split('').forEach(letter => {
+            const i = pool.findIndex(t => t.textContent === letter);
+            row.appendChild(pool.splice(i, 1)[0]);
+          });
+        }
+
+        let dragging = null;
+        row.addEventListener('pointerdown', e => {
+          dragging = e.target.closest('.letter-tile');
+          if (!dragging) return;
+          dragging.setPointerCapture(e.pointerId);
+          dragging.classList.add('dragging');
+        });
+        row.addEventListener('pointermove', e => {
+          if (!dragging) return;
+          const over = document.elementFromPoint(e.clientX, e.clientY);
+          const target = over && over.closest('.anagram-tiles .letter-tile');
+          if (!target || target === dragging) return;
+          const order = tiles();
+          row.insertBefore(dragging, order.indexOf(dragging) < order.indexOf(target) ? target.nextSibling : target);
+        });
+        const drop = () => {
+          if (!dragging) return;
+          dragging.classList.remove('dragging');
+          dragging = null;
+          save();
+        };
+        row.addEventListener('pointerup', drop);
+        row.addEventListener('pointercancel', drop);
+
+        board.addEventListener('click', e => {
+          const action = e.target.dataset.anagram;
+          if (action === 'shuffle') {
+            const order = tiles();
+            for (let i = order.length - 1; i > 0; i--) {
+              const j = Math.floor(Math.random() * (i + 1));
+              [order[i], order[j]] = [order[j], order[i]];
+            }
+            order.forEach(t => row.appendChild(t));
+            save();
+          } else if (action === 'use' && input) {
+            input.value = word();
+            input.focus();
+          }
+        });
+      })();
+    </script>`;
+}
 
-  return false;
+// The participant's team, or null
+function getParticipantTeam(participant) {
+  return participant.team_id ? db.getTeam(participant.team_id) : null;
+}
+
+// Team standings table; the viewer's team is highlighted
+function renderTeamStandings(standings, teamId = null) {
+  return `
+    <table class="team-standings">
+      <thead><tr><th>#</th><th>Team</th><th>Puzzles</th><th>Players</th></tr></thead>
+      <tbody>
+        ${standings.map((t, i) => `
+          <tr class="${t.id === teamId ? 'my-team' : ''}">
+            <td>${i + 1}</td><td>${escapeHtml(t.name)}</td><td>${t.puzzles}</td><td>${t.members}</td>
+          </tr>`).join('')}
+      </tbody>
+    </table>`;
 }
 
 // Branch status helper for templates
@@ -117,34 +602,123 @@ function renderBranchStatus(branchStatus) {
   }).join('');
 }
 
+// Editable puzzle fields for the admin cards (shared by the edit and new-puzzle forms)
+function renderPuzzleFields(puzzle) {
+  const branchOptions = Object.keys(puzzles.BRANCHES).map(b =>
+    `<option value="${b}" ${b === puzzle.branch ? 'selected' : ''}>${escapeHtml(puzzles.BRANCHES[b].name)}</option>`
+  ).join('');
+  return `
+    <div class="form-group">
+      <label>Title:</label>
+      <input type="text" name="title" value="${escapeHtml(puzzle.title)}" placeholder="Puzzle title" required>
+    </div>
+    <div class="form-row">
+      <div class="form-group">
+        <label>Branch:</label>
+        <select name="branch">${branchOptions}</select>
+      </div>
+      <div class="form-group">
+        <label>Step:</label>
+        <input type="number" name="step" value="${puzzle.step || ''}" min="1" required>
+      </div>
+    </div>
+    <div class="form-group">
+      <label>Location:</label>
+      <input type="text" name="location_hint" value="${escapeHtml(puzzle.location_hint)}" placeholder="Where to hide this puzzle">
+    </div>
+    <div class="form-group">
+      <label>Prompt:</label>
+      <textarea name="prompt" rows="2" placeholder="The puzzle question">${escapeHtml(puzzle.prompt)}</textarea>
+    </div>
+    <div class="form-group">
+      <label>Answer:</label>
+      <input type="text" name="answer" value="${escapeHtml(puzzle.answer)}" placeholder="Correct answer" required>
+    </div>
+    <div class="form-row">
+      <div class="form-group">
+        <label>Collect letters:</label>
+        <input type="text" name="collect_letters" value="${escapeHtml((puzzle.collectLetters || []).join(', '))}" placeholder="e.g. B, R">
+      </div>
+      <div class="form-group">
+        <label>Success message:</label>
+        <input type="text" name="success_message" value="${escapeHtml(puzzle.successMessage)}" placeholder="Shown after solving">
+      </div>
+    </div>`;
+}
+
+// Puzzle fields from an admin form post; blank text keeps the current value
+function parsePuzzleFields(body) {
+  const step = parseInt(body.step, 10);
+  return {
+    title: (body.title || '').trim() || null,
+    branch: puzzles.BRANCHES[body.branch] ? body.branch : null,
+    step: step > 0 ? step : null,
+    location_hint: body.location_hint || null,
+    prompt: body.prompt || null,
+    answer: body.answer || null,
+    // The form always posts the full letter list, so an empty box clears it
+    collect_letters: body.collect_letters === undefined ? null
+      : body.collect_letters.toUpperCase().split(/[\s,]+/).filter(Boolean),
+    success_message: body.success_message || null
+  };
+}
+
 // =============================================================================
 // ROUTES
 // =============================================================================
 
 // GET / - Landing page
-app.get('/', ensureParticipant, (req, res) => {
+router.get('/', ensureParticipant, (req, res) => {
   const participant = req.participant;
   const solveCount = db.getParticipantSolveCount(participant.id);
-  const branchStatus = db.getBranchStatus(puzzles);
-  const doneCount = db.countDoneKeys();
+  const { scope } = getProgress(req);
+  const branchStatus = db.getBranchStatus(puzzles, scope);
+  const doneCount = db.countDoneKeys(scope);
+  const hubThreshold = puzzles.getHubThreshold();
+  const vaultThreshold = puzzles.getVaultThreshold();
+  const team = getParticipantTeam(participant);
+  const teamMembers = team ? db.getTeamMembers(team.id) : [];
   
   const content = `
   <div class="container phone-first">
     <header class="hero">
       <h1>Midnight Vault</h1>
-      <p class="tagline">A Cooperative New Year's Mystery</p>
+      <p class="tagline">${req.event.mode === 'competitive' ? 'A Race-to-the-Vault' : 'A Cooperative'} New Year's Mystery</p>
     </header>
     
     <section class="card">
       <h2>Welcome, ${escapeHtml(participant.nickname)}!</h2>
       ${solveCount > 0 ? `<p class="stat">You've solved ${solveCount} puzzle${solveCount !== 1 ? 's' : ''}</p>` : ''}
       
-      <form action="/set-nickname" method="POST" class="nickname-form">
+      ${req.query.nickname_error ? `<p class="form-error">${escapeHtml(req.query.nickname_error)}</p>` : ''}
+      <form action="${req.base}/set-nickname" method="POST" class="nickname-form">
         <label for="nickname">Change your name:</label>
         <input type="text" id="nickname" name="nickname" placeholder="Nickname..." maxlength="24" value="${escapeHtml(participant.nickname)}">
         <button type="submit">Update</button>
       </form>
     </section>
+
+    <section class="card team-card" id="team">
+      <h3>Your Team</h3>
+      ${req.query.team_error ? `<p class="form-error">${escapeHtml(req.query.team_error)}</p>` : ''}
+      ${team ? `
+        <p class="team-name">${escapeHtml(team.name)}</p>
+        <p>Join code <strong class="join-code">${team.join_code}</strong> &middot; ${teamMembers.length} player${teamMembers.length !== 1 ? 's' : ''}: ${teamMembers.map(m => escapeHtml(m.nickname)).join(', ')}</p>
+        <form action="${req.base}/team/leave" method="POST" onsubmit="return confirm('Leave your team?')">
+          <button type="submit" class="btn btn-small btn-secondary">Leave team</button>
+        </form>
+      ` : `
+        <p>Playing with friends? Join their team with its code, or start one.</p>
+        <form action="${req.base}/team/join" method="POST" class="team-form">
+          <input type="text" name="code" placeholder="Code" maxlength="4" autocomplete="off" required>
+          <button type="submit">Join</button>
+        </form>
+        <form action="${req.base}/team/create" method="POST" class="team-form">
+          <input type="text" name="name" placeholder="New team name..." maxlength="24" required>
+          <button type="submit">Create</button>
+        </form>
+      `}
+    </section>
     
     <section class="card">
       <h3>Branch Progress</h3>
@@ -156,17 +730,18 @@ app.get('/', ensureParticipant, (req, res) => {
     <section class="card instructions">
       <h3>How to Play</h3>
       <ol>
-        <li>Find QR codes for each branch (FOOD, MUSIC, DECOR, BOOKS)</li>
+        <li>Find QR codes for each branch (${puzzles.BRANCH_ORDER.map(b => escapeHtml(puzzles.BRANCHES[b].name)).join(', ')})</li>
         <li>Solve puzzles in sequence within each branch</li>
-        <li>Complete 2 branches to unlock the <strong>Hub</strong></li>
-        <li>Complete all 4 branches to unlock the <strong>Vault</strong></li>
+        ${req.event.mode === 'competitive' ? '<li>Every team unlocks its own steps - the first team to open the Vault wins!</li>' : ''}
+        <li>Complete ${hubThreshold} branch${hubThreshold !== 1 ? 'es' : ''} to unlock the <strong>Hub</strong></li>
+        <li>Complete ${vaultThreshold === puzzles.BRANCH_ORDER.length ? 'all ' : ''}${vaultThreshold} branch${vaultThreshold !== 1 ? 'es' : ''} to unlock the <strong>Vault</strong></li>
       </ol>
     </section>
     
     <nav class="nav-links">
-      <a href="/me" class="btn btn-secondary">My Progress</a>
-      ${doneCount >= 2 ? '<a href="/hub" class="btn btn-primary">Hub</a>' : ''}
-      ${doneCount >= 4 ? '<a href="/meta" class="btn btn-gold">Vault</a>' : ''}
+      <a href="${req.base}/me" class="btn btn-secondary">My Progress</a>
+      ${doneCount >= hubThreshold ? `<a href="${req.base}/hub" class="btn btn-primary">Hub</a>` : ''}
+      ${doneCount >= vaultThreshold ? `<a href="${req.base}/meta" class="btn btn-gold">Vault</a>` : ''}
     </nav>
   </div>`;
   
@@ -174,18 +749,178 @@ app.get('/', ensureParticipant, (req, res) => {
 });
 
 // POST /set-nickname
-app.post('/set-nickname', ensureParticipant, (req, res) => {
+router.post('/set-nickname', ensureParticipant, (req, res) => {
   let nickname = (req.body.nickname || '').trim().slice(0, 24);
   if (!nickname) nickname = db.generateNickname();
+  const error = checkNickname(nickname, req.participant.id);
+  if (error) {
+    return res.redirect(`${req.base}/?nickname_error=${encodeURIComponent(error)}`);
+  }
   db.updateNickname(req.participant.id, nickname);
-  res.redirect('/');
+  res.redirect(req.base + '/');
+});
+
+// POST /team/create - Start a team and join it
+router.post('/team/create', ensureParticipant, (req, res) => {
+  const name = (req.body.name || '').trim().slice(0, 24);
+  if (!name) return redirectTeamError(req, res, 'Give your team a name');
+
+  const team = db.createTeam(name);
+  if (!team) return redirectTeamError(req, res, `There's already a team called "${name}" - ask them for their code`);
+  db.setParticipantTeam(req.participant.id, team.id);
+  completeBranchesForScopes([`T${team.id}`]);
+  res.redirect(req.base + '/#team');
+});
+
+// POST /team/join - Join a team by its code
+router.post('/team/join', ensureParticipant, (req, res) => {
+  const team = db.getTeamByJoinCode((req.body.code || '').trim());
+  if (!team) return redirectTeamError(req, res, 'No team has that code');
+  db.setParticipantTeam(req.participant.id, team.id);
+  completeBranchesForScopes([`T${team.id}`]);
+  res.redirect(req.base + '/#team');
+});
+
+// POST /team/leave - Play solo again (solves stay with the player)
+router.post('/team/leave', ensureParticipant, (req, res) => {
+  db.setParticipantTeam(req.participant.id, null);
+  completeBranchesForScopes([`P${req.participant.id}`]);
+  res.redirect(req.base + '/#team');
+});
+
+// Back to the home page's team card with a message
+function redirectTeamError(req, res, message) {
+  res.redirect(`${req.base}/?team_error=${encodeURIComponent(message)}#team`);
+}
+
+// Recovery code guesses allowed per player and per network address before
+// recovery is locked for a while. Phones at a party often share one Wi-Fi
+// address, so that limit is looser.
+const RECOVERY_MAX_MISSES = { participant: 5, ip: 20 };
+const RECOVERY_LOCKOUT_MS = 15 * 60 * 1000;
+
+// Recovery code misses (in-memory): limiter key -> { misses, since }
+const recoveryMisses = new Map();
+
+// The limiter keys a recovery attempt counts against
+function getRecoveryLimits(req) {
+  return [
+    { key: `participant:${req.event.slug}:${req.participant.id}`, max: RECOVERY_MAX_MISSES.participant },
+    { key: `ip:${req.ip}`, max: RECOVERY_MAX_MISSES.ip }
+  ];
+}
+
+// Minutes until this player may try a recovery code again, or 0 if they may now
+function getRecoveryLockout(req) {
+  const now = Date.now();
+  let until = 0;
+  for (const { key, max } of getRecoveryLimits(req)) {
+    const entry = recoveryMisses.get(key);
+    if (!entry) continue;
+    if (now - entry.since > RECOVERY_LOCKOUT_MS) {
+      recoveryMisses.delete(key);
+    } else if (entry.misses >= max) {
+      until = Math.max(until, entry.since + RECOVERY_LOCKOUT_MS);
+    }
+  }
+  return until ? Math.ceil((until - now) / 60000) : 0;
+}
+
+function recordRecoveryMiss(req) {
+  for (const { key } of getRecoveryLimits(req)) {
+    const entry = recoveryMisses.get(key);
+    if (entry) entry.misses += 1;
+    else recoveryMisses.set(key, { misses: 1, since: Date.now() });
+  }
+}
+
+// The Switch Phones page around a card body
+function renderRecoverPage(req, res, body) {
+  const content = `
+  <div class="container phone-first">
+    <header>
+      <a href="${req.base}/" class="back-link">&larr; Home</a>
+      <h1>Switch Phones</h1>
+    </header>
+    <section class="card">
+      ${body}
+    </section>
+  </div>`;
+
+  res.send(layout('Switch Phones', content));
+}
+
+// The code entry form; a scanned QR code fills it in. Nothing is looked up
+// until it is posted, so guesses always go through the attempt limit.
+function renderRecoverForm(req, res, code, error) {
+  const currentSolves = db.getParticipantSolveCount(req.participant.id);
+  renderRecoverPage(req, res, `
+      ${error ? `<p class="form-error">${escapeHtml(error)}</p>` : ''}
+      <p>Enter the recovery code from <strong>My Progress</strong> on your old phone.</p>
+      ${currentSolves > 0 ? `<p>The ${currentSolves} puzzle${currentSolves !== 1 ? 's' : ''} solved here as ${escapeHtml(req.participant.nickname)} will move over too.</p>` : ''}
+      <form action="${req.base}/recover" method="POST" class="team-form">
+        <input type="text" name="code" value="${escapeHtml(code)}" placeholder="XXXX-XXXX" maxlength="9" autocomplete="off" autocapitalize="characters" required>
+        <button type="submit">Continue</button>
+      </form>`);
+}
+
+// GET /recover - Take over an identity from another device with its recovery code
+router.get('/recover', ensureParticipant, (req, res) => {
+  renderRecoverForm(req, res, (req.query.code || '').trim().slice(0, 9), null);
+});
+
+// POST /recover - Check a recovery code and, once confirmed, switch this device
+// to that identity, bringing its solves along
+router.post('/recover', ensureParticipant, (req, res) => {
+  const code = (req.body.code || '').trim().slice(0, 9);
+  const lockout = getRecoveryLockout(req);
+  if (lockout) {
+    return renderRecoverForm(req, res, code, `Too many wrong codes - try again in ${lockout} minute${lockout !== 1 ? 's' : ''}, or ask the host.`);
+  }
+
+  const target = db.getParticipantByRecoveryCode(code);
+  if (!target) {
+    recordRecoveryMiss(req);
+    return renderRecoverForm(req, res, code, 'No player has that code. Check it on your old phone under My Progress.');
+  }
+  if (target.id === req.participant.id) {
+    return renderRecoverPage(req, res, `
+      <p>This phone is already playing as <strong>${escapeHtml(target.nickname)}</strong>.</p>
+      <a href="${req.base}/me" class="btn btn-primary">My Progress</a>`);
+  }
+  if (!req.body.confirm) {
+    return renderRecoverPage(req, res, `
+      <p>Continue on this phone as <strong>${escapeHtml(target.nickname)}</strong> (${db.getParticipantSolveCount(target.id)} solves)?</p>
+      <form action="${req.base}/recover" method="POST">
+        <input type="hidden" name="code" value="${escapeHtml(code)}">
+        <input type="hidden" name="confirm" value="1">
+        <button type="submit" class="btn btn-primary">Yes, that's me</button>
+      </form>`);
+  }
+
+  db.mergeParticipants(req.participant.id, target.id);
+  completeBranchesForScopes([getParticipantScope(db.getParticipant(target.id))]);
+  setParticipantCookie(req, res, target.id);
+  res.redirect(req.base + '/me');
+});
+
+// POST /me/recovery-code - Replace this player's recovery code
+router.post('/me/recovery-code', ensureParticipant, (req, res) => {
+  db.resetRecoveryCode(req.participant.id);
+  res.redirect(req.base + '/me#recovery');
 });
 
 // GET /me - Personal progress (read-only status view)
-app.get('/me', ensureParticipant, (req, res) => {
+router.get('/me', ensureParticipant, (req, res) => {
   const participant = req.participant;
   const solvedIds = db.getParticipantSolvedPuzzles(participant.id);
-  const globalSolvedIds = db.getGlobalSolvedPuzzleIds();
+  const globalSolvedIds = getProgress(req).solvedIds;
+  const recoveryCode = db.getRecoveryCode(participant.id);
+  const myPoints = db.getParticipantPoints(participant.id);
+  const leaderboard = db.getPointsLeaderboard(-1);
+  const myRank = leaderboard.findIndex(p => p.id === participant.id) + 1;
+  const badgeDefs = achievements.getAchievements();
+  const earnedBadgeIds = db.getParticipantAchievements(participant.id).map(a => a.achievement_id);
 
   // Build branch progress cards (read-only, no links)
   const branchCards = puzzles.BRANCH_ORDER.map(branch => {
@@ -193,11 +928,12 @@ app.get('/me', ensureParticipant, (req, res) => {
     const info = puzzles.BRANCHES[branch];
 
     const solvedCount = branchPuzzles.filter(p => globalSolvedIds.includes(p.id)).length;
-    const isComplete = solvedCount === 3;
+    const goal = puzzles.getBranchGoal(branch);
+    const isComplete = puzzles.isBranchComplete(branch, globalSolvedIds);
     const digitsEarned = isComplete ? info.digits.join('') : '--';
 
-    // Progress dots
-    const dots = [0, 1, 2].map(i =>
+    // Progress dots (one per puzzle the branch needs)
+    const dots = Array.from({ length: goal }, (_, i) =>
       `<span class="progress-dot ${i < solvedCount ? 'filled' : ''}"></span>`
     ).join('');
 
@@ -209,7 +945,7 @@ app.get('/me', ensureParticipant, (req, res) => {
         </div>
         <div class="branch-progress">
           <div class="progress-dots">${dots}</div>
-          <span class="progress-text">${solvedCount}/3</span>
+          <span class="progress-text">${Math.min(solvedCount, goal)}/${goal}</span>
         </div>
         <div class="branch-digits ${isComplete ? 'earned' : ''}">
           ${isComplete ? `+${digitsEarned}` : escapeHtml(info.hint)}
@@ -218,47 +954,126 @@ app.get('/me', ensureParticipant, (req, res) => {
   }).join('');
 
   // Compute digits collected so far
-  const completedBranches = puzzles.BRANCH_ORDER.filter(branch => {
-    const branchPuzzles = puzzles.getPuzzlesByBranch(branch);
-    return branchPuzzles.every(p => globalSolvedIds.includes(p.id));
-  });
   const digitDisplay = puzzles.BRANCH_ORDER.map(branch => {
     const info = puzzles.BRANCHES[branch];
-    const branchPuzzles = puzzles.getPuzzlesByBranch(branch);
-    const isComplete = branchPuzzles.every(p => globalSolvedIds.includes(p.id));
+    const isComplete = puzzles.isBranchComplete(branch, globalSolvedIds);
     return isComplete ? info.digits.map(d => `<span class="digit earned">${d}</span>`).join('')
-                      : '<span class="digit">_</span><span class="digit">_</span>';
+                      : info.digits.map(() => '<span class="digit">_</span>').join('');
+  }).join('');
+  const vaultThreshold = puzzles.getVaultThreshold();
+
+  // Team progress: puzzles solved by anyone on the team
+  const team = getParticipantTeam(participant);
+  const teamSolvedIds = team ? db.getTeamSolvedPuzzleIds(team.id) : [];
+  const teamMembers = team ? db.getTeamMembers(team.id) : [];
+  const teamScored = puzzles.getScoredPuzzles().filter(p => teamSolvedIds.includes(p.id)).length;
+
+  // Letters earned from this player's (or their team's) solves, with empty slots for the rest
+  const letterRows = puzzles.getLetterInventory(team ? teamSolvedIds : solvedIds).map(({ branch, letters, total }) => {
+    const info = puzzles.BRANCHES[branch];
+    const slots = [...letters.map(l => l.letter), ...Array(total - letters.length).fill(null)];
+    return `
+      <div class="letter-branch" style="--branch-color: ${info.color}">
+        <span class="branch-icon">${info.icon}</span>
+        <div class="letter-row">${renderLetterTiles(slots)}</div>
+      </div>`;
   }).join('');
 
   const content = `
   <div class="container phone-first">
     <header>
-      <a href="/" class="back-link">&larr; Home</a>
+      <a href="${req.base}/" class="back-link">&larr; Home</a>
       <h1>My Progress</h1>
     </header>
 
-    <section class="card stats-card">
+    <section class="card stats-card" id="stats" data-live-region>
       <h2>${escapeHtml(participant.nickname)}</h2>
-      <p class="big-stat">${solvedIds.length} / 12 puzzles solved</p>
+      <p class="big-stat">${solvedIds.length} / ${puzzles.getTotalPuzzles()} puzzles solved</p>
       <p class="sub-stat">${solvedIds.length} raffle entries!</p>
+      <p class="sub-stat">${myPoints} points${myRank ? ` &middot; #${myRank} of ${leaderboard.length}` : ''}</p>
     </section>
 
-    <section class="branches-grid">
+    ${badgeDefs.length > 0 ? `
+      <section class="card" id="badges" data-live-region>
+        <h3>Badges (${badgeDefs.filter(def => earnedBadgeIds.includes(def.id)).length} / ${badgeDefs.length})</h3>
+        <div class="badge-grid">${renderBadges(badgeDefs, earnedBadgeIds)}</div>
+      </section>
+    ` : ''}
+
+    ${leaderboard.length > 0 ? `
+      <section class="card" id="leaderboard" data-live-region>
+        <h3>Leaderboard</h3>
+        ${renderPointsLeaderboard(leaderboard.slice(0, 10), participant.id)}
+        ${myRank > 10 ? `<p class="sub-stat">You're #${myRank} with ${myPoints} points</p>` : ''}
+      </section>
+    ` : ''}
+
+    ${team ? `
+      <section class="card team-progress" id="team-progress" data-live-region>
+        <h3>Team ${escapeHtml(team.name)}</h3>
+        <p class="big-stat">${teamScored} / ${puzzles.getTotalPuzzles()} puzzles solved</p>
+        <div class="branch-progress-list">
+          ${puzzles.BRANCH_ORDER.map(branch => {
+            const info = puzzles.BRANCHES[branch];
+            const branchPuzzles = puzzles.getPuzzlesByBranch(branch);
+            return `
+              <div class="team-branch" style="--branch-color: ${info.color}">
+                <span class="branch-icon">${info.icon}</span>
+                <div class="progress-dots">${branchPuzzles.map(p => `<span class="progress-dot ${teamSolvedIds.includes(p.id) ? 'filled' : ''}"></span>`).join('')}</div>
+              </div>`;
+          }).join('')}
+        </div>
+        <ul class="team-members">
+          ${teamMembers.map(m => `<li${m.id === participant.id ? ' class="me"' : ''}>${escapeHtml(m.nickname)} <span>${m.solves}</span></li>`).join('')}
+        </ul>
+      </section>
+    ` : ''}
+
+    <section class="branches-grid" id="branches" data-live-region>
       ${branchCards}
     </section>
 
-    <section class="card digits-card">
+    ${letterRows ? `
+      <section class="card letters-card" id="letters" data-live-region>
+        <h3>${team ? 'Team ' : ''}Letters Collected</h3>
+        ${letterRows}
+        <p class="hint-text">Each branch's last step unscrambles its letters &mdash; you can arrange them right on the puzzle page.</p>
+      </section>
+    ` : ''}
+
+    <section class="card digits-card" id="digits" data-live-region>
       <h3>Vault Digits Collected</h3>
       <div class="digit-display">${digitDisplay}</div>
-      <p class="hint-text">Complete all 4 branches to unlock the vault!</p>
+      <p class="hint-text">Complete ${vaultThreshold === puzzles.BRANCH_ORDER.length ? 'all ' : ''}${vaultThreshold} branches to unlock the vault!</p>
     </section>
 
     <section class="card info-card">
       <p><strong>Scan QR codes</strong> to solve puzzles</p>
       <p>Each branch starts with a physical puzzle to find QR #1</p>
     </section>
+
+    <section class="card recovery-card" id="recovery">
+      <h3>Switching Phones?</h3>
+      <p>Scan this on the new phone, or enter the code at <a href="${req.base}/recover">${escapeHtml(req.base)}/recover</a>, to keep playing as ${escapeHtml(participant.nickname)}.</p>
+      <div class="recovery-qr" id="recovery-qr"></div>
+      <p class="recovery-code">${formatRecoveryCode(recoveryCode)}</p>
+      <p class="hint-text">Keep it to yourself - anyone with this code can play as you.</p>
+      <form action="${req.base}/me/recovery-code" method="POST" onsubmit="return confirm('Make a new code? The old one stops working.')">
+        <button type="submit" class="btn btn-small btn-secondary">New code</button>
+      </form>
+    </section>
   </div>
 
+  <script src="https://cdn.jsdelivr.net/npm/qrcodejs@1.0.0/qrcode.min.js"></script>
+  <script>
+    new QRCode(document.getElementById('recovery-qr'), {
+      text: ${JSON.stringify(`${getEventUrl(req)}/recover?code=${formatRecoveryCode(recoveryCode)}`).replace(/</g, '\\u003c')},
+      width: 160,
+      height: 160,
+      correctLevel: QRCode.CorrectLevel.M
+    });
+  </script>
+
   <style>
     .branches-grid {
       display: grid;
@@ -360,62 +1175,61 @@ app.get('/me', ensureParticipant, (req, res) => {
     }
   </style>`;
 
-  res.send(layout('My Progress', content));
+  res.send(layout('My Progress', content, { live: { base: req.base, refreshOn: ['solve', 'branch-complete', 'hub-unlock', 'vault-unlock'] } }));
 });
 
 // GET /p/:id - Puzzle page
-app.get('/p/:id', ensureParticipant, (req, res) => {
+router.get('/p/:id', ensureParticipant, (req, res) => {
   const puzzleId = parseInt(req.params.id, 10);
-  const puzzle = puzzles.getPuzzleWithOverrides(puzzleId, db);
+  const puzzle = puzzles.getPuzzle(puzzleId);
   
   if (!puzzle) {
-    return res.status(404).send(layout('Not Found', '<div class="container"><h1>Puzzle Not Found</h1><a href="/">Go Home</a></div>'));
+    return res.status(404).send(layout('Not Found', `<div class="container"><h1>Puzzle Not Found</h1><a href="${req.base}/">Go Home</a></div>`));
   }
   
   const participant = req.participant;
   const userSolved = db.hasParticipantSolved(participant.id, puzzleId);
-  const globalSolved = db.isPuzzleSolvedGlobally(puzzleId);
-  const globalSolvedIds = db.getGlobalSolvedPuzzleIds();
+  const { scope, solvedIds: globalSolvedIds } = getProgress(req);
+  const globalSolved = globalSolvedIds.includes(puzzleId);
   const locationVisible = isLocationVisible(puzzle, globalSolvedIds);
   
   // Check prerequisite: previous step in same branch must be globally solved
-  // HIDDEN branch (H) is independent - no chain locking
   const branchInfo = puzzles.BRANCHES[puzzle.branch];
-  let unlocked = true;
-  let lockReason = '';
-
-  if (puzzle.branch !== 'H' && puzzle.step > 1) {
-    const prevPuzzle = puzzles.getPuzzleByBranchStep(puzzle.branch, puzzle.step - 1);
-    if (prevPuzzle && !globalSolvedIds.includes(prevPuzzle.id)) {
-      unlocked = false;
-      lockReason = `Step ${puzzle.step - 1} must be solved first.`;
-    }
-  }
+  const lockReason = getLockReason(puzzle, globalSolvedIds);
+  const unlocked = !lockReason;
+  if (unlocked) db.markPuzzleUnlocked(puzzleId, scope);
+
+  // Teammates pool their letters
+  const team = getParticipantTeam(participant);
+  const letterSolves = team ? db.getTeamSolvedPuzzleIds(team.id) : db.getParticipantSolvedPuzzles(participant.id);
+  const prizeClaim = puzzles.isSuperPrize(puzzle) ? db.getPrizeClaim(puzzleId) : null;
   
   const content = `
   <div class="container phone-first">
     <header>
-      <a href="/me" class="back-link">&larr; Progress</a>
+      <a href="${req.base}/me" class="back-link">&larr; Progress</a>
       <h1>${branchInfo.name} - Step ${puzzle.step}</h1>
     </header>
     
-    <section class="card puzzle-card" style="--branch-color: ${branchInfo.color}">
+    <section class="card puzzle-card" id="puzzle-card" data-live-region style="--branch-color: ${branchInfo.color}">
       <div class="puzzle-header">
         <span class="category-badge" style="background: ${branchInfo.color}">${branchInfo.name}</span>
-        <span class="step-badge">Step ${puzzle.step}/3</span>
+        <span class="step-badge">Step ${puzzle.step}/${puzzles.getStepCount(puzzle.branch)}</span>
       </div>
       
       ${locationVisible ? `
         <p class="location-hint">Location: <strong>${escapeHtml(puzzle.location_hint)}</strong></p>
       ` : `
         <p class="location-hint location-hidden">Location: <strong>???</strong></p>
-        <p class="discovery-note"><em>Solve ${puzzles.BRANCHES[puzzle.branch].name} Step ${puzzle.step - 1} to reveal this location!</em></p>
+        <p class="discovery-note"><em>Solve ${branchInfo.name} ${describeMissingSteps(puzzle, globalSolvedIds)} to reveal this location!</em></p>
       `}
       
       <div class="status-row">
-        <span class="status ${globalSolved ? 'status-solved' : 'status-unsolved'}">
-          Global: ${globalSolved ? 'SOLVED' : 'OPEN'}
-        </span>
+        ${scope && !team ? '' : `
+          <span class="status ${globalSolved ? 'status-solved' : 'status-unsolved'}">
+            ${scope ? 'Team' : 'Global'}: ${globalSolved ? 'SOLVED' : 'OPEN'}
+          </span>
+        `}
         <span class="status ${userSolved ? 'status-solved' : 'status-unsolved'}">
           You: ${userSolved ? 'SOLVED' : 'OPEN'}
         </span>
@@ -426,7 +1240,7 @@ app.get('/p/:id', ensureParticipant, (req, res) => {
           <div class="lock-icon">&#128274;</div>
           <p>${escapeHtml(lockReason)}</p>
         </div>
-      ` : userSolved ? `
+      ` : prizeClaim ? renderPrizeClaim(prizeClaim, participant.id) : userSolved ? `
         <div class="already-solved">
           <div class="checkmark">&#10004;</div>
           <p>You already solved this!</p>
@@ -436,54 +1250,97 @@ app.get('/p/:id', ensureParticipant, (req, res) => {
           <p>${escapeHtml(puzzle.prompt)}</p>
         </div>
         
-        <form action="/p/${puzzle.id}/submit" method="POST" class="answer-form">
-          <input type="text" name="answer" placeholder="Your answer..." autocomplete="off" required>
-          <button type="submit">Submit</button>
-        </form>
+        ${renderAnswerForm(puzzle, req.base)}
+        ${renderAnagramBoard(puzzle, puzzles.getAnagramBoard(puzzle, letterSolves), req.base, !!team)}
+        ${renderHints(puzzle, getHintState(puzzle, participant.id, scope), req.base)}
       `}
     </section>
     
     <nav class="nav-links">
-      <a href="/me" class="btn btn-secondary">My Progress</a>
-      <a href="/" class="btn btn-secondary">Home</a>
+      <a href="${req.base}/me" class="btn btn-secondary">My Progress</a>
+      <a href="${req.base}/" class="btn btn-secondary">Home</a>
     </nav>
   </div>`;
   
-  res.send(layout(`${branchInfo.name} Step ${puzzle.step}`, content));
+  res.send(layout(`${branchInfo.name} Step ${puzzle.step}`, content, { live: { base: req.base, refreshOn: ['solve'] } }));
+});
+
+// POST /p/:id/hint - Reveal the next hint for this participant
+router.post('/p/:id/hint', ensureParticipant, refuseBanned, (req, res) => {
+  const puzzleId = parseInt(req.params.id, 10);
+  const puzzle = puzzles.getPuzzle(puzzleId);
+
+  if (!puzzle) {
+    return res.status(404).send(layout('Not Found', '<div class="container"><h1>Puzzle Not Found</h1></div>'));
+  }
+
+  const participant = req.participant;
+  const { scope, solvedIds } = getProgress(req);
+  const locked = !!getLockReason(puzzle, solvedIds);
+  const { next } = getHintState(puzzle, participant.id, scope);
+
+  if (!locked && next && next.minutesLeft === 0 && !db.hasParticipantSolved(participant.id, puzzleId)) {
+    db.recordHintReveal(participant.id, puzzleId, next.index);
+  }
+
+  res.redirect(`${req.base}/p/${puzzleId}#hints`);
 });
 
 // POST /p/:id/submit - Submit answer
-app.post('/p/:id/submit', ensureParticipant, (req, res) => {
+router.post('/p/:id/submit', ensureParticipant, refuseBanned, (req, res) => {
   const puzzleId = parseInt(req.params.id, 10);
-  const puzzle = puzzles.getPuzzleWithOverrides(puzzleId, db);
+  const puzzle = puzzles.getPuzzle(puzzleId);
   
   if (!puzzle) {
     return res.status(404).send(layout('Not Found', '<div class="container"><h1>Puzzle Not Found</h1></div>'));
   }
   
   const participant = req.participant;
+  const progress = getProgress(req);
+  if (getLockReason(puzzle, progress.solvedIds)) {
+    return res.redirect(`${req.base}/p/${puzzleId}`);
+  }
+
   const answer = req.body.answer || '';
-  // Check answer against override if exists, otherwise default
-  const normalizedAnswer = puzzles.normalizeAnswer(answer);
-  const isCorrect = normalizedAnswer === puzzle.answer;
+  // Check by answer type: aliases and typo tolerance for text, ranges, choices, order or pattern
+  const match = puzzles.matchAnswer(puzzle, answer);
+  const isCorrect = match.correct;
   const branchInfo = puzzles.BRANCHES[puzzle.branch];
+
+  // A super prize goes to the first correct answer; later players see who has it
+  let prizeClaim = puzzles.isSuperPrize(puzzle) ? db.getPrizeClaim(puzzleId) : null;
+  if (isCorrect && puzzles.isSuperPrize(puzzle) && !prizeClaim) {
+    prizeClaim = db.claimPrize(puzzleId, participant.id);
+  }
+  if (prizeClaim && prizeClaim.participant_id !== participant.id) {
+    return res.redirect(`${req.base}/p/${puzzleId}`);
+  }
   
   if (isCorrect) {
     const result = db.recordSolve(participant.id, puzzleId);
-    
-    // Check if this completes the branch (step 3 first solve)
-    let branchCompleted = false;
-    if (puzzle.step === 3 && result.isFirst) {
-      const doneKey = `${puzzle.branch}_DONE`;
-      if (!db.hasGlobalKey(doneKey)) {
-        db.setGlobalKey(doneKey);
-        branchCompleted = true;
-      }
+    const points = result.success ? awardSolvePoints(participant.id, puzzle, result.isFirst, progress.scope) : 0;
+    const badges = result.success ? awardSolveAchievements(participant.id, puzzle, result.isFirst, progress.scope) : [];
+    if (result.success) {
+      // Hidden and banned players solve anonymously on other screens
+      live.publish(req.event.slug, 'solve', {
+        puzzleId,
+        title: puzzle.title,
+        branch: puzzle.branch,
+        nickname: participant.status === 'active' ? participant.nickname : null,
+        isFirst: result.isFirst
+      }, progress.scope);
     }
+    // First solve for everyone (cooperative) or for this team (competitive)
+    const opened = !progress.solvedIds.includes(puzzleId);
+    
+    // Check if this completes the branch (first solve that meets the branch mode's goal)
+    const branchCompleted = opened && completeBranchIfDone(puzzle.branch, progress.scope);
     
-    const doneCount = db.countDoneKeys();
-    const hubUnlocked = doneCount >= 2;
-    const metaUnlocked = doneCount >= 4;
+    const doneCount = db.countDoneKeys(progress.scope);
+    const hubThreshold = puzzles.getHubThreshold();
+    const vaultThreshold = puzzles.getVaultThreshold();
+    const hubUnlocked = doneCount >= hubThreshold;
+    const metaUnlocked = doneCount >= vaultThreshold;
     
     let message;
     if (result.alreadySolved) {
@@ -494,9 +1351,9 @@ app.post('/p/:id/submit', ensureParticipant, (req, res) => {
       message = "Correct! Your solve is recorded.";
     }
 
-    // Get next puzzle in chain (if not step 3)
-    const nextPuzzle = puzzle.step < 3 ? puzzles.getPuzzleByBranchStep(puzzle.branch, puzzle.step + 1) : null;
-    const nextPuzzleWithOverrides = nextPuzzle ? puzzles.getPuzzleWithOverrides(nextPuzzle.id, db) : null;
+    // Puzzles this solve opened (next step, or graph dependents); unordered branches have none
+    const unlockedPuzzles = puzzles.getUnlockedBy(puzzle, db.getScopeSolvedPuzzleIds(progress.scope));
+    if (opened) unlockedPuzzles.forEach(p => db.markPuzzleUnlocked(p.id, progress.scope));
 
     const content = `
     <div class="container phone-first">
@@ -507,6 +1364,15 @@ app.post('/p/:id/submit', ensureParticipant, (req, res) => {
       <section class="card success-card" style="--branch-color: ${branchInfo.color}">
         <div class="checkmark">&#10004;</div>
         <p class="success-message">${escapeHtml(message)}</p>
+        ${result.success ? `<p class="points-earned">+${points} points</p>` : ''}
+        ${prizeClaim ? renderPrizeClaim(prizeClaim, participant.id) : ''}
+
+        ${badges.length > 0 ? `
+          <div class="badges-earned">
+            <p class="next-label">New badge${badges.length !== 1 ? 's' : ''}!</p>
+            <div class="badge-grid">${renderBadges(badges, badges.map(b => b.id))}</div>
+          </div>
+        ` : ''}
 
         ${puzzle.successMessage ? `
           <div class="puzzle-reward">
@@ -514,12 +1380,19 @@ app.post('/p/:id/submit', ensureParticipant, (req, res) => {
           </div>
         ` : ''}
 
-        ${nextPuzzleWithOverrides && puzzle.branch !== 'H' ? `
+        ${puzzle.collectLetters && puzzle.collectLetters.length > 0 ? `
+          <div class="letters-earned">
+            <div class="letter-row">${renderLetterTiles(puzzle.collectLetters)}</div>
+            <p>Saved to <a href="${req.base}/me#letters">your letters</a> &mdash; no need to write them down.</p>
+          </div>
+        ` : ''}
+
+        ${unlockedPuzzles.map(next => `
           <div class="next-clue">
             <p class="next-label">🔍 NEXT QR LOCATION:</p>
-            <p class="next-hint"><strong>${escapeHtml(nextPuzzleWithOverrides.location_hint)}</strong></p>
+            <p class="next-hint"><strong>${escapeHtml(next.location_hint)}</strong></p>
           </div>
-        ` : ''}
+        `).join('')}
 
         ${branchCompleted ? `
           <div class="branch-complete-banner">
@@ -528,70 +1401,84 @@ app.post('/p/:id/submit', ensureParticipant, (req, res) => {
           </div>
         ` : ''}
 
-        ${hubUnlocked && doneCount === 2 ? `
+        ${hubUnlocked && doneCount === hubThreshold ? `
           <div class="unlock-banner hub-unlock">
             <p>&#128275; <strong>HUB UNLOCKED!</strong></p>
-            <a href="/hub" class="btn btn-primary">Go to Hub</a>
+            <a href="${req.base}/hub" class="btn btn-primary">Go to Hub</a>
           </div>
         ` : ''}
 
-        ${metaUnlocked && doneCount === 4 ? `
+        ${metaUnlocked && doneCount === vaultThreshold ? `
           <div class="unlock-banner meta-unlock">
             <p>&#128275; <strong>VAULT UNLOCKED!</strong></p>
-            <a href="/meta" class="btn btn-gold">Go to Vault</a>
+            <a href="${req.base}/meta" class="btn btn-gold">Go to Vault</a>
           </div>
         ` : ''}
       </section>
       
       <nav class="nav-links">
-        <a href="/me" class="btn btn-secondary">My Progress</a>
-        <a href="/" class="btn btn-secondary">Find More</a>
-        ${hubUnlocked ? '<a href="/hub" class="btn btn-primary">Hub</a>' : ''}
+        <a href="${req.base}/me" class="btn btn-secondary">My Progress</a>
+        <a href="${req.base}/" class="btn btn-secondary">Find More</a>
+        ${hubUnlocked ? `<a href="${req.base}/hub" class="btn btn-primary">Hub</a>` : ''}
       </nav>
     </div>`;
     
     res.send(layout('Correct!', content));
   } else {
+    // Wrong answers before the solve cost points
+    if (!db.hasParticipantSolved(participant.id, puzzleId)) {
+      db.recordWrongAnswer(participant.id, puzzleId);
+    }
+
     const content = `
     <div class="container phone-first">
       <header>
-        <a href="/p/${puzzleId}" class="back-link">&larr; Try Again</a>
-        <h1>Incorrect</h1>
+        <a href="${req.base}/p/${puzzleId}" class="back-link">&larr; Try Again</a>
+        <h1>${match.close ? 'Close!' : 'Incorrect'}</h1>
       </header>
       
       <section class="card error-card">
         <div class="xmark">&#10008;</div>
-        <p>That's not right. Try again!</p>
+        <p>${match.close ? 'So close! Check your spelling and try again.' : "That's not right. Try again!"}</p>
       </section>
       
       <nav class="nav-links">
-        <a href="/p/${puzzleId}" class="btn btn-primary">Try Again</a>
+        <a href="${req.base}/p/${puzzleId}" class="btn btn-primary">Try Again</a>
       </nav>
     </div>`;
     
-    res.send(layout('Incorrect', content));
+    res.send(layout(match.close ? 'Close!' : 'Incorrect', content));
   }
 });
 
-// GET /hub - Hub page (unlocks at 2 branches)
-app.get('/hub', ensureParticipant, (req, res) => {
-  const doneCount = db.countDoneKeys();
-  const completedBranches = db.getCompletedBranches();
-  const branchStatus = db.getBranchStatus(puzzles);
+// GET /hub - Hub page (unlocks at the pack's hub threshold)
+router.get('/hub', ensureParticipant, (req, res) => {
+  const { scope } = getProgress(req);
+  const doneCount = db.countDoneKeys(scope);
+  const completedBranches = db.getCompletedBranches(scope);
+  const branchStatus = db.getBranchStatus(puzzles, scope);
   const permKey = db.getPermutationKey();
+  const hubThreshold = puzzles.getHubThreshold();
+  const vaultThreshold = puzzles.getVaultThreshold();
+  const standings = db.getTeamStandings(10);
+  const standingsCard = standings.length === 0 ? '' : `
+      <section class="card">
+        <h3>Team Standings</h3>
+        ${renderTeamStandings(standings, req.participant.team_id)}
+      </section>`;
   
-  if (doneCount < 2) {
+  if (doneCount < hubThreshold) {
     const content = `
-    <div class="container phone-first">
+    <div class="container phone-first" id="hub" data-live-region>
       <header>
-        <a href="/" class="back-link">&larr; Home</a>
+        <a href="${req.base}/" class="back-link">&larr; Home</a>
         <h1>Hub</h1>
       </header>
       
       <section class="card locked-message">
         <div class="lock-icon">&#128274;</div>
-        <p>The Hub unlocks when <strong>2 branches</strong> are complete.</p>
-        <p>Branches done: ${doneCount} / 2</p>
+        <p>The Hub unlocks when <strong>${hubThreshold} branch${hubThreshold !== 1 ? 'es' : ''}</strong> ${hubThreshold !== 1 ? 'are' : 'is'} complete.</p>
+        <p>Branches done: ${doneCount} / ${hubThreshold}</p>
       </section>
       
       <section class="card">
@@ -600,18 +1487,19 @@ app.get('/hub', ensureParticipant, (req, res) => {
           ${renderBranchStatus(branchStatus)}
         </div>
       </section>
+      ${standingsCard}
     </div>`;
     
-    return res.send(layout('Hub - Locked', content));
+    return res.send(layout('Hub - Locked', content, { live: { base: req.base, refreshOn: ['solve', 'branch-complete', 'hub-unlock', 'vault-unlock'] } }));
   }
   
   // Hub is unlocked
   const { digits } = puzzles.computeVaultCode(completedBranches);
   
   const content = `
-  <div class="container phone-first">
+  <div class="container phone-first" id="hub" data-live-region>
     <header>
-      <a href="/" class="back-link">&larr; Home</a>
+      <a href="${req.base}/" class="back-link">&larr; Home</a>
       <h1>The Hub</h1>
     </header>
     
@@ -631,48 +1519,52 @@ app.get('/hub', ensureParticipant, (req, res) => {
     <section class="card digits-collected">
       <h3>Digits Collected</h3>
       <p class="digits-string">${digits || '(none yet)'}</p>
-      <p class="note">Digits are added in branch order: LEGO, HIDDEN, JIGSAW, PUZZLE BOX</p>
+      <p class="note">Digits are added in branch order: ${puzzles.BRANCH_ORDER.map(b => escapeHtml(puzzles.BRANCHES[b].name)).join(', ')}</p>
     </section>
     
     <section class="card perm-reveal">
       <h3>Permutation Key</h3>
       <p class="perm-key">${permKey}</p>
-      <p class="note">When all 4 branches are done, apply this permutation to the digits, then take the first 6 digits for the vault code.</p>
+      <p class="note">When all ${puzzles.BRANCH_ORDER.length} branches are done, apply this permutation to the digits, then take the first ${puzzles.getVaultCodeLength()} digits for the vault code.</p>
     </section>
+    ${standingsCard}
     
-    ${doneCount >= 4 ? `
+    ${doneCount >= vaultThreshold ? `
       <nav class="nav-links">
-        <a href="/meta" class="btn btn-gold">Go to Vault</a>
+        <a href="${req.base}/meta" class="btn btn-gold">Go to Vault</a>
       </nav>
     ` : `
       <section class="card">
-        <p>Complete ${4 - doneCount} more branch${4 - doneCount !== 1 ? 'es' : ''} to unlock the Vault!</p>
+        <p>Complete ${vaultThreshold - doneCount} more branch${vaultThreshold - doneCount !== 1 ? 'es' : ''} to unlock the Vault!</p>
       </section>
     `}
   </div>`;
   
-  res.send(layout('The Hub', content));
+  res.send(layout('The Hub', content, { live: { base: req.base, refreshOn: ['solve', 'branch-complete', 'hub-unlock', 'vault-unlock'] } }));
 });
 
-// GET /meta - Final vault page (unlocks at 4 branches)
-app.get('/meta', ensureParticipant, (req, res) => {
-  const doneCount = db.countDoneKeys();
-  const completedBranches = db.getCompletedBranches();
-  const branchStatus = db.getBranchStatus(puzzles);
+// GET /meta - Final vault page (unlocks at the pack's vault threshold)
+router.get('/meta', ensureParticipant, (req, res) => {
+  const { scope } = getProgress(req);
+  const doneCount = db.countDoneKeys(scope);
+  const completedBranches = db.getCompletedBranches(scope);
+  const branchStatus = db.getBranchStatus(puzzles, scope);
   const permKey = db.getPermutationKey();
+  const vaultThreshold = puzzles.getVaultThreshold();
+  const codeLength = puzzles.getVaultCodeLength();
   
-  if (doneCount < 4) {
+  if (doneCount < vaultThreshold) {
     const content = `
     <div class="container phone-first">
       <header>
-        <a href="/" class="back-link">&larr; Home</a>
+        <a href="${req.base}/" class="back-link">&larr; Home</a>
         <h1>The Vault</h1>
       </header>
       
       <section class="card locked-message">
         <div class="lock-icon">&#128274;</div>
-        <p>The Vault unlocks when <strong>all 4 branches</strong> are complete.</p>
-        <p>Branches done: ${doneCount} / 4</p>
+        <p>The Vault unlocks when <strong>${vaultThreshold === puzzles.BRANCH_ORDER.length ? 'all ' : ''}${vaultThreshold} branches</strong> are complete.</p>
+        <p>Branches done: ${doneCount} / ${vaultThreshold}</p>
       </section>
       
       <section class="card">
@@ -682,9 +1574,9 @@ app.get('/meta', ensureParticipant, (req, res) => {
         </div>
       </section>
       
-      ${doneCount >= 2 ? `
+      ${doneCount >= puzzles.getHubThreshold() ? `
         <nav class="nav-links">
-          <a href="/hub" class="btn btn-primary">Go to Hub</a>
+          <a href="${req.base}/hub" class="btn btn-primary">Go to Hub</a>
         </nav>
       ` : ''}
     </div>`;
@@ -698,7 +1590,7 @@ app.get('/meta', ensureParticipant, (req, res) => {
   const content = `
   <div class="container phone-first">
     <header>
-      <a href="/" class="back-link">&larr; Home</a>
+      <a href="${req.base}/" class="back-link">&larr; Home</a>
       <h1>The Vault</h1>
     </header>
     
@@ -710,7 +1602,7 @@ app.get('/meta', ensureParticipant, (req, res) => {
     <section class="card vault-math">
       <h3>Vault Code Computation</h3>
       <div class="math-step">
-        <span class="label">Digits (L+H+J+P):</span>
+        <span class="label">Digits (${puzzles.BRANCH_ORDER.join('+')}):</span>
         <span class="value">${digits}</span>
       </div>
       <div class="math-step">
@@ -719,18 +1611,18 @@ app.get('/meta', ensureParticipant, (req, res) => {
       </div>
       <div class="math-step">
         <span class="label">Permuted:</span>
-        <span class="value">${permuted}</span>
+        <span class="value">${permuted || '(need every branch)'}</span>
       </div>
       <div class="math-step result">
-        <span class="label">Vault Code (first 6):</span>
-        <span class="value">${vaultCode}</span>
+        <span class="label">Vault Code (first ${codeLength}):</span>
+        <span class="value">${vaultCode || '?'.repeat(codeLength)}</span>
       </div>
     </section>
     
     <section class="card vault-entry">
       <h3>Enter Vault Code</h3>
-      <form action="/meta/submit" method="POST" class="vault-form">
-        <input type="text" name="code" placeholder="6-digit code" pattern="[0-9]{6}" maxlength="6" required>
+      <form action="${req.base}/meta/submit" method="POST" class="vault-form">
+        <input type="text" name="code" placeholder="${codeLength}-digit code" pattern="[0-9]{${codeLength}}" maxlength="${codeLength}" required>
         <button type="submit">Open Vault</button>
       </form>
     </section>
@@ -740,15 +1632,22 @@ app.get('/meta', ensureParticipant, (req, res) => {
 });
 
 // POST /meta/submit - Submit vault code
-app.post('/meta/submit', ensureParticipant, (req, res) => {
+router.post('/meta/submit', ensureParticipant, refuseBanned, (req, res) => {
   const submittedCode = (req.body.code || '').trim();
-  const completedBranches = db.getCompletedBranches();
+  const { scope } = getProgress(req);
+  // A competing team can't use a code overheard from another before its own vault opens
+  if (scope && db.countDoneKeys(scope) < puzzles.getVaultThreshold()) {
+    return res.redirect(`${req.base}/meta`);
+  }
+  const completedBranches = db.getCompletedBranches(scope);
   const { vaultCode } = puzzles.computeVaultCode(completedBranches);
   
   // Accept either the computed code or the env override
-  const isCorrect = submittedCode === vaultCode || submittedCode === VAULT_CODE;
+  const isCorrect = submittedCode === vaultCode || submittedCode === getVaultCode(req.event);
   
   if (isCorrect) {
+    // Competitive events: the first verified code wins the race
+    if (scope) db.claimVaultWin(scope, getScopeName(req));
     const content = `
     <div class="container phone-first">
       <header>
@@ -758,12 +1657,13 @@ app.post('/meta/submit', ensureParticipant, (req, res) => {
       <section class="card prize-reveal">
         <div class="celebration">🪅 🎉 🪅</div>
         <h2>YOU CRACKED THE VAULT!</h2>
-        <p class="prize-clue">${escapeHtml(PRIZE_CLUE)}</p>
+        <p class="prize-clue">${escapeHtml(getPrizeClue(req.event))}</p>
+        ${renderVaultRace(req, scope)}
         <p class="instruction">Round up the crew - time to celebrate!</p>
       </section>
       
       <nav class="nav-links">
-        <a href="/" class="btn btn-primary">Back to Home</a>
+        <a href="${req.base}/" class="btn btn-primary">Back to Home</a>
       </nav>
     </div>`;
     
@@ -772,7 +1672,7 @@ app.post('/meta/submit', ensureParticipant, (req, res) => {
     const content = `
     <div class="container phone-first">
       <header>
-        <a href="/meta" class="back-link">&larr; Back</a>
+        <a href="${req.base}/meta" class="back-link">&larr; Back</a>
         <h1>Wrong Code</h1>
       </header>
       
@@ -782,7 +1682,7 @@ app.post('/meta/submit', ensureParticipant, (req, res) => {
       </section>
       
       <nav class="nav-links">
-        <a href="/meta" class="btn btn-primary">Try Again</a>
+        <a href="${req.base}/meta" class="btn btn-primary">Try Again</a>
       </nav>
     </div>`;
     
@@ -791,10 +1691,13 @@ app.post('/meta/submit', ensureParticipant, (req, res) => {
 });
 
 // GET /unlock - Mobile-friendly unlock page (linked from TV QR)
-app.get('/unlock', ensureParticipant, (req, res) => {
-  const doneCount = db.countDoneKeys();
+router.get('/unlock', ensureParticipant, (req, res) => {
+  const doneCount = db.countDoneKeys(getProgress(req).scope);
+  const vaultThreshold = puzzles.getVaultThreshold();
+  const codeLength = puzzles.getVaultCodeLength();
+  const wordCount = puzzles.FINAL_PHRASE.length;
 
-  if (doneCount < 4) {
+  if (doneCount < vaultThreshold) {
     const content = `
     <div class="container phone-first">
       <header>
@@ -802,11 +1705,11 @@ app.get('/unlock', ensureParticipant, (req, res) => {
       </header>
       <section class="card locked-message">
         <div class="lock-icon">&#128274;</div>
-        <p>All 4 branches must be complete first!</p>
-        <p>Branches done: ${doneCount} / 4</p>
+        <p>${vaultThreshold === puzzles.BRANCH_ORDER.length ? 'All ' : ''}${vaultThreshold} branches must be complete first!</p>
+        <p>Branches done: ${doneCount} / ${vaultThreshold}</p>
       </section>
       <nav class="nav-links">
-        <a href="/" class="btn btn-primary">Back to Home</a>
+        <a href="${req.base}/" class="btn btn-primary">Back to Home</a>
       </nav>
     </div>`;
     return res.send(layout('Vault Locked', content));
@@ -819,23 +1722,23 @@ app.get('/unlock', ensureParticipant, (req, res) => {
     </header>
 
     <section class="card">
-      <p class="unlock-intro">Enter the secret phrase OR the 6-digit code!</p>
+      <p class="unlock-intro">Enter the secret phrase OR the ${codeLength}-digit code!</p>
     </section>
 
     <section class="card vault-entry">
       <h3>Option 1: Secret Phrase</h3>
-      <p class="hint">The 4 code words you collected from each branch...</p>
-      <form action="/unlock/submit" method="POST" class="vault-form">
-        <input type="text" name="phrase" placeholder="Enter the 4 words" autocomplete="off">
+      <p class="hint">The ${wordCount} code words you collected from each branch...</p>
+      <form action="${req.base}/unlock/submit" method="POST" class="vault-form">
+        <input type="text" name="phrase" placeholder="Enter the ${wordCount} words" autocomplete="off">
         <button type="submit">Unlock with Phrase</button>
       </form>
     </section>
 
     <section class="card vault-entry">
       <h3>Option 2: Vault Code</h3>
-      <p class="hint">Apply the permutation, take first 6 digits...</p>
-      <form action="/unlock/submit" method="POST" class="vault-form">
-        <input type="text" name="code" placeholder="6-digit code" pattern="[0-9]{6}" maxlength="6">
+      <p class="hint">Apply the permutation, take first ${codeLength} digits...</p>
+      <form action="${req.base}/unlock/submit" method="POST" class="vault-form">
+        <input type="text" name="code" placeholder="${codeLength}-digit code" pattern="[0-9]{${codeLength}}" maxlength="${codeLength}">
         <button type="submit">Unlock with Code</button>
       </form>
     </section>
@@ -845,23 +1748,28 @@ app.get('/unlock', ensureParticipant, (req, res) => {
 });
 
 // POST /unlock/submit - Handle both phrase and code
-app.post('/unlock/submit', ensureParticipant, (req, res) => {
+router.post('/unlock/submit', ensureParticipant, refuseBanned, (req, res) => {
   const submittedPhrase = (req.body.phrase || '').trim().toUpperCase().replace(/[^A-Z]/g, ' ').replace(/\s+/g, ' ').trim();
   const submittedCode = (req.body.code || '').trim();
 
-  const completedBranches = db.getCompletedBranches();
+  const { scope } = getProgress(req);
+  if (scope && db.countDoneKeys(scope) < puzzles.getVaultThreshold()) {
+    return res.redirect(`${req.base}/unlock`);
+  }
+  const completedBranches = db.getCompletedBranches(scope);
   const { vaultCode } = puzzles.computeVaultCode(completedBranches);
 
-  // Check phrase: MIDNIGHT FEARLESS BREAK AGAIN (in any order? or exact?)
-  const correctPhrase = puzzles.FINAL_PHRASE.join(' '); // "MIDNIGHT FEARLESS BREAK AGAIN"
+  // Check phrase: the pack's FINAL_PHRASE, exact, run together, or in any order
+  const correctPhrase = puzzles.FINAL_PHRASE.join(' ');
   const phraseMatch = submittedPhrase === correctPhrase ||
-                      submittedPhrase === 'MIDNIGHTFEARLESSBREAKAGAIN' ||
+                      submittedPhrase === puzzles.FINAL_PHRASE.join('') ||
                       submittedPhrase.split(' ').sort().join(' ') === puzzles.FINAL_PHRASE.slice().sort().join(' ');
 
   // Check code
-  const codeMatch = submittedCode === vaultCode || submittedCode === VAULT_CODE;
+  const codeMatch = submittedCode === vaultCode || submittedCode === getVaultCode(req.event);
 
   if (phraseMatch || codeMatch) {
+    if (scope) db.claimVaultWin(scope, getScopeName(req));
     const content = `
     <div class="container phone-first">
       <header>
@@ -871,12 +1779,13 @@ app.post('/unlock/submit', ensureParticipant, (req, res) => {
       <section class="card prize-reveal">
         <div class="celebration">🪅 🎉 🪅</div>
         <h2>YOU CRACKED THE VAULT!</h2>
-        <p class="prize-clue">${escapeHtml(PRIZE_CLUE)}</p>
+        <p class="prize-clue">${escapeHtml(getPrizeClue(req.event))}</p>
+        ${renderVaultRace(req, scope)}
         <p class="instruction">Round up the crew - time to celebrate!</p>
       </section>
 
       <nav class="nav-links">
-        <a href="/" class="btn btn-primary">Back to Home</a>
+        <a href="${req.base}/" class="btn btn-primary">Back to Home</a>
       </nav>
     </div>`;
 
@@ -885,7 +1794,7 @@ app.post('/unlock/submit', ensureParticipant, (req, res) => {
     const content = `
     <div class="container phone-first">
       <header>
-        <a href="/unlock" class="back-link">&larr; Back</a>
+        <a href="${req.base}/unlock" class="back-link">&larr; Back</a>
         <h1>Wrong!</h1>
       </header>
 
@@ -895,7 +1804,7 @@ app.post('/unlock/submit', ensureParticipant, (req, res) => {
       </section>
 
       <nav class="nav-links">
-        <a href="/unlock" class="btn btn-primary">Try Again</a>
+        <a href="${req.base}/unlock" class="btn btn-primary">Try Again</a>
       </nav>
     </div>`;
 
@@ -904,12 +1813,9 @@ app.post('/unlock/submit', ensureParticipant, (req, res) => {
 });
 
 // GET /tv - Victory NYE Celebration Display
-app.get('/tv', (req, res) => {
-  // Midnight Central Time = 6:00 AM UTC on Jan 1, 2026
-  const baseTarget = Date.UTC(2026, 0, 1, 6, 0, 0);
-  // Allow offset adjustment via ?offset=X (in seconds, positive or negative)
-  const offsetSeconds = parseInt(req.query.offset || '0', 10) || 0;
-  const targetUTC = baseTarget + (offsetSeconds * 1000);
+router.get('/tv', (req, res) => {
+  // The year and banner text come from the event's schedule (see schedule.js)
+  const { year, celebration } = schedule.getSchedule(req.event);
 
   // Video - NYE countdown
   let videoId = req.query.video || 'XVOHO2q10JU';
@@ -920,9 +1826,17 @@ app.get('/tv', (req, res) => {
 
   const videoParams = 'autoplay=1&controls=0&showinfo=0&rel=0&modestbranding=1&playsinline=1&mute=0';
 
+  const playlist = getTvPlaylist();
+  const branchInfo = puzzles.BRANCH_ORDER.map(branch => {
+    const { name, icon, color } = puzzles.BRANCHES[branch];
+    return { branch, name, icon, color };
+  });
+  const toScript = value => JSON.stringify(value).replace(/</g, '\\u003c');
+
   const content = `
-  <div class="victory-tv">
-    <!-- Background Video -->
+  <div class="victory-tv" data-scene="${playlist[0].type}">
+    ${playlist.some(scene => scene.type === 'video') ? `
+    <!-- Background Video (the video scene; other scenes play over it) -->
     <div class="victory-video-bg">
       <iframe
         id="yt-player"
@@ -932,14 +1846,45 @@ app.get('/tv', (req, res) => {
         allowfullscreen>
       </iframe>
     </div>
+    ` : ''}
+
+    <!-- Scenes, one per playlist entry -->
+    ${playlist.map((scene, i) => `
+    <div class="tv-scene tv-scene-${scene.type}" ${i > 0 ? 'hidden' : ''}>
+      ${scene.type === 'branches' ? '<h2>Branch Map</h2><div class="tv-branch-map"></div>' : ''}
+      ${scene.type === 'solves' ? '<h2>Latest Solves</h2><ol class="tv-solves"></ol>' : ''}
+      ${scene.type === 'leaderboard' ? '<h2>Leaderboard</h2><ol class="tv-leaderboard"></ol><h2 class="tv-teams-title" hidden>Teams</h2><ol class="tv-teams"></ol>' : ''}
+      ${scene.type === 'countdown' ? '<p class="tv-countdown-label">Countdown to midnight</p><p class="tv-countdown"></p>' : ''}
+      ${scene.type === 'announcement' ? `
+        ${scene.title ? `<h2 class="tv-announcement-title">${escapeHtml(scene.title)}</h2>` : ''}
+        ${scene.text ? `<p class="tv-announcement-text">${escapeHtml(scene.text)}</p>` : ''}
+      ` : ''}
+    </div>`).join('')}
 
     <!-- Party Message -->
     <div class="party-message" id="party-message">
-      🎉 HAPPY NEW YEAR 2026! 🎉
+      🎉 ${escapeHtml(celebration)} 🎉
     </div>
 
     <!-- Confetti Canvas -->
     <canvas id="confetti-canvas"></canvas>
+
+    <!-- Raffle reveal -->
+    <div class="tv-raffle" id="tv-raffle" hidden>
+      <p class="tv-raffle-title" id="tv-raffle-title"></p>
+      <p class="tv-raffle-name" id="tv-raffle-name"></p>
+    </div>
+
+    <!-- Badge and live announcements -->
+    <div class="tv-badge" id="tv-badge" hidden></div>
+
+    <!-- Team Standings (shown once teams exist) -->
+    <div class="tv-standings" id="tv-standings" hidden>
+      <h2>Team Standings</h2>
+      <p class="tv-winner" id="tv-winner" hidden></p>
+      <ol id="tv-standings-list"></ol>
+      <p class="tv-contributors" id="tv-contributors"></p>
+    </div>
   </div>
 
   <style>
@@ -994,6 +1939,89 @@ app.get('/tv', (req, res) => {
       to { text-shadow: 0 0 40px rgba(241,196,15,1), 0 0 60px rgba(231,76,60,0.5); }
     }
 
+    .tv-scene {
+      position: absolute;
+      inset: 0;
+      z-index: 5;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      padding: 60px 80px;
+      background: radial-gradient(circle at top, #1a1a3e, #050510);
+      color: #fff;
+      text-align: center;
+    }
+    .tv-scene[hidden] { display: none; }
+    .tv-scene.tv-scene-video { background: none; }
+    .tv-scene h2 {
+      font-size: 3rem;
+      color: #f1c40f;
+      margin-bottom: 30px;
+    }
+    .victory-tv:not([data-scene="video"]) .party-message,
+    .victory-tv:not([data-scene="video"]) .tv-standings { display: none; }
+    .tv-branch-map {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(260px, 1fr));
+      gap: 24px;
+      width: 100%;
+    }
+    .tv-branch {
+      padding: 24px;
+      border-radius: 20px;
+      border: 3px solid var(--branch-color);
+      background: rgba(0,0,0,0.4);
+      font-size: 1.8rem;
+    }
+    .tv-branch.done { background: var(--branch-color); }
+    .tv-branch-steps {
+      display: flex;
+      justify-content: center;
+      gap: 10px;
+      margin-top: 14px;
+    }
+    .tv-branch-steps span {
+      width: 28px;
+      height: 28px;
+      border-radius: 50%;
+      border: 3px solid #fff;
+    }
+    .tv-branch-steps span.solved { background: #fff; }
+    .tv-solves, .tv-leaderboard, .tv-teams {
+      list-style: none;
+      width: 100%;
+      max-width: 900px;
+      font-size: 2rem;
+    }
+    .tv-solves li, .tv-leaderboard li, .tv-teams li {
+      display: flex;
+      justify-content: space-between;
+      gap: 20px;
+      padding: 8px 0;
+      border-bottom: 1px solid rgba(255,255,255,0.15);
+    }
+    .tv-solves li span:last-child { opacity: 0.6; }
+    .tv-leaderboard li:first-child { color: #f1c40f; }
+    .tv-teams-title { margin-top: 30px; }
+    .tv-countdown-label { font-size: 2rem; opacity: 0.7; }
+    .tv-countdown {
+      font-size: 9rem;
+      font-weight: bold;
+      font-variant-numeric: tabular-nums;
+    }
+    .tv-countdown.number {
+      font-size: 16rem;
+      color: #f1c40f;
+      animation: glow 0.5s ease-in-out infinite alternate;
+    }
+    .tv-announcement-title { font-size: 4.5rem; }
+    .tv-announcement-text {
+      font-size: 2.5rem;
+      max-width: 1200px;
+      white-space: pre-line;
+    }
+
     #confetti-canvas {
       position: absolute;
       top: 0;
@@ -1003,18 +2031,105 @@ app.get('/tv', (req, res) => {
       z-index: 50;
       pointer-events: none;
     }
+
+    .tv-raffle {
+      position: absolute;
+      inset: 0;
+      z-index: 40;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      background: rgba(0,0,0,0.85);
+      color: #fff;
+      text-align: center;
+    }
+    .tv-raffle[hidden] { display: none; }
+    .tv-raffle-title {
+      font-size: 2.5rem;
+      margin-bottom: 2rem;
+    }
+    .tv-raffle-name {
+      font-size: 6rem;
+      font-weight: bold;
+    }
+    .tv-raffle-name.winner {
+      color: #f1c40f;
+      animation: glow 1s ease-in-out infinite alternate;
+    }
+    .tv-badge {
+      position: absolute;
+      top: 30px;
+      left: 50%;
+      transform: translateX(-50%);
+      z-index: 30;
+      background: rgba(0,0,0,0.75);
+      border: 2px solid #f1c40f;
+      padding: 16px 40px;
+      border-radius: 20px;
+      font-size: 2rem;
+      color: #fff;
+      animation: badge-pop 0.5s ease-out;
+    }
+    @keyframes badge-pop {
+      from { transform: translateX(-50%) scale(0.5); opacity: 0; }
+      to { transform: translateX(-50%) scale(1); opacity: 1; }
+    }
+    .tv-standings {
+      position: absolute;
+      top: 30px;
+      right: 30px;
+      z-index: 20;
+      min-width: 320px;
+      background: rgba(0,0,0,0.7);
+      padding: 20px 28px;
+      border-radius: 20px;
+      color: #fff;
+    }
+    .tv-standings h2 {
+      font-size: 1.6rem;
+      color: #f1c40f;
+      margin-bottom: 10px;
+    }
+    .tv-standings ol {
+      list-style: none;
+      counter-reset: rank;
+      font-size: 1.4rem;
+    }
+    .tv-standings li {
+      counter-increment: rank;
+      display: flex;
+      gap: 12px;
+      padding: 4px 0;
+    }
+    .tv-standings li::before {
+      content: counter(rank) ".";
+      width: 1.5em;
+      color: #f1c40f;
+    }
+    .tv-standings li span:first-child { flex: 1; }
+    .tv-winner {
+      font-size: 1.4rem;
+      color: #f1c40f;
+      margin-bottom: 10px;
+    }
+    .tv-contributors {
+      margin-top: 10px;
+      font-size: 0.95rem;
+      opacity: 0.8;
+    }
   </style>
 
   <script>
     const messages = [
-      "🎉 HAPPY NEW YEAR 2026! 🎉",
+      ${toScript(`🎉 ${celebration} 🎉`)},
       "🥳 LET'S PARTY! 🥳",
       "✨ NEW YEAR, NEW ADVENTURES! ✨",
-      "🎆 2026 IS HERE! 🎆",
+      "🎆 ${year} IS HERE! 🎆",
       "🍾 CHEERS TO THE NEW YEAR! 🍾",
       "🔓 VAULT CRACKED! YOU DID IT! 🔓",
       "🎊 CELEBRATE GOOD TIMES! 🎊",
-      "⭐ WISHING YOU AN AMAZING 2026! ⭐",
+      "⭐ WISHING YOU AN AMAZING ${year}! ⭐",
       "🎉 THANKS FOR PLAYING! 🎉",
       "🥂 HERE'S TO NEW BEGINNINGS! 🥂"
     ];
@@ -1078,13 +2193,231 @@ app.get('/tv', (req, res) => {
       canvas.width = window.innerWidth;
       canvas.height = window.innerHeight;
     });
+
+    // Scene playlist: show each scene for its seconds, then move on; the final
+    // seconds before midnight hold the countdown scene if there is one
+    const playlist = ${toScript(playlist)};
+    const branchInfo = ${toScript(branchInfo)};
+    const scenes = document.querySelectorAll('.tv-scene');
+    const countdownScene = playlist.findIndex(scene => scene.type === 'countdown');
+    let sceneIndex = 0;
+    let sceneTimer = null;
+    let finalCountdown = false;
+    function showScene(i) {
+      sceneIndex = i;
+      scenes.forEach((el, j) => { el.hidden = j !== i; });
+      document.querySelector('.victory-tv').dataset.scene = playlist[i].type;
+      clearTimeout(sceneTimer);
+      sceneTimer = setTimeout(nextScene, playlist[i].seconds * 1000);
+    }
+    function nextScene() {
+      showScene(finalCountdown && countdownScene !== -1 ? countdownScene : (sceneIndex + 1) % playlist.length);
+    }
+    showScene(0);
+
+    // Fill the branch map, solves feed and leaderboard scenes from /api/status
+    function listItems(rows, toCells) {
+      return rows.map(row => {
+        const li = document.createElement('li');
+        li.append(...toCells(row).map(text => {
+          const span = document.createElement('span');
+          span.textContent = text;
+          return span;
+        }));
+        return li;
+      });
+    }
+    function minutesAgo(sqlTime) {
+      const minutes = Math.floor((Date.now() - Date.parse(sqlTime.replace(' ', 'T') + 'Z')) / 60000);
+      return minutes < 1 ? 'just now' : minutes + ' min ago';
+    }
+    function renderScenes(status) {
+      document.querySelectorAll('.tv-branch-map').forEach(map => map.replaceChildren(...branchInfo.map(info => {
+        const branch = status.branchStatus[info.branch];
+        const card = document.createElement('div');
+        card.className = 'tv-branch' + (branch.done ? ' done' : '');
+        card.style.setProperty('--branch-color', info.color);
+        card.textContent = info.icon + ' ' + info.name + (branch.done ? ' ✔' : '');
+        const steps = document.createElement('div');
+        steps.className = 'tv-branch-steps';
+        steps.append(...branch.steps.map(solved => {
+          const dot = document.createElement('span');
+          if (solved) dot.className = 'solved';
+          return dot;
+        }));
+        card.append(steps);
+        return card;
+      })));
+      const branchName = id => (branchInfo.find(info => info.branch === id) || { name: id }).name;
+      document.querySelectorAll('.tv-solves').forEach(list => list.replaceChildren(...listItems(status.recent,
+        solve => [solve.nickname + ' cracked ' + branchName(solve.branch) + ' step ' + solve.step, minutesAgo(solve.solved_at)])));
+      document.querySelectorAll('.tv-leaderboard').forEach(list => list.replaceChildren(...listItems(status.leaderboard,
+        player => [player.nickname, player.points + ' pts'])));
+      document.querySelectorAll('.tv-teams').forEach(list => list.replaceChildren(...listItems(status.teams.slice(0, 5),
+        team => [team.name, team.puzzles + ' puzzles'])));
+      document.querySelectorAll('.tv-teams-title').forEach(title => { title.hidden = status.teams.length === 0; });
+    }
+
+    // Countdown scene from /api/nye-countdown: the event's schedule, or the admin's demo countdown
+    function formatRemaining(secs) {
+      const h = Math.floor(secs / 3600);
+      const m = Math.floor(secs % 3600 / 60);
+      const sec = secs % 60;
+      return (h > 0 ? h + ':' + String(m).padStart(2, '0') : m) + ':' + String(sec).padStart(2, '0');
+    }
+    async function tickCountdown() {
+      try {
+        const countdown = await (await fetch('${req.base}/api/nye-countdown')).json();
+        const text = countdown.showCelebration ? '🎆 ' + countdown.celebration + ' 🎆'
+          : countdown.display || formatRemaining(countdown.secsRemaining);
+        document.querySelectorAll('.tv-countdown').forEach(el => {
+          el.textContent = text;
+          el.classList.toggle('number', countdown.isNumber);
+        });
+        const wasFinal = finalCountdown;
+        finalCountdown = countdown.isNumber && !countdown.showCelebration;
+        if (finalCountdown && !wasFinal && sceneIndex !== countdownScene) showScene(countdownScene);
+      } catch (err) {
+        // Keep the last reading on a network blip
+      }
+    }
+    if (countdownScene !== -1) {
+      tickCountdown();
+      setInterval(tickCountdown, 1000);
+    }
+
+    // Team standings and top players from /api/status
+    async function refreshStandings() {
+      try {
+        const status = await (await fetch('${req.base}/api/status')).json();
+        const panel = document.getElementById('tv-standings');
+        panel.hidden = status.teams.length === 0 && !status.winner;
+        const winner = document.getElementById('tv-winner');
+        winner.hidden = !status.winner;
+        winner.textContent = status.winner ? '🏆 ' + status.winner.name + ' opened the vault first!' : '';
+        document.getElementById('tv-standings-list').replaceChildren(...status.teams.slice(0, 5).map(team => {
+          const li = document.createElement('li');
+          const name = document.createElement('span');
+          const count = document.createElement('span');
+          name.textContent = team.name;
+          count.textContent = team.puzzles;
+          li.append(name, count);
+          return li;
+        }));
+        document.getElementById('tv-contributors').textContent = status.leaderboard.length > 0
+          ? 'Top players: ' + status.leaderboard.slice(0, 3).map(c => c.nickname + ' (' + c.points + ' pts)').join(', ')
+          : '';
+        renderScenes(status);
+        queueBadges(status.recentAchievements);
+        revealRaffle(status.raffle);
+        announceSuperPrizes(status.superPrizes);
+      } catch (err) {
+        // Keep the last standings on a network blip
+      }
+    }
+    refreshStandings();
+    // Live events refresh straight away; polling only catches what a dropped stream missed
+    setInterval(refreshStandings, 60000);
+
+    // Announce badges earned since the page loaded, and live game events, one at a time
+    let lastBadgeId = null;
+    const announcements = [];
+    function queueBadges(recent) {
+      if (lastBadgeId !== null) {
+        announcements.push(...recent.filter(a => a.id > lastBadgeId).reverse()
+          .map(a => a.icon + ' ' + a.nickname + ' earned ' + a.name + '!'));
+      }
+      if (recent.length > 0) lastBadgeId = Math.max(lastBadgeId || 0, recent[0].id);
+    }
+    function showNextAnnouncement() {
+      const el = document.getElementById('tv-badge');
+      const next = announcements.shift();
+      el.hidden = !next;
+      if (next) {
+        el.textContent = next;
+        el.style.animation = 'none';
+        el.offsetHeight; // Restart the pop-in
+        el.style.animation = '';
+      }
+    }
+    setInterval(showNextAnnouncement, 6000);
+
+    // Live game events from /api/live; host broadcasts jump the queue
+    const liveEvents = {
+      'solve': d => (d.isFirst ? '⚡ ' : '✔ ') + (d.nickname || 'Someone') + ' solved ' + d.title,
+      'branch-complete': d => '🎉 ' + d.name + ' branch complete!',
+      'hub-unlock': () => '🔓 The Hub is unlocked!',
+      'vault-unlock': () => '🔓 The Vault is unlocked!',
+      'broadcast': d => '📣 ' + d.message
+    };
+    const stream = new EventSource('${req.base}/api/live');
+    stream.addEventListener('tv-playlist', () => location.reload());
+    // Raffle draws and super prize wins come with /api/status, which reveals them
+    ['raffle-draw', 'prize-claimed'].forEach(type => stream.addEventListener(type, refreshStandings));
+    let standingsTimer = null;
+    Object.keys(liveEvents).forEach(type => stream.addEventListener(type, e => {
+      const text = liveEvents[type](JSON.parse(e.data));
+      if (type === 'broadcast') {
+        announcements.unshift(text);
+        showNextAnnouncement();
+        return;
+      }
+      announcements.push(text);
+      clearTimeout(standingsTimer);
+      standingsTimer = setTimeout(refreshStandings, 400);
+    }));
+
+    // Spin through the entrants, slowing down, then land on a new raffle winner
+    let lastRaffleId;
+    function revealRaffle(draw) {
+      const firstLook = lastRaffleId === undefined;
+      if (!draw || draw.id === lastRaffleId) return;
+      lastRaffleId = draw.id;
+      if (firstLook) return;
+
+      const overlay = document.getElementById('tv-raffle');
+      const name = document.getElementById('tv-raffle-name');
+      document.getElementById('tv-raffle-title').textContent = '🎟️ Raffle' + (draw.prize ? ': ' + draw.prize : '') + ' 🎟️';
+      name.classList.remove('winner');
+      overlay.hidden = false;
+
+      let delay = 60;
+      let i = 0;
+      (function spin() {
+        if (delay < 600) {
+          name.textContent = draw.names[i++ % draw.names.length];
+          delay *= 1.12;
+          setTimeout(spin, delay);
+        } else {
+          name.textContent = '🎉 ' + draw.winner + ' 🎉';
+          name.classList.add('winner');
+          setTimeout(() => { overlay.hidden = true; }, 20000);
+        }
+      })();
+    }
+
+    // Announce a super prize once the host confirms its claim
+    let claimedPrizes;
+    function announceSuperPrizes(prizes) {
+      const claimed = prizes.filter(p => p.status === 'claimed').map(p => p.puzzle_id);
+      const fresh = claimedPrizes === undefined ? [] : prizes.filter(p => p.status === 'claimed' && !claimedPrizes.includes(p.puzzle_id));
+      claimedPrizes = claimed;
+      if (fresh.length === 0) return;
+
+      const name = document.getElementById('tv-raffle-name');
+      document.getElementById('tv-raffle-title').textContent = '⭐ SUPER PRIZE ⭐';
+      name.textContent = (fresh[0].winner || 'Someone') + ' claimed it!';
+      name.classList.add('winner');
+      document.getElementById('tv-raffle').hidden = false;
+      setTimeout(() => { document.getElementById('tv-raffle').hidden = true; }, 20000);
+    }
   </script>`;
 
   res.send(`<!DOCTYPE html><html><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>Midnight Vault - Victory!</title></head><body>${content}</body></html>`);
 });
 
 // GET /admin - Comprehensive Admin Panel
-app.get('/admin', (req, res) => {
+router.get('/admin', (req, res) => {
   if (req.query.key !== ADMIN_KEY) {
     return res.status(403).send(layout('Access Denied', '<div class="container"><h1>Access Denied</h1><p>Add ?key=YOUR_ADMIN_KEY to the URL</p></div>'));
   }
@@ -1093,10 +2426,29 @@ app.get('/admin', (req, res) => {
   const completedBranches = db.getCompletedBranches();
   const globalSolvedIds = db.getGlobalSolvedPuzzleIds();
   const { digits, permuted, vaultCode } = puzzles.computeVaultCode(completedBranches);
-  const contributors = db.getContributors(20);
+  const contributors = db.getPointsLeaderboard(20, true);
+  const teamStandings = db.getTeamStandings();
+  const winner = db.getVaultWinner();
+  const allParticipants = db.getAllParticipants();
+  const participantOptions = (selectedIndex = 0) => allParticipants.map((p, i) =>
+    `<option value="${escapeHtml(p.id)}" ${i === selectedIndex ? 'selected' : ''}>${escapeHtml(p.nickname)} (${p.solves} solve${p.solves !== 1 ? 's' : ''})</option>`
+  ).join('');
+  const blockedWords = getBlockedWords();
+  const superPrizes = puzzles.getSuperPrizePuzzles().map(puzzle => ({ puzzle, claim: db.getPrizeClaim(puzzle.id) }));
+  const liveScreens = live.countSubscribers(req.event.slug);
+  const recoveryFor = req.query.recovery_for ? db.getParticipant(req.query.recovery_for) : null;
   const allSolves = db.getAllSolves();
   const globalKeys = db.getGlobalKeys();
   const allPuzzleOverrides = db.getAllPuzzleOverrides();
+  const basePack = puzzles.getBasePack();
+  const revisedIds = db.getRevisedPuzzleIds();
+  const hintReveals = db.getRecentHintReveals(20, true);
+  const totalPuzzles = puzzles.getTotalPuzzles();
+  const solvedScored = puzzles.getScoredPuzzles().filter(p => globalSolvedIds.includes(p.id)).length;
+  const branchCount = puzzles.BRANCH_ORDER.length;
+  const hubThreshold = puzzles.getHubThreshold();
+  const vaultThreshold = puzzles.getVaultThreshold();
+  const codeLength = puzzles.getVaultCodeLength();
   
   // Build puzzle cards by branch with edit forms
   const puzzlesByBranch = puzzles.BRANCH_ORDER.map(branch => {
@@ -1106,43 +2458,49 @@ app.get('/admin', (req, res) => {
     
     const puzzleCards = branchPuzzles.map(p => {
       const isSolved = globalSolvedIds.includes(p.id);
-      const override = allPuzzleOverrides.find(o => o.puzzle_id === p.id);
-      const currentLocation = override?.location_hint || p.location_hint;
-      const currentPrompt = override?.prompt || p.prompt;
-      const currentAnswer = override?.answer || p.answer;
-      const hasOverride = !!override;
+      const basePuzzle = basePack.puzzles.find(bp => bp.id === p.id);
+      const hasOverride = allPuzzleOverrides.some(o => o.puzzle_id === p.id);
       
       return `
-        <div class="admin-puzzle-card ${isSolved ? 'solved' : ''} ${hasOverride ? 'has-override' : ''}">
+        <div class="admin-puzzle-card ${isSolved ? 'solved' : ''} ${hasOverride ? 'has-override' : ''}" id="puzzle-${p.id}">
           <div class="puzzle-card-header">
             <span class="puzzle-id">#${p.id}</span>
             <span class="puzzle-step">Step ${p.step}</span>
             <span class="puzzle-status">${isSolved ? '&#10004; SOLVED' : '&#9711; OPEN'}</span>
-            ${hasOverride ? '<span class="override-badge">EDITED</span>' : ''}
+            ${!basePuzzle ? '<span class="override-badge">NEW</span>' : hasOverride ? '<span class="override-badge">EDITED</span>' : ''}
           </div>
-          <form action="/admin/puzzle/${p.id}?key=${ADMIN_KEY}" method="POST" class="puzzle-edit-form">
-            <div class="form-group">
-              <label>Location:</label>
-              <input type="text" name="location_hint" value="${escapeHtml(currentLocation)}" placeholder="Where to hide this puzzle">
-            </div>
-            <div class="form-group">
-              <label>Prompt:</label>
-              <textarea name="prompt" rows="2" placeholder="The puzzle question">${escapeHtml(currentPrompt)}</textarea>
-            </div>
+          <form action="${req.base}/admin/puzzle/${p.id}?key=${ADMIN_KEY}" method="POST" class="puzzle-edit-form">
+            ${renderPuzzleFields(p)}
             <div class="form-group">
-              <label>Answer:</label>
-              <input type="text" name="answer" value="${escapeHtml(currentAnswer)}" placeholder="Correct answer">
+              <label>Also accept (one per line)${p.tolerance ? ` &middot; typos: ${p.tolerance}` : ''}:</label>
+              <textarea name="aliases" rows="2" placeholder="Other accepted answers">${escapeHtml((p.aliases || []).join('\n'))}</textarea>
             </div>
             <div class="puzzle-actions">
               <button type="submit" class="btn btn-small btn-save">Save</button>
-              <a href="/p/${p.id}" target="_blank" class="btn btn-small">View</a>
-              ${hasOverride ? `<a href="/admin/puzzle/${p.id}/reset?key=${ADMIN_KEY}" class="btn btn-small btn-reset">Reset</a>` : ''}
+              <a href="${req.base}/p/${p.id}" target="_blank" class="btn btn-small">View</a>
+              ${revisedIds.includes(p.id) ? `<a href="${req.base}/admin/puzzle/${p.id}/history?key=${ADMIN_KEY}" class="btn btn-small">History</a>` : ''}
+              ${basePuzzle && hasOverride ? `<a href="${req.base}/admin/puzzle/${p.id}/reset?key=${ADMIN_KEY}" class="btn btn-small btn-reset">Reset</a>` : ''}
+              <button type="submit" formaction="${req.base}/admin/puzzle/${p.id}/delete?key=${ADMIN_KEY}" class="btn btn-small btn-reset"
+                onclick="return confirm('Delete puzzle #${p.id}?')">Delete</button>
             </div>
           </form>
-          <div class="puzzle-default"><small>Default: ${escapeHtml(p.location_hint)}</small></div>
+          <div class="puzzle-default"><small>${basePuzzle ? `Default: ${escapeHtml(basePuzzle.location_hint)}` : 'Added in admin'}</small></div>
         </div>`;
     }).join('');
     
+    const newPuzzleCard = `
+      <div class="admin-puzzle-card new-puzzle">
+        <div class="puzzle-card-header">
+          <span class="puzzle-id">New puzzle</span>
+        </div>
+        <form action="${req.base}/admin/puzzle/new?key=${ADMIN_KEY}" method="POST" class="puzzle-edit-form">
+          ${renderPuzzleFields({ branch, step: branchPuzzles.length + 1 })}
+          <div class="puzzle-actions">
+            <button type="submit" class="btn btn-small btn-save">Add to ${escapeHtml(info.name)}</button>
+          </div>
+        </form>
+      </div>`;
+    
     const totalSteps = branchPuzzles.length;
     return `
       <div class="admin-branch" style="--branch-color: ${info.color}">
@@ -1156,46 +2514,67 @@ app.get('/admin', (req, res) => {
         </div>
         <div class="admin-puzzles-grid">
           ${puzzleCards}
+          ${newPuzzleCard}
         </div>
       </div>`;
   }).join('');
   
+  // Puzzles deleted in the admin, so they can be brought back
+  const deletedPuzzles = allPuzzleOverrides
+    .filter(o => o.deleted)
+    .map(o => puzzles.applyOverride(basePack.puzzles.find(p => p.id === o.puzzle_id) || null, { ...o, deleted: 0 }))
+    .filter(Boolean);
+  
   const content = `
   <div class="admin-dashboard">
     <header class="admin-header">
-      <h1>Midnight Vault - Admin Dashboard</h1>
+      <h1>${escapeHtml(req.event.name)} - Admin Dashboard</h1>
+      <form action="${req.base}/admin/editor?key=${ADMIN_KEY}" method="POST" class="editor-form">
+        <label for="editor">Editing as</label>
+        <input type="text" id="editor" name="editor" value="${escapeHtml(getEditorName(req))}" maxlength="24">
+      </form>
       <nav class="admin-nav">
-        <a href="/admin/qr?key=${ADMIN_KEY}" class="btn btn-small btn-gold">QR Codes</a>
-        <a href="/" target="_blank" class="btn btn-small">Home</a>
-        <a href="/tv" target="_blank" class="btn btn-small">TV</a>
-        <a href="/hub" target="_blank" class="btn btn-small">Hub</a>
-        <a href="/meta" target="_blank" class="btn btn-small">Vault</a>
+        <a href="/admin/events?key=${ADMIN_KEY}" class="btn btn-small">Events</a>
+        <a href="${req.base}/admin/qr?key=${ADMIN_KEY}" class="btn btn-small btn-gold">QR Codes</a>
+        <a href="${req.base}/admin/validate?key=${ADMIN_KEY}" class="btn btn-small">Validate Pack</a>
+        <a href="${req.base}/admin/vault-designer?key=${ADMIN_KEY}" class="btn btn-small">Vault Designer</a>
+        <a href="${req.base}/admin/backup?key=${ADMIN_KEY}" class="btn btn-small">Backup</a>
+        <a href="${req.base}/admin/raffle?key=${ADMIN_KEY}" class="btn btn-small">Raffle</a>
+        <a href="${req.base}/admin/tv?key=${ADMIN_KEY}" class="btn btn-small">TV Scenes</a>
+        <a href="${req.base}/" target="_blank" class="btn btn-small">Home</a>
+        <a href="${req.base}/tv" target="_blank" class="btn btn-small">TV</a>
+        <a href="${req.base}/hub" target="_blank" class="btn btn-small">Hub</a>
+        <a href="${req.base}/meta" target="_blank" class="btn btn-small">Vault</a>
       </nav>
     </header>
     
     <!-- GAME STATE OVERVIEW -->
     <section class="admin-section admin-overview">
       <h2>Game State Overview</h2>
+      ${req.event.mode === 'competitive' ? `
+        <p class="overview-mode">Competitive event: each team unlocks its own steps and vault (see Teams); the counts below are shared progress.
+          ${winner ? `<strong>&#127942; ${escapeHtml(winner.name)} opened the vault first (${winner.at}).</strong>` : 'No one has opened the vault yet.'}</p>
+      ` : ''}
       <div class="overview-grid">
         <div class="overview-card">
           <div class="overview-label">Puzzles Solved</div>
-          <div class="overview-value">${globalSolvedIds.length} / 12</div>
-          <div class="progress-bar"><div class="progress-fill" style="width: ${Math.round(globalSolvedIds.length/12*100)}%"></div></div>
+          <div class="overview-value">${solvedScored} / ${totalPuzzles}</div>
+          <div class="progress-bar"><div class="progress-fill" style="width: ${Math.round(solvedScored/totalPuzzles*100)}%"></div></div>
         </div>
         <div class="overview-card">
           <div class="overview-label">Branches Complete</div>
-          <div class="overview-value">${completedBranches.length} / 4</div>
+          <div class="overview-value">${completedBranches.length} / ${branchCount}</div>
           <div class="overview-detail">${completedBranches.join(', ') || 'None'}</div>
         </div>
-        <div class="overview-card ${completedBranches.length >= 2 ? 'unlocked' : 'locked'}">
+        <div class="overview-card ${completedBranches.length >= hubThreshold ? 'unlocked' : 'locked'}">
           <div class="overview-label">Hub</div>
-          <div class="overview-value">${completedBranches.length >= 2 ? '&#128275; UNLOCKED' : '&#128274; LOCKED'}</div>
-          <div class="overview-detail">Requires 2 branches</div>
+          <div class="overview-value">${completedBranches.length >= hubThreshold ? '&#128275; UNLOCKED' : '&#128274; LOCKED'}</div>
+          <div class="overview-detail">Requires ${hubThreshold} branch${hubThreshold !== 1 ? 'es' : ''}</div>
         </div>
-        <div class="overview-card ${completedBranches.length >= 4 ? 'unlocked' : 'locked'}">
+        <div class="overview-card ${completedBranches.length >= vaultThreshold ? 'unlocked' : 'locked'}">
           <div class="overview-label">Vault</div>
-          <div class="overview-value">${completedBranches.length >= 4 ? '&#128275; UNLOCKED' : '&#128274; LOCKED'}</div>
-          <div class="overview-detail">Requires 4 branches</div>
+          <div class="overview-value">${completedBranches.length >= vaultThreshold ? '&#128275; UNLOCKED' : '&#128274; LOCKED'}</div>
+          <div class="overview-detail">Requires ${vaultThreshold} branch${vaultThreshold !== 1 ? 'es' : ''}</div>
         </div>
       </div>
     </section>
@@ -1207,18 +2586,18 @@ app.get('/admin', (req, res) => {
         <div class="math-row">
           <span class="math-label">Branch Digits + Code Words:</span>
           <span class="math-value">
-            <span class="digit-group" style="--branch-color: #e74c3c">L: 4,1 (MIDNIGHT)</span>
-            <span class="digit-group" style="--branch-color: #9b59b6">H: 8,2 (BREAK)</span>
-            <span class="digit-group" style="--branch-color: #3498db">J: 0,9 (FEARLESS)</span>
-            <span class="digit-group" style="--branch-color: #27ae60">P: 5,3 (AGAIN)</span>
+            ${puzzles.BRANCH_ORDER.map(b => {
+              const info = puzzles.BRANCHES[b];
+              return `<span class="digit-group" style="--branch-color: ${info.color}">${b}: ${info.digits.join(',')} (${escapeHtml(info.codeWord)})</span>`;
+            }).join('')}
           </span>
         </div>
         <div class="math-row">
           <span class="math-label">Final Phrase:</span>
-          <span class="math-value" style="color: #f1c40f; font-weight: bold;">MIDNIGHT FEARLESS BREAK AGAIN</span>
+          <span class="math-value" style="color: #f1c40f; font-weight: bold;">${escapeHtml(puzzles.FINAL_PHRASE.join(' '))}</span>
         </div>
         <div class="math-row">
-          <span class="math-label">Current Digits (L+H+J+P order):</span>
+          <span class="math-label">Current Digits (${puzzles.BRANCH_ORDER.join('+')} order):</span>
           <span class="math-value mono">${digits || '(none yet)'}</span>
         </div>
         <div class="math-row">
@@ -1227,19 +2606,19 @@ app.get('/admin', (req, res) => {
         </div>
         <div class="math-row">
           <span class="math-label">Permuted Result:</span>
-          <span class="math-value mono">${permuted || '(need all 4 branches)'}</span>
+          <span class="math-value mono">${permuted || `(need all ${branchCount} branches)`}</span>
         </div>
         <div class="math-row result">
-          <span class="math-label">VAULT CODE (first 6):</span>
-          <span class="math-value mono big">${vaultCode || '??????'}</span>
+          <span class="math-label">VAULT CODE (first ${codeLength}):</span>
+          <span class="math-value mono big">${vaultCode || '?'.repeat(codeLength)}</span>
         </div>
         <div class="math-row">
           <span class="math-label">ENV Override:</span>
-          <span class="math-value mono">${VAULT_CODE}</span>
+          <span class="math-value mono">${escapeHtml(getVaultCode(req.event))}</span>
         </div>
         <div class="math-row">
           <span class="math-label">Prize Clue:</span>
-          <span class="math-value">${escapeHtml(PRIZE_CLUE)}</span>
+          <span class="math-value">${escapeHtml(getPrizeClue(req.event))}</span>
         </div>
       </div>
     </section>
@@ -1250,8 +2629,141 @@ app.get('/admin', (req, res) => {
       <div class="admin-branches-container">
         ${puzzlesByBranch}
       </div>
+      ${deletedPuzzles.length > 0 ? `
+        <div class="deleted-puzzles">
+          <h3>Deleted Puzzles</h3>
+          ${deletedPuzzles.map(p => `
+            <form action="${req.base}/admin/puzzle/${p.id}/restore?key=${ADMIN_KEY}" method="POST" class="deleted-puzzle">
+              <span>#${p.id} ${escapeHtml(p.title)} <small>(${escapeHtml(puzzles.BRANCHES[p.branch] ? puzzles.BRANCHES[p.branch].name : p.branch)} step ${p.step})</small></span>
+              <span class="puzzle-actions">
+                <a href="${req.base}/admin/puzzle/${p.id}/history?key=${ADMIN_KEY}" class="btn btn-small">History</a>
+                <button type="submit" class="btn btn-small">Restore</button>
+              </span>
+            </form>
+          `).join('')}
+        </div>
+      ` : ''}
     </section>
     
+    <!-- TEAMS -->
+    <section class="admin-section admin-teams" id="teams">
+      <h2>Teams (${teamStandings.length})</h2>
+      ${teamStandings.length > 0 ? `
+        <table class="admin-table">
+          <thead><tr><th>#</th><th>Team</th><th>Code</th><th>Players</th><th>Puzzles</th><th>Solves</th></tr></thead>
+          <tbody>
+            ${teamStandings.map((t, i) => `
+              <tr>
+                <td>${i + 1}</td>
+                <td>
+                  <form action="${req.base}/admin/teams/${t.id}/rename?key=${ADMIN_KEY}" method="POST" class="inline-form">
+                    <input type="text" name="name" value="${escapeHtml(t.name)}" maxlength="24" required>
+                    <button type="submit" class="btn btn-small">Rename</button>
+                  </form>
+                </td>
+                <td class="mono">${t.join_code}</td>
+                <td>${t.members}</td>
+                <td>${t.puzzles}</td>
+                <td>${t.solves}</td>
+              </tr>`).join('')}
+          </tbody>
+        </table>
+      ` : '<p class="empty">No teams yet</p>'}
+      <div class="team-actions">
+        <form action="${req.base}/admin/teams?key=${ADMIN_KEY}" method="POST" class="inline-form">
+          <input type="text" name="name" placeholder="New team name" maxlength="24" required>
+          <button type="submit" class="btn btn-small">Create Team</button>
+        </form>
+        ${teamStandings.length > 1 ? `
+          <form action="${req.base}/admin/teams/merge?key=${ADMIN_KEY}" method="POST" class="inline-form" onsubmit="return confirm('Move every player into the second team and remove the first?')">
+            <select name="from">${teamStandings.map(t => `<option value="${t.id}">${escapeHtml(t.name)}</option>`).join('')}</select>
+            <span>into</span>
+            <select name="into">${teamStandings.map((t, i) => `<option value="${t.id}" ${i === 1 ? 'selected' : ''}>${escapeHtml(t.name)}</option>`).join('')}</select>
+            <button type="submit" class="btn btn-small">Merge</button>
+          </form>
+          <form action="${req.base}/admin/teams/balance?key=${ADMIN_KEY}" method="POST" class="inline-form" onsubmit="return confirm('Move players so every team is within one player of the others?')">
+            <button type="submit" class="btn btn-small btn-warning">Balance Teams</button>
+          </form>
+        ` : ''}
+      </div>
+    </section>
+
+    ${superPrizes.length > 0 ? `
+    <!-- SUPER PRIZE -->
+    <section class="admin-section admin-prize" id="prize">
+      <h2>Super Prize</h2>
+      ${req.query.prize_error ? `<p class="form-error">${escapeHtml(req.query.prize_error)}</p>` : ''}
+      ${superPrizes.map(({ puzzle, claim }) => `
+        <div class="prize-row">
+          <h3>#${puzzle.id} ${escapeHtml(puzzle.title)}</h3>
+          ${!claim ? '<p>Not found yet.</p>' : claim.confirmed_at ? `
+            <p>&#10004; Claimed by <strong>${escapeHtml(claim.nickname)}</strong> (confirmed ${claim.confirmed_at})</p>
+          ` : `
+            <p><strong>${escapeHtml(claim.nickname)}</strong> claimed it at ${claim.claimed_at}. Ask for the code on their phone:</p>
+            <form action="${req.base}/admin/prize/${puzzle.id}/confirm?key=${ADMIN_KEY}" method="POST" class="inline-form">
+              <input type="text" name="code" placeholder="Code" maxlength="8" autocomplete="off" required>
+              <button type="submit" class="btn btn-small btn-gold">Confirm</button>
+            </form>
+            <form action="${req.base}/admin/prize/${puzzle.id}/release?key=${ADMIN_KEY}" method="POST" class="inline-form" onsubmit="return confirm('Release this claim? The next correct answer will claim the prize.')">
+              <button type="submit" class="btn btn-small btn-secondary">Release Claim</button>
+            </form>
+          `}
+        </div>`).join('')}
+    </section>
+    ` : ''}
+
+    <!-- PLAYERS -->
+    <section class="admin-section admin-players" id="players">
+      <h2>Players (${allParticipants.length})</h2>
+      ${req.query.player_error ? `<p class="form-error">${escapeHtml(req.query.player_error)}</p>` : ''}
+      ${allParticipants.length > 0 ? `
+        <table class="admin-table">
+          <thead><tr><th>Nickname</th><th>Solves</th><th>Status</th><th></th></tr></thead>
+          <tbody>
+            ${allParticipants.map(p => `
+              <tr class="player-${p.status}">
+                <td>
+                  <form action="${req.base}/admin/participants/${encodeURIComponent(p.id)}/rename?key=${ADMIN_KEY}" method="POST" class="inline-form">
+                    <input type="text" name="nickname" value="${escapeHtml(p.nickname)}" maxlength="24" required>
+                    <button type="submit" class="btn btn-small">Rename</button>
+                  </form>
+                </td>
+                <td>${p.solves}</td>
+                <td>${p.status}</td>
+                <td>
+                  <form action="${req.base}/admin/participants/${encodeURIComponent(p.id)}/status?key=${ADMIN_KEY}" method="POST" class="inline-form">
+                    ${db.PARTICIPANT_STATUSES.filter(s => s !== p.status).map(s =>
+                      `<button type="submit" name="status" value="${s}" class="btn btn-small ${s === 'banned' ? 'btn-danger' : 'btn-secondary'}">${{ active: 'Restore', hidden: 'Hide', banned: 'Ban' }[s]}</button>`
+                    ).join('')}
+                  </form>
+                </td>
+              </tr>`).join('')}
+          </tbody>
+        </table>
+      ` : '<p class="empty">No players yet</p>'}
+      <p class="section-note">Hidden players keep playing but are left off the TV, public lists and the raffle. Banned players are hidden and can't submit answers.</p>
+      <p class="section-note">Lost phone and no recovery code? Look up the old player's code below and hand it over, or merge the new player into the old one (solves, hints and team move across).</p>
+      ${allParticipants.length > 1 ? `
+        <form action="${req.base}/admin/participants/merge?key=${ADMIN_KEY}" method="POST" class="inline-form" onsubmit="return confirm('Move every solve into the second player and remove the first?')">
+          <select name="from">${participantOptions()}</select>
+          <span>into</span>
+          <select name="into">${participantOptions(1)}</select>
+          <button type="submit" class="btn btn-small">Merge Players</button>
+        </form>
+      ` : '<p class="empty">Not enough players to merge</p>'}
+      <form action="${req.base}/admin#players" method="GET" class="inline-form recovery-lookup">
+        <input type="hidden" name="key" value="${ADMIN_KEY}">
+        <select name="recovery_for">${participantOptions()}</select>
+        <button type="submit" class="btn btn-small">Show Recovery Code</button>
+        ${recoveryFor ? `<span class="mono">${escapeHtml(recoveryFor.nickname)}: ${formatRecoveryCode(db.getRecoveryCode(recoveryFor.id))}</span>` : ''}
+      </form>
+      <form action="${req.base}/admin/blocked-words?key=${ADMIN_KEY}" method="POST" class="blocked-words">
+        <label for="blocked_words">Blocked words in nicknames (one per line; also caught with spaces, symbols or digits like 0 for o)</label>
+        <textarea id="blocked_words" name="words" rows="4">${escapeHtml(blockedWords.join('\n'))}</textarea>
+        <button type="submit" class="btn btn-small">Save Blocked Words</button>
+      </form>
+    </section>
+
     <!-- CONTRIBUTORS & SOLVES -->
     <section class="admin-section admin-activity">
       <h2>Activity</h2>
@@ -1260,9 +2772,9 @@ app.get('/admin', (req, res) => {
           <h3>Top Contributors (${contributors.length})</h3>
           ${contributors.length > 0 ? `
             <table class="admin-table">
-              <thead><tr><th>#</th><th>Nickname</th><th>Solves</th></tr></thead>
+              <thead><tr><th>#</th><th>Nickname</th><th>Points</th><th>Solves</th></tr></thead>
               <tbody>
-                ${contributors.map((c, i) => `<tr><td>${i+1}</td><td>${escapeHtml(c.nickname)}</td><td>${c.solves}</td></tr>`).join('')}
+                ${contributors.map((c, i) => `<tr><td>${i+1}</td><td>${escapeHtml(c.nickname)}${c.status !== 'active' ? ` <span class="badge badge-locked">${c.status}</span>` : ''}</td><td>${c.points}</td><td>${c.solves}</td></tr>`).join('')}
               </tbody>
             </table>
           ` : '<p class="empty">No contributors yet</p>'}
@@ -1281,6 +2793,20 @@ app.get('/admin', (req, res) => {
             </table>
           ` : '<p class="empty">No solves yet</p>'}
         </div>
+        <div class="activity-panel">
+          <h3>Hints Used</h3>
+          ${hintReveals.length > 0 ? `
+            <table class="admin-table">
+              <thead><tr><th>Time</th><th>Player</th><th>Puzzle</th><th>Hint</th></tr></thead>
+              <tbody>
+                ${hintReveals.map(h => {
+                  const p = puzzles.getPuzzle(h.puzzle_id);
+                  return `<tr><td>${h.revealed_at}</td><td>${escapeHtml(h.nickname)}</td><td>${p ? p.branch + p.step : '#' + h.puzzle_id}</td><td>${h.hint_index + 1}</td></tr>`;
+                }).join('')}
+              </tbody>
+            </table>
+          ` : '<p class="empty">No hints used yet</p>'}
+        </div>
       </div>
     </section>
     
@@ -1288,7 +2814,7 @@ app.get('/admin', (req, res) => {
     <section class="admin-section admin-keys">
       <h2>Global Keys</h2>
       <div class="keys-grid">
-        ${['F_DONE', 'M_DONE', 'D_DONE', 'B_DONE'].map(key => {
+        ${puzzles.BRANCH_ORDER.map(b => `${b}_DONE`).map(key => {
           const hasKey = globalKeys.find(k => k.key === key);
           return `
             <div class="key-card ${hasKey ? 'set' : 'unset'}">
@@ -1300,19 +2826,24 @@ app.get('/admin', (req, res) => {
     </section>
     
     <!-- ADMIN ACTIONS -->
-    <section class="admin-section admin-actions">
+    <section class="admin-section admin-actions" id="actions">
       <h2>Admin Actions</h2>
+      <form action="${req.base}/admin/broadcast?key=${ADMIN_KEY}" method="POST" class="inline-form broadcast-form">
+        <input type="text" name="message" placeholder="Message for every screen" maxlength="200" required>
+        <button type="submit" class="btn btn-small btn-gold">Broadcast</button>
+        <span class="broadcast-count">${liveScreens} screen${liveScreens !== 1 ? 's' : ''} connected</span>
+      </form>
       <div class="actions-grid">
-        <form action="/admin/start-countdown?key=${ADMIN_KEY}" method="POST">
+        <form action="${req.base}/admin/start-countdown?key=${ADMIN_KEY}" method="POST">
           <button type="submit" class="btn btn-success btn-large">🎆 START NYE COUNTDOWN 🎆</button>
         </form>
-        <form action="/admin/reset-countdown?key=${ADMIN_KEY}" method="POST">
+        <form action="${req.base}/admin/reset-countdown?key=${ADMIN_KEY}" method="POST">
           <button type="submit" class="btn btn-secondary">Reset Countdown</button>
         </form>
-        <form action="/admin/reset?key=${ADMIN_KEY}" method="POST" onsubmit="return confirm('This will DELETE ALL game data. Are you sure?')">
+        <form action="${req.base}/admin/reset?key=${ADMIN_KEY}" method="POST" onsubmit="return confirm('This will DELETE ALL game data. Are you sure?')">
           <button type="submit" class="btn btn-danger">Reset All Data</button>
         </form>
-        <form action="/admin/solve-all?key=${ADMIN_KEY}" method="POST" onsubmit="return confirm('This will solve ALL puzzles for testing. Continue?')">
+        <form action="${req.base}/admin/solve-all?key=${ADMIN_KEY}" method="POST" onsubmit="return confirm('This will solve ALL puzzles for testing. Continue?')">
           <button type="submit" class="btn btn-warning">Solve All (Testing)</button>
         </form>
       </div>
@@ -1340,6 +2871,17 @@ app.get('/admin', (req, res) => {
       display: flex;
       gap: 0.5rem;
     }
+    .editor-form {
+      display: flex;
+      align-items: center;
+      gap: 0.5rem;
+      font-size: 0.85rem;
+      color: var(--text-secondary);
+    }
+    .editor-form input {
+      width: 9rem;
+      padding: 0.3rem 0.5rem;
+    }
     .btn-small {
       padding: 0.4rem 0.8rem;
       font-size: 0.85rem;
@@ -1538,6 +3080,65 @@ app.get('/admin', (req, res) => {
       color: var(--text-secondary);
       font-style: italic;
     }
+
+    .section-note {
+      margin-bottom: 1rem;
+      color: var(--text-secondary);
+    }
+    .recovery-lookup {
+      margin-top: 1rem;
+    }
+    .overview-mode {
+      margin-bottom: 1rem;
+      color: var(--text-secondary);
+    }
+
+    /* Teams */
+    .inline-form {
+      display: flex;
+      gap: 0.5rem;
+      align-items: center;
+    }
+    .inline-form input, .inline-form select {
+      padding: 0.35rem 0.5rem;
+      width: auto;
+    }
+    .team-actions {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 1.5rem;
+      margin-top: 1rem;
+    }
+    .admin-players .player-hidden td,
+    .admin-players .player-banned td {
+      opacity: 0.6;
+    }
+    .broadcast-form {
+      margin-bottom: 1rem;
+    }
+    .broadcast-form input {
+      flex: 1;
+    }
+    .broadcast-count {
+      opacity: 0.7;
+    }
+    .prize-row + .prize-row {
+      margin-top: 1rem;
+    }
+    .prize-row form {
+      margin-top: 0.5rem;
+    }
+    .blocked-words {
+      display: flex;
+      flex-direction: column;
+      gap: 0.5rem;
+      margin-top: 1.5rem;
+      max-width: 480px;
+    }
+    .admin-teams .mono {
+      font-family: monospace;
+      letter-spacing: 0.1em;
+    }
     
     /* Keys */
     .keys-grid {
@@ -1615,83 +3216,717 @@ app.get('/admin', (req, res) => {
   res.send(layout('Admin Dashboard', content));
 });
 
-// GET /admin/qr - QR Code Generator for all puzzles
-app.get('/admin/qr', (req, res) => {
+// GET /admin/validate - Check the active pack (with overrides) for broken chains and code drift
+router.get('/admin/validate', (req, res) => {
   if (req.query.key !== ADMIN_KEY) {
     return res.status(403).send(layout('Access Denied', '<div class="container"><h1>Access Denied</h1></div>'));
   }
 
-  // Get base URL from request or use custom domain
-  const protocol = req.headers['x-forwarded-proto'] || req.protocol;
-  const host = req.headers['x-forwarded-host'] || req.headers.host;
-  const baseUrl = req.query.base || `${protocol}://${host}`;
-
-  const allPuzzles = puzzles.getAllPuzzlesWithOverrides(db);
-
-  const puzzleCards = allPuzzles.map(p => {
-    const branchInfo = puzzles.BRANCHES[p.branch];
-    const puzzleUrl = `${baseUrl}/p/${p.id}`;
+  const pack = puzzles.getPack();
+  const { errors, warnings, derived } = packValidator.validatePack(pack, {
+    vaultCode: getVaultCode(req.event),
+    storedPermutationKey: db.getPermutationKey()
+  });
 
-    return `
-      <div class="qr-card" style="--branch-color: ${branchInfo.color}" data-id="${p.id}" data-branch="${branchInfo.name}" data-step="${p.step}" data-location="${p.location_hint}">
-        <div class="qr-header no-print">
-          <span class="qr-branch" style="background: ${branchInfo.color}">${branchInfo.name}</span>
-          <span class="qr-step">Step ${p.step}</span>
-          <span class="qr-id">#${p.id}</span>
-        </div>
-        <div class="qr-code" id="qr-${p.id}"></div>
-        <div class="qr-location no-print">${p.location_hint}</div>
-        <div class="qr-url">${puzzleUrl}</div>
-        <button class="btn btn-small download-btn no-print" onclick="downloadQR('${p.id}', '${branchInfo.name}', ${p.step})">Download PNG</button>
-      </div>
-    `;
-  }).join('');
+  const issueRows = (issues, level) => issues.map(i => `
+    <tr class="issue-${level}"><td>${level.toUpperCase()}</td><td>${escapeHtml(i.check)}</td><td>${escapeHtml(i.message)}</td></tr>`
+  ).join('');
 
   const content = `
-    <div class="qr-page">
-      <div class="qr-controls no-print">
-        <a href="/admin?key=${ADMIN_KEY}" class="btn btn-secondary">&larr; Back to Admin</a>
-        <button onclick="downloadAllQR()" class="btn btn-primary">Download All PNGs</button>
-        <button onclick="window.print()" class="btn btn-secondary">Print Sheet</button>
-        <div class="base-url-form">
-          <label>Base URL:</label>
-          <input type="text" id="base-url-input" value="${baseUrl}" style="width: 300px">
-          <button onclick="updateBaseUrl()" class="btn btn-secondary">Update URLs</button>
-        </div>
-      </div>
+  <div class="admin-dashboard">
+    <header class="admin-header">
+      <h1>Pack Validation</h1>
+      <nav class="admin-nav">
+        <a href="${req.base}/admin?key=${ADMIN_KEY}" class="btn btn-small btn-secondary">&larr; Back to Admin</a>
+      </nav>
+    </header>
 
-      <h1 class="qr-title">Midnight Vault - Puzzle QR Codes</h1>
-      <p class="qr-instructions">Print and place each QR code at the specified location.</p>
+    <section class="admin-section">
+      <h2>${escapeHtml(pack.name)} <small>(${escapeHtml(pack.id)})</small></h2>
+      <p class="validate-summary ${errors.length === 0 ? 'ok' : 'bad'}">
+        ${errors.length === 0 ? '&#10004; Ready to play' : `&#10008; ${errors.length} error${errors.length !== 1 ? 's' : ''}`}
+        ${warnings.length > 0 ? ` &middot; ${warnings.length} warning${warnings.length !== 1 ? 's' : ''}` : ''}
+      </p>
+      ${derived ? `
+        <p class="mono">Digits ${derived.digits} &rarr; permuted ${derived.permuted || '-'} &rarr; vault code ${derived.vaultCode || '-'}</p>
+      ` : ''}
+    </section>
 
-      <div class="qr-grid">
-        ${puzzleCards}
-      </div>
-    </div>
+    ${errors.length + warnings.length > 0 ? `
+      <section class="admin-section">
+        <table class="admin-table">
+          <thead><tr><th>Level</th><th>Check</th><th>Problem</th></tr></thead>
+          <tbody>
+            ${issueRows(errors, 'error')}
+            ${issueRows(warnings, 'warning')}
+          </tbody>
+        </table>
+      </section>
+    ` : ''}
+  </div>
 
-    <script src="https://cdn.jsdelivr.net/npm/qrcodejs@1.0.0/qrcode.min.js"></script>
-    <script>
-      const baseUrl = '${baseUrl}';
+  <style>
+    .admin-dashboard { max-width: 1000px; margin: 0 auto; padding: 1rem; }
+    .admin-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 1.5rem; }
+    .admin-header h1 { color: var(--accent-gold); }
+    .admin-section { background: var(--bg-card); border-radius: var(--border-radius); padding: 1.5rem; margin-bottom: 1.5rem; }
+    .validate-summary { font-size: 1.3rem; font-weight: bold; }
+    .validate-summary.ok { color: var(--accent-green); }
+    .validate-summary.bad { color: #e74c3c; }
+    .mono { font-family: monospace; letter-spacing: 0.05em; }
+    .issue-error td:first-child { color: #e74c3c; font-weight: bold; }
+    .issue-warning td:first-child { color: #f39c12; font-weight: bold; }
+  </style>`;
 
-      // Generate QR codes
-      document.querySelectorAll('.qr-code').forEach(el => {
-        const id = el.id.replace('qr-', '');
-        const url = baseUrl + '/p/' + id;
-        new QRCode(el, {
-          text: url,
-          width: 200,
-          height: 200,
-          colorDark: '#000000',
-          colorLight: '#ffffff',
-          correctLevel: QRCode.CorrectLevel.M
-        });
-      });
+  res.send(layout('Pack Validation', content));
+});
 
-      function updateBaseUrl() {
-        const newBase = document.getElementById('base-url-input').value;
-        window.location.href = '/admin/qr?key=${ADMIN_KEY}&base=' + encodeURIComponent(newBase);
-      }
+// GET /admin/vault-designer - Work backwards from the lockbox combination to digits + permutation
+router.get('/admin/vault-designer', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send(layout('Access Denied', '<div class="container"><h1>Access Denied</h1></div>'));
+  }
 
-      function downloadQR(id, branch, step) {
+  const pack = puzzles.getPack();
+  const codeLength = puzzles.getVaultCodeLength();
+  const target = (req.query.code || '').trim();
+  const fixedDigits = {};
+  for (const b of pack.branchOrder) {
+    fixedDigits[b] = (req.query['fix_' + b] || '').trim();
+  }
+
+  let design = null;
+  let error = req.query.error || null;
+  if (target && !error) {
+    try {
+      design = puzzles.designVaultCode(target, fixedDigits);
+    } catch (err) {
+      error = err.message;
+    }
+  }
+
+  // Current pack, so the page doubles as a view of what's live
+  const current = design || {
+    branches: Object.fromEntries(pack.branchOrder.map(b => [b, pack.branches[b].digits])),
+    permutationKey: pack.meta.permutationKey,
+    ...puzzles.computeVaultCode(pack.branchOrder)
+  };
+  const positions = puzzles.parsePermutation(current.permutationKey);
+  const digitBranches = pack.branchOrder.flatMap(b => current.branches[b].map(() => b));
+
+  const derivation = `
+    <table class="admin-table derivation">
+      <tr><th>Digits</th>${current.digits.split('').map((d, i) => `
+        <td style="--branch-color: ${pack.branches[digitBranches[i]].color}"><small>${i + 1} &middot; ${digitBranches[i]}</small><br>${d}</td>`).join('')}
+      </tr>
+      <tr><th>Permutation</th>${positions.map(pos => `<td>${pos}</td>`).join('')}</tr>
+      <tr><th>Permuted</th>${(current.permuted || '').split('').map((d, i) => `
+        <td class="${i < codeLength ? 'in-code' : ''}">${d}</td>`).join('')}
+      </tr>
+    </table>
+    <p class="mono">Digits ${current.digits} &rarr; permuted ${current.permuted || '-'} &rarr; vault code <strong>${current.vaultCode || '-'}</strong></p>`;
+
+  const content = `
+  <div class="admin-dashboard">
+    <header class="admin-header">
+      <h1>Vault Code Designer</h1>
+      <nav class="admin-nav">
+        <a href="${req.base}/admin?key=${ADMIN_KEY}" class="btn btn-small btn-secondary">&larr; Back to Admin</a>
+      </nav>
+    </header>
+
+    ${req.query.applied ? `<p class="designer-note ok">&#10004; Saved for ${escapeHtml(req.event.name)}. Other events playing ${escapeHtml(pack.id)} keep their own digits.</p>` : ''}
+    ${req.query.cleared ? `<p class="designer-note ok">&#10004; Back to the digits and permutation in packs/${escapeHtml(pack.id)}.json.</p>` : ''}
+    ${error ? `<p class="designer-note bad">&#10008; ${escapeHtml(error)}</p>` : ''}
+    ${getVaultCode(req.event) !== current.vaultCode ? `
+      <p class="designer-note warn">The event's vault code is ${escapeHtml(getVaultCode(req.event))}, but this design opens with ${current.vaultCode || '-'}. The vault accepts both until you update the code in <a href="/admin/events?key=${ADMIN_KEY}">Events</a>.</p>
+    ` : ''}
+
+    <section class="admin-section">
+      <h2>${design ? 'Proposed Design' : 'Current Design'}</h2>
+      ${derivation}
+      ${design ? `
+        <form action="${req.base}/admin/vault-designer/apply?key=${ADMIN_KEY}" method="POST" class="designer-form">
+          <input type="hidden" name="code" value="${escapeHtml(target)}">
+          <input type="hidden" name="perm" value="${design.permutationKey}">
+          ${pack.branchOrder.map(b => `<input type="hidden" name="digits_${b}" value="${design.branches[b].join('')}">`).join('')}
+          <button type="submit" class="btn btn-gold" onclick="return confirm('Use these digits and permutation in this event?')">Apply to ${escapeHtml(req.event.name)}</button>
+          <a href="${escapeHtml(req.originalUrl)}" class="btn btn-small">Shuffle again</a>
+        </form>
+      ` : db.getVaultDesign() ? `
+        <form action="${req.base}/admin/vault-designer/clear?key=${ADMIN_KEY}" method="POST" class="designer-form">
+          <p class="form-note">This event plays its own design; packs/${escapeHtml(pack.id)}.json is unchanged.</p>
+          <button type="submit" class="btn btn-small btn-secondary" onclick="return confirm('Go back to the pack\'s digits and permutation?')">Use the Pack's Digits</button>
+        </form>
+      ` : ''}
+    </section>
+
+    <section class="admin-section">
+      <h2>Design From Lockbox Code</h2>
+      <form action="${req.base}/admin/vault-designer" method="GET" class="designer-form">
+        <input type="hidden" name="key" value="${ADMIN_KEY}">
+        <div class="form-group">
+          <label>Lockbox code (${codeLength} digits):</label>
+          <input type="text" name="code" value="${escapeHtml(target)}" inputmode="numeric" maxlength="${codeLength}" placeholder="${'0'.repeat(codeLength)}" required>
+        </div>
+        <p class="form-note">Optionally fix a branch's digits; use ? for a digit that can be anything.</p>
+        <div class="fixed-grid">
+          ${pack.branchOrder.map(b => {
+            const info = pack.branches[b];
+            return `
+              <div class="form-group" style="--branch-color: ${info.color}">
+                <label>${info.icon} ${escapeHtml(info.name)} (${info.digits.length}):</label>
+                <input type="text" name="fix_${b}" value="${escapeHtml(fixedDigits[b])}" maxlength="${info.digits.length}" placeholder="${'?'.repeat(info.digits.length)}">
+              </div>`;
+          }).join('')}
+        </div>
+        <button type="submit" class="btn">Design</button>
+      </form>
+    </section>
+  </div>
+
+  <style>
+    .admin-dashboard { max-width: 1000px; margin: 0 auto; padding: 1rem; }
+    .admin-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 1.5rem; }
+    .admin-header h1 { color: var(--accent-gold); }
+    .admin-section { background: var(--bg-card); border-radius: var(--border-radius); padding: 1.5rem; margin-bottom: 1.5rem; }
+    .mono { font-family: monospace; letter-spacing: 0.05em; }
+    .derivation td { text-align: center; font-family: monospace; font-size: 1.2rem; }
+    .derivation td small { font-size: 0.7rem; color: var(--branch-color, inherit); }
+    .derivation td.in-code { color: var(--accent-gold); font-weight: bold; }
+    .designer-form { display: flex; flex-wrap: wrap; gap: 0.75rem; align-items: flex-end; }
+    .designer-form .form-group { margin: 0; }
+    .fixed-grid { display: flex; flex-wrap: wrap; gap: 0.75rem; width: 100%; }
+    .fixed-grid label { color: var(--branch-color); }
+    .fixed-grid input { width: 6rem; font-family: monospace; }
+    .form-note { width: 100%; margin: 0; opacity: 0.8; }
+    .designer-note { font-weight: bold; margin-bottom: 1rem; }
+    .designer-note.ok { color: var(--accent-green); }
+    .designer-note.bad { color: #e74c3c; }
+    .designer-note.warn { color: #f39c12; }
+  </style>`;
+
+  res.send(layout('Vault Code Designer', content));
+});
+
+// POST /admin/vault-designer/apply - Save a design for this event (the pack file is left alone)
+router.post('/admin/vault-designer/apply', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send('Access Denied');
+  }
+
+  const branches = {};
+  for (const b of puzzles.BRANCH_ORDER) {
+    branches[b] = (req.body['digits_' + b] || '').split('').map(d => parseInt(d, 10));
+  }
+  const design = { branches, permutationKey: req.body.perm || '' };
+
+  try {
+    puzzles.checkVaultDesign(design);
+  } catch (err) {
+    return res.redirect(`${req.base}/admin/vault-designer?key=${ADMIN_KEY}&error=${encodeURIComponent(err.message)}`);
+  }
+  db.setVaultDesign(design);
+
+  res.redirect(`${req.base}/admin/vault-designer?key=${ADMIN_KEY}&applied=1`);
+});
+
+// POST /admin/vault-designer/clear - Play the pack's own digits and permutation again
+router.post('/admin/vault-designer/clear', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send('Access Denied');
+  }
+  db.clearVaultDesign(puzzles.getBasePack().meta.permutationKey);
+  res.redirect(`${req.base}/admin/vault-designer?key=${ADMIN_KEY}&cleared=1`);
+});
+
+// GET /admin/raffle - Raffle entries, the draw form and the log of past draws
+router.get('/admin/raffle', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send(layout('Access Denied', '<div class="container"><h1>Access Denied</h1></div>'));
+  }
+
+  const weighting = raffle.WEIGHTINGS.includes(req.query.weighting) ? req.query.weighting : 'solves';
+  const winnerIds = db.getRaffleWinnerIds();
+  const entries = raffle.buildEntries(db.getPointsLeaderboard(-1), weighting, winnerIds);
+  const totalTickets = entries.reduce((sum, e) => sum + e.tickets, 0);
+  const draws = db.getRaffleDraws();
+
+  const content = `
+  <div class="admin-dashboard">
+    <header class="admin-header">
+      <h1>Raffle</h1>
+      <nav class="admin-nav">
+        <a href="${req.base}/admin?key=${ADMIN_KEY}" class="btn btn-small btn-secondary">&larr; Back to Admin</a>
+        <a href="${req.base}/tv" target="_blank" class="btn btn-small">TV</a>
+      </nav>
+    </header>
+
+    ${req.query.error ? `<p class="raffle-note error">${escapeHtml(req.query.error)}</p>` : ''}
+    ${req.query.drawn && draws[0] && String(draws[0].id) === req.query.drawn ? `
+      <p class="raffle-note ok">&#127881; ${escapeHtml(draws[0].winner_nickname)} wins${draws[0].prize ? ' ' + escapeHtml(draws[0].prize) : ''}! The TV is revealing it now.</p>
+    ` : ''}
+
+    <section class="admin-section">
+      <h2>Draw a Winner</h2>
+      <p>One ticket per ${weighting === 'points' ? 'point' : 'solve'}. Earlier winners, hidden and banned players are left out. Leave the seed blank for a random one; it's logged so the draw can be checked later.</p>
+      <form action="${req.base}/admin/raffle/draw?key=${ADMIN_KEY}" method="POST" class="inline-form">
+        <input type="text" name="prize" placeholder="Prize (optional)" maxlength="60">
+        <input type="hidden" name="weighting" value="${weighting}">
+        <input type="text" name="seed" placeholder="Seed (optional)" maxlength="32">
+        <button type="submit" class="btn btn-gold" ${entries.length === 0 ? 'disabled' : ''}>Draw</button>
+      </form>
+    </section>
+
+    <section class="admin-section">
+      <h2>Entries (${entries.length} players, ${totalTickets} tickets)</h2>
+      <p>Tickets per
+        ${raffle.WEIGHTINGS.map(w => w === weighting
+          ? `<strong>${w}</strong>`
+          : `<a href="${req.base}/admin/raffle?key=${ADMIN_KEY}&weighting=${w}">${w}</a>`).join(' | ')}
+      </p>
+      ${entries.length > 0 ? `
+        <table class="admin-table">
+          <thead><tr><th>Player</th><th>Tickets</th><th>Chance</th></tr></thead>
+          <tbody>
+            ${entries.slice().sort((a, b) => b.tickets - a.tickets).map(e => `
+              <tr><td>${escapeHtml(e.nickname)}</td><td>${e.tickets}</td><td>${(e.tickets / totalTickets * 100).toFixed(1)}%</td></tr>`).join('')}
+          </tbody>
+        </table>
+      ` : '<p class="empty">Nobody has tickets yet</p>'}
+    </section>
+
+    <section class="admin-section">
+      <h2>Draw Log</h2>
+      ${draws.length > 0 ? `
+        <table class="admin-table">
+          <thead><tr><th>#</th><th>Time</th><th>Prize</th><th>Winner</th><th>Tickets</th><th>Seed</th><th>Ticket</th><th>Check</th></tr></thead>
+          <tbody>
+            ${draws.map(d => {
+              // Re-run the draw from its logged seed and entries
+              const rerun = raffle.drawWinner(d.entries, d.seed);
+              const verified = rerun && rerun.ticket === d.ticket && rerun.winner.nickname === d.winner_nickname;
+              return `
+                <tr>
+                  <td>${d.id}</td>
+                  <td>${d.drawn_at}</td>
+                  <td>${escapeHtml(d.prize || '')}</td>
+                  <td>${escapeHtml(d.winner_nickname)}</td>
+                  <td>per ${d.weighting} (${d.entries.length} players)</td>
+                  <td class="mono">${escapeHtml(d.seed)}</td>
+                  <td>${d.ticket + 1} of ${rerun ? rerun.totalTickets : '?'}</td>
+                  <td>${verified ? '&#10004; repeatable' : '&#10008; mismatch'}</td>
+                </tr>`;
+            }).join('')}
+          </tbody>
+        </table>
+      ` : '<p class="empty">No draws yet</p>'}
+    </section>
+  </div>
+
+  <style>
+    .admin-dashboard { max-width: 1000px; margin: 0 auto; padding: 1rem; }
+    .admin-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 1.5rem; }
+    .admin-header h1 { color: var(--accent-gold); }
+    .admin-section { background: var(--bg-card); border-radius: var(--border-radius); padding: 1.5rem; margin-bottom: 1.5rem; }
+    .admin-section p { margin-bottom: 1rem; }
+    .inline-form { display: flex; flex-wrap: wrap; gap: 0.5rem; align-items: center; }
+    .mono { font-family: monospace; }
+    .raffle-note { font-weight: bold; margin-bottom: 1rem; }
+    .raffle-note.ok { color: var(--accent-green); }
+    .raffle-note.error { color: var(--accent-red); }
+  </style>`;
+
+  res.send(layout('Raffle', content));
+});
+
+// POST /admin/raffle/draw - Draw and log a raffle winner
+router.post('/admin/raffle/draw', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send('Access Denied');
+  }
+
+  const { weighting } = req.body;
+  if (!raffle.WEIGHTINGS.includes(weighting)) {
+    return res.status(400).send(`Weighting must be one of: ${raffle.WEIGHTINGS.join(', ')}`);
+  }
+  const back = `${req.base}/admin/raffle?key=${ADMIN_KEY}&weighting=${weighting}`;
+
+  const entries = raffle.buildEntries(db.getPointsLeaderboard(-1), weighting, db.getRaffleWinnerIds());
+  const seed = (req.body.seed || '').trim() || raffle.generateSeed();
+  const draw = raffle.drawWinner(entries, seed);
+  if (!draw) {
+    return res.redirect(`${back}&error=${encodeURIComponent('Nobody has tickets left to draw')}`);
+  }
+
+  const id = db.recordRaffleDraw({
+    prize: (req.body.prize || '').trim().slice(0, 60),
+    weighting,
+    seed,
+    entries,
+    ticket: draw.ticket,
+    winner: draw.winner
+  });
+  live.publish(req.event.slug, 'raffle-draw', { id });
+  res.redirect(`${back}&drawn=${id}`);
+});
+
+// GET /admin/tv - Edit the TV scene playlist
+router.get('/admin/tv', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send(layout('Access Denied', '<div class="container"><h1>Access Denied</h1></div>'));
+  }
+
+  const playlist = getTvPlaylist();
+  const sceneOptions = selected => ['', ...tvScenes.SCENE_TYPES].map(type =>
+    `<option value="${type}" ${type === selected ? 'selected' : ''}>${type || (selected ? '(remove)' : '(add a scene)')}</option>`
+  ).join('');
+  // Two blank rows for adding scenes
+  const rows = [...playlist, { type: '', seconds: 15 }, { type: '', seconds: 15 }];
+
+  const content = `
+  <div class="admin-dashboard">
+    <header class="admin-header">
+      <h1>TV Scenes</h1>
+      <nav class="admin-nav">
+        <a href="${req.base}/admin?key=${ADMIN_KEY}" class="btn btn-small btn-secondary">&larr; Back to Admin</a>
+        <a href="${req.base}/tv" target="_blank" class="btn btn-small">TV</a>
+      </nav>
+    </header>
+
+    ${req.query.error ? `<p class="tv-note error">${escapeHtml(req.query.error)}</p>` : ''}
+    ${req.query.saved ? '<p class="tv-note ok">Saved. Open TVs are switching to the new playlist.</p>' : ''}
+
+    <section class="admin-section">
+      <h2>Playlist</h2>
+      <p>The TV shows each scene for its seconds, top to bottom, then starts again. The video keeps playing behind the other scenes. In the last minute before midnight the countdown scene, if there is one, stays on screen. Announcements show their title and text.</p>
+      <form action="${req.base}/admin/tv/playlist?key=${ADMIN_KEY}" method="POST">
+        <table class="admin-table">
+          <thead><tr><th>Order</th><th>Scene</th><th>Seconds</th><th>Title</th><th>Text</th></tr></thead>
+          <tbody>
+            ${rows.map((scene, i) => `
+              <tr>
+                <td><input type="number" name="scenes[${i}][order]" value="${i + 1}" min="1" class="order-input"></td>
+                <td><select name="scenes[${i}][type]">${sceneOptions(scene.type)}</select></td>
+                <td><input type="number" name="scenes[${i}][seconds]" value="${scene.seconds}" min="${tvScenes.MIN_SECONDS}" max="${tvScenes.MAX_SECONDS}"></td>
+                <td><input type="text" name="scenes[${i}][title]" value="${escapeHtml(scene.title || '')}" maxlength="80" placeholder="Announcements only"></td>
+                <td><textarea name="scenes[${i}][text]" rows="1" maxlength="300">${escapeHtml(scene.text || '')}</textarea></td>
+              </tr>`).join('')}
+          </tbody>
+        </table>
+        <button type="submit" class="btn btn-gold">Save Playlist</button>
+      </form>
+      <form action="${req.base}/admin/tv/playlist/reset?key=${ADMIN_KEY}" method="POST" onsubmit="return confirm('Go back to the default playlist?')">
+        <button type="submit" class="btn btn-small btn-secondary">Reset to Default</button>
+      </form>
+    </section>
+  </div>
+
+  <style>
+    .admin-dashboard { max-width: 1000px; margin: 0 auto; padding: 1rem; }
+    .admin-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 1.5rem; }
+    .admin-header h1 { color: var(--accent-gold); }
+    .admin-section { background: var(--bg-card); border-radius: var(--border-radius); padding: 1.5rem; margin-bottom: 1.5rem; }
+    .admin-section p { margin-bottom: 1rem; }
+    .admin-section form + form { margin-top: 1rem; }
+    .admin-table { margin-bottom: 1rem; }
+    .admin-table input, .admin-table select, .admin-table textarea { width: 100%; padding: 0.35rem 0.5rem; }
+    .admin-table .order-input { width: 4rem; }
+    .tv-note { font-weight: bold; margin-bottom: 1rem; }
+    .tv-note.ok { color: var(--accent-green); }
+    .tv-note.error { color: var(--accent-red); }
+  </style>`;
+
+  res.send(layout('TV Scenes', content));
+});
+
+// POST /admin/tv/playlist - Save the TV scene playlist and switch open TVs to it
+router.post('/admin/tv/playlist', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send('Access Denied');
+  }
+
+  // Rows without a scene are removed; the rest go in order (ties keep their place)
+  const rows = Object.values(req.body.scenes || {})
+    .map((row, i) => ({ ...row, place: i }))
+    .filter(row => row.type)
+    .sort((a, b) => (parseInt(a.order, 10) || 0) - (parseInt(b.order, 10) || 0) || a.place - b.place);
+
+  let playlist;
+  try {
+    playlist = tvScenes.normalizePlaylist(rows);
+  } catch (err) {
+    return res.redirect(`${req.base}/admin/tv?key=${ADMIN_KEY}&error=${encodeURIComponent(err.message)}`);
+  }
+  db.setGlobalValue('tv_playlist', JSON.stringify(playlist));
+  live.publish(req.event.slug, 'tv-playlist');
+  res.redirect(`${req.base}/admin/tv?key=${ADMIN_KEY}&saved=1`);
+});
+
+// POST /admin/tv/playlist/reset - Go back to the default TV playlist
+router.post('/admin/tv/playlist/reset', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send('Access Denied');
+  }
+
+  db.setGlobalValue('tv_playlist', JSON.stringify(tvScenes.DEFAULT_PLAYLIST));
+  live.publish(req.event.slug, 'tv-playlist');
+  res.redirect(`${req.base}/admin/tv?key=${ADMIN_KEY}&saved=1`);
+});
+
+// GET /admin/backup - Download or restore the event's full game state
+router.get('/admin/backup', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send(layout('Access Denied', '<div class="container"><h1>Access Denied</h1></div>'));
+  }
+
+  const content = `
+  <div class="admin-dashboard">
+    <header class="admin-header">
+      <h1>Backup &amp; Restore</h1>
+      <nav class="admin-nav">
+        <a href="${req.base}/admin?key=${ADMIN_KEY}" class="btn btn-small btn-secondary">&larr; Back to Admin</a>
+      </nav>
+    </header>
+
+    ${req.query.restored ? `<p class="backup-note ok">&#10004; Game state restored.</p>` : ''}
+
+    <section class="admin-section">
+      <h2>Export</h2>
+      <p>Everything ${escapeHtml(req.event.name)} has stored: participants, solves with their original times, unlocks, hint reveals, branch keys, the permutation key and puzzle edits with their history.</p>
+      ${COOKIE_SECRET_FROM_ENV ? '' : `
+        <p class="backup-note warn">COOKIE_SECRET isn't set, so player cookies are signed with a secret generated on this machine. Restoring this backup on another machine would make every phone start over as a new player. Set COOKIE_SECRET to the same value on both machines before moving a game.</p>
+      `}
+      <a href="${req.base}/admin/backup/export?key=${ADMIN_KEY}" class="btn btn-gold">Download Backup</a>
+    </section>
+
+    <section class="admin-section">
+      <h2>Restore</h2>
+      <p>Choose a backup file (or paste its contents). You'll see what changes before anything is replaced.</p>
+      <form action="${req.base}/admin/backup/import?key=${ADMIN_KEY}" method="POST">
+        <input type="file" accept=".json,application/json" onchange="readBackup(this)">
+        <textarea name="backup" id="backup" rows="8" placeholder='{ "format": "${BACKUP_FORMAT}", ... }' required></textarea>
+        <button type="submit" class="btn">Preview Restore</button>
+      </form>
+    </section>
+  </div>
+
+  <script>
+    function readBackup(input) {
+      if (!input.files[0]) return;
+      const reader = new FileReader();
+      reader.onload = () => { document.getElementById('backup').value = reader.result; };
+      reader.readAsText(input.files[0]);
+    }
+  </script>
+
+  <style>
+    .admin-dashboard { max-width: 1000px; margin: 0 auto; padding: 1rem; }
+    .admin-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 1.5rem; }
+    .admin-header h1 { color: var(--accent-gold); }
+    .admin-section { background: var(--bg-card); border-radius: var(--border-radius); padding: 1.5rem; margin-bottom: 1.5rem; }
+    .admin-section textarea { width: 100%; margin: 0.75rem 0; font-family: monospace; font-size: 0.8rem; }
+    .backup-note { font-weight: bold; margin-bottom: 1rem; }
+    .backup-note.ok { color: var(--accent-green); }
+    .backup-note.warn { color: #f39c12; }
+  </style>`;
+
+  res.send(layout('Backup & Restore', content));
+});
+
+// GET /admin/backup/export - Download the game state as JSON
+router.get('/admin/backup/export', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send('Access Denied');
+  }
+
+  const exportedAt = new Date().toISOString();
+  const backup = {
+    format: BACKUP_FORMAT,
+    version: 1,
+    event: req.event.slug,
+    pack: puzzles.getPack().id,
+    exported_at: exportedAt,
+    tables: db.exportGameState()
+  };
+
+  const stamp = exportedAt.slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+  res.set('Content-Disposition', `attachment; filename="midnight-vault-${req.event.slug}-${stamp}.json"`);
+  res.type('application/json').send(JSON.stringify(backup, null, 2));
+});
+
+// POST /admin/backup/import - Preview a restore, then apply it once confirmed
+router.post('/admin/backup/import', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send('Access Denied');
+  }
+
+  let backup;
+  try {
+    backup = JSON.parse(req.body.backup || '');
+  } catch (err) {
+    return res.status(400).send(`Backup is not valid JSON: ${escapeHtml(err.message)}`);
+  }
+  if (!backup || backup.format !== BACKUP_FORMAT || !backup.tables || typeof backup.tables !== 'object') {
+    return res.status(400).send('Not a Midnight Vault backup file');
+  }
+
+  const plan = db.planGameStateImport(backup.tables);
+
+  if (req.body.confirm === '1' && plan.errors.length === 0) {
+    try {
+      db.importGameState(backup.tables);
+    } catch (err) {
+      return res.status(400).send(`Restore failed, nothing was changed: ${escapeHtml(err.message)}`);
+    }
+    return res.redirect(`${req.base}/admin/backup?key=${ADMIN_KEY}&restored=1`);
+  }
+
+  const sample = keys => keys.length === 0 ? '' : `
+    <small>${keys.slice(0, 5).map(escapeHtml).join(', ')}${keys.length > 5 ? `, &hellip; ${keys.length - 5} more` : ''}</small>`;
+  const rows = Object.entries(plan.tables).map(([table, t]) => t.incoming === null ? `
+    <tr><td>${table}</td><td>${t.current}</td><td colspan="4"><em>not in backup, left as is</em></td></tr>` : `
+    <tr>
+      <td>${table}</td>
+      <td>${t.current}</td>
+      <td>${t.incoming}</td>
+      <td class="added">+${t.added.length}${sample(t.added)}</td>
+      <td class="changed">~${t.changed.length}${sample(t.changed)}</td>
+      <td class="removed">-${t.removed.length}${sample(t.removed)}</td>
+    </tr>`).join('');
+  const unchanged = Object.values(plan.tables)
+    .every(t => t.added.length + t.changed.length + t.removed.length === 0);
+
+  const warnings = [];
+  if (backup.event && backup.event !== req.event.slug) {
+    warnings.push(`This backup was taken from the event "${backup.event}", not "${req.event.slug}".`);
+  }
+  if (backup.pack && backup.pack !== puzzles.getPack().id) {
+    warnings.push(`This backup was taken with the pack "${backup.pack}"; this event plays "${puzzles.getPack().id}".`);
+  }
+
+  const content = `
+  <div class="admin-dashboard">
+    <header class="admin-header">
+      <h1>Restore Preview</h1>
+      <nav class="admin-nav">
+        <a href="${req.base}/admin/backup?key=${ADMIN_KEY}" class="btn btn-small btn-secondary">&larr; Back to Backup</a>
+      </nav>
+    </header>
+
+    <section class="admin-section">
+      <p>Backup of <strong>${escapeHtml(backup.event || '?')}</strong> taken ${escapeHtml(backup.exported_at || 'at an unknown time')}.</p>
+      ${warnings.map(w => `<p class="backup-note warn">${escapeHtml(w)}</p>`).join('')}
+      ${plan.errors.map(e => `<p class="backup-note bad">&#10008; ${escapeHtml(e)}</p>`).join('')}
+      <table class="admin-table backup-plan">
+        <tr><th>Table</th><th>Now</th><th>In backup</th><th>Added</th><th>Changed</th><th>Removed</th></tr>
+        ${rows}
+      </table>
+      ${plan.errors.length === 0 ? `
+        <form action="${req.base}/admin/backup/import?key=${ADMIN_KEY}" method="POST">
+          <textarea name="backup" hidden>${escapeHtml(req.body.backup)}</textarea>
+          <input type="hidden" name="confirm" value="1">
+          ${unchanged
+            ? '<p class="backup-note ok">The backup matches the current state; there is nothing to restore.</p>'
+            : `<button type="submit" class="btn btn-danger" onclick="return confirm('Replace this event\\'s game state with the backup?')">Restore Backup</button>`}
+        </form>
+      ` : ''}
+    </section>
+  </div>
+
+  <style>
+    .admin-dashboard { max-width: 1000px; margin: 0 auto; padding: 1rem; }
+    .admin-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 1.5rem; }
+    .admin-header h1 { color: var(--accent-gold); }
+    .admin-section { background: var(--bg-card); border-radius: var(--border-radius); padding: 1.5rem; margin-bottom: 1.5rem; }
+    .backup-plan td small { display: block; opacity: 0.7; font-family: monospace; }
+    .backup-plan .added { color: var(--accent-green); }
+    .backup-plan .changed { color: #f39c12; }
+    .backup-plan .removed { color: #e74c3c; }
+    .backup-note { font-weight: bold; margin-bottom: 1rem; }
+    .backup-note.ok { color: var(--accent-green); }
+    .backup-note.bad { color: #e74c3c; }
+    .backup-note.warn { color: #f39c12; }
+  </style>`;
+
+  res.send(layout('Restore Preview', content));
+});
+
+// GET /admin/qr - QR Code Generator for all puzzles
+router.get('/admin/qr', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send(layout('Access Denied', '<div class="container"><h1>Access Denied</h1></div>'));
+  }
+
+  // Get base URL from request or use custom domain
+  const baseUrl = req.query.base || getEventUrl(req);
+
+  const allPuzzles = puzzles.getAllPuzzles();
+
+  const puzzleCards = allPuzzles.map(p => {
+    const branchInfo = puzzles.BRANCHES[p.branch];
+    const puzzleUrl = `${baseUrl}/p/${p.id}`;
+
+    return `
+      <div class="qr-card" style="--branch-color: ${branchInfo.color}" data-id="${p.id}" data-branch="${branchInfo.name}" data-step="${p.step}" data-location="${p.location_hint}">
+        <div class="qr-header no-print">
+          <span class="qr-branch" style="background: ${branchInfo.color}">${branchInfo.name}</span>
+          <span class="qr-step">Step ${p.step}</span>
+          <span class="qr-id">#${p.id}</span>
+        </div>
+        <div class="qr-code" id="qr-${p.id}"></div>
+        <div class="qr-location no-print">${p.location_hint}</div>
+        <div class="qr-url">${puzzleUrl}</div>
+        <button class="btn btn-small download-btn no-print" onclick="downloadQR('${p.id}', '${branchInfo.name}', ${p.step})">Download PNG</button>
+      </div>
+    `;
+  }).join('');
+
+  const content = `
+    <div class="qr-page">
+      <div class="qr-controls no-print">
+        <a href="${req.base}/admin?key=${ADMIN_KEY}" class="btn btn-secondary">&larr; Back to Admin</a>
+        <button onclick="downloadAllQR()" class="btn btn-primary">Download All PNGs</button>
+        <button onclick="window.print()" class="btn btn-secondary">Print Sheet</button>
+        <div class="base-url-form">
+          <label>Base URL:</label>
+          <input type="text" id="base-url-input" value="${baseUrl}" style="width: 300px">
+          <button onclick="updateBaseUrl()" class="btn btn-secondary">Update URLs</button>
+        </div>
+      </div>
+
+      <h1 class="qr-title">Midnight Vault - Puzzle QR Codes</h1>
+      <p class="qr-instructions">Print and place each QR code at the specified location.</p>
+
+      <div class="qr-grid">
+        ${puzzleCards}
+      </div>
+    </div>
+
+    <script src="https://cdn.jsdelivr.net/npm/qrcodejs@1.0.0/qrcode.min.js"></script>
+    <script>
+      const baseUrl = '${baseUrl}';
+
+      // Generate QR codes
+      document.querySelectorAll('.qr-code').forEach(el => {
+        const id = el.id.replace('qr-', '');
+        const url = baseUrl + '/p/' + id;
+        new QRCode(el, {
+          text: url,
+          width: 200,
+          height: 200,
+          colorDark: '#000000',
+          colorLight: '#ffffff',
+          correctLevel: QRCode.CorrectLevel.M
+        });
+      });
+
+      function updateBaseUrl() {
+        const newBase = document.getElementById('base-url-input').value;
+        window.location.href = '${req.base}/admin/qr?key=${ADMIN_KEY}&base=' + encodeURIComponent(newBase);
+      }
+
+      function downloadQR(id, branch, step) {
         const el = document.getElementById('qr-' + id);
         const canvas = el.querySelector('canvas');
         if (!canvas) return;
@@ -1819,95 +4054,416 @@ app.get('/admin/qr', (req, res) => {
 });
 
 // POST /admin/reset
-app.post('/admin/reset', (req, res) => {
+router.post('/admin/reset', (req, res) => {
   if (req.query.key !== ADMIN_KEY) {
     return res.status(403).send('Access Denied');
   }
   db.resetAllData();
-  res.redirect('/admin?key=' + ADMIN_KEY);
+  res.redirect(req.base + '/admin?key=' + ADMIN_KEY);
+});
+
+// POST /admin/puzzle/new - Create a puzzle (stored in the DB; the pack file is untouched)
+router.post('/admin/puzzle/new', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send('Access Denied');
+  }
+  
+  const fields = parsePuzzleFields(req.body);
+  if (!fields.title || !fields.branch || !fields.step || !fields.answer) {
+    return res.status(400).send('Need a title, branch, step and answer');
+  }
+  
+  // Never reuse an id, even a deleted one: old solves still point at it
+  const usedIds = [
+    ...puzzles.getBasePack().puzzles.map(p => p.id),
+    ...db.getAllPuzzleOverrides().map(o => o.puzzle_id)
+  ];
+  const puzzleId = Math.max(0, ...usedIds) + 1;
+  db.setPuzzleOverride(puzzleId, fields, getEditorName(req), 'create');
+  
+  res.redirect(req.base + '/admin?key=' + ADMIN_KEY + '#puzzle-' + puzzleId);
 });
 
 // POST /admin/puzzle/:id - Update puzzle override
-app.post('/admin/puzzle/:id', (req, res) => {
+router.post('/admin/puzzle/:id', (req, res) => {
   if (req.query.key !== ADMIN_KEY) {
     return res.status(403).send('Access Denied');
   }
   
   const puzzleId = parseInt(req.params.id, 10);
-  const { location_hint, prompt, answer } = req.body;
+  // The form always posts the full alias list, so an empty box clears it
+  const aliases = req.body.aliases === undefined ? null
+    : req.body.aliases.split('\n').map(a => a.trim()).filter(Boolean);
   
-  db.setPuzzleOverride(puzzleId, {
-    location_hint: location_hint || null,
-    prompt: prompt || null,
-    answer: answer || null
-  });
+  db.setPuzzleOverride(puzzleId, { ...parsePuzzleFields(req.body), aliases }, getEditorName(req));
   
-  res.redirect('/admin?key=' + ADMIN_KEY + '#puzzle-' + puzzleId);
+  res.redirect(req.base + '/admin?key=' + ADMIN_KEY + '#puzzle-' + puzzleId);
 });
 
-// GET /admin/puzzle/:id/reset - Reset puzzle to defaults
-app.get('/admin/puzzle/:id/reset', (req, res) => {
+// POST /admin/puzzle/:id/delete - Hide a puzzle (its edits and solves are kept for a restore)
+router.post('/admin/puzzle/:id/delete', (req, res) => {
   if (req.query.key !== ADMIN_KEY) {
     return res.status(403).send('Access Denied');
   }
   
   const puzzleId = parseInt(req.params.id, 10);
-  db.clearPuzzleOverride(puzzleId);
+  db.setPuzzleDeleted(puzzleId, true, getEditorName(req));
   
-  res.redirect('/admin?key=' + ADMIN_KEY);
+  res.redirect(req.base + '/admin?key=' + ADMIN_KEY);
 });
 
-// POST /admin/solve-all - Solve all puzzles for testing
-app.post('/admin/solve-all', (req, res) => {
+// POST /admin/puzzle/:id/restore - Bring back a deleted puzzle
+router.post('/admin/puzzle/:id/restore', (req, res) => {
   if (req.query.key !== ADMIN_KEY) {
     return res.status(403).send('Access Denied');
   }
   
-  // Create a test participant if needed
-  let testParticipant = db.getParticipant('test-admin');
-  if (!testParticipant) {
-    const stmt = require('better-sqlite3')(require('path').join(__dirname, 'midnight_vault.db'));
-    stmt.exec("INSERT OR IGNORE INTO participants (id, nickname) VALUES ('test-admin', 'Admin-Tester')");
-    stmt.close();
+  const puzzleId = parseInt(req.params.id, 10);
+  db.setPuzzleDeleted(puzzleId, false, getEditorName(req));
+  
+  res.redirect(req.base + '/admin?key=' + ADMIN_KEY + '#puzzle-' + puzzleId);
+});
+
+// GET /admin/puzzle/:id/reset - Reset puzzle to defaults
+router.get('/admin/puzzle/:id/reset', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send('Access Denied');
   }
   
-  // Solve all 12 puzzles
-  for (let id = 1; id <= 12; id++) {
-    db.recordSolve('test-admin', id);
+  const puzzleId = parseInt(req.params.id, 10);
+  db.clearPuzzleOverride(puzzleId, getEditorName(req));
+  
+  res.redirect(req.base + '/admin?key=' + ADMIN_KEY);
+});
+
+// POST /admin/editor - Remember who is editing, for puzzle history
+router.post('/admin/editor', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send('Access Denied');
+  }
+  const editor = (req.body.editor || '').trim().slice(0, 24);
+  if (editor) {
+    res.cookie('admin_editor', editor, { maxAge: 365 * 24 * 60 * 60 * 1000, httpOnly: true, sameSite: 'lax' });
+  } else {
+    res.clearCookie('admin_editor');
+  }
+  res.redirect(req.base + '/admin?key=' + ADMIN_KEY);
+});
+
+// Puzzle fields shown in history diffs
+const HISTORY_FIELDS = [
+  ['title', 'Title'], ['branch', 'Branch'], ['step', 'Step'], ['location_hint', 'Location'],
+  ['prompt', 'Prompt'], ['answer', 'Answer'], ['aliases', 'Also accept'],
+  ['collectLetters', 'Collect letters'], ['successMessage', 'Success message']
+];
+
+// A puzzle as it looked after a revision ({ puzzle, deleted }), from the pack puzzle and the snapshot
+function puzzleAtRevision(basePuzzle, snapshot) {
+  const fields = snapshot ? JSON.parse(snapshot) : null;
+  if (!fields) return { puzzle: basePuzzle || null, deleted: false };
+  return {
+    puzzle: puzzles.applyOverride(basePuzzle || null, { ...fields, deleted: 0 }),
+    deleted: !!fields.deleted
+  };
+}
+
+// Field-by-field changes between two puzzle states
+function diffPuzzleStates(before, after) {
+  const show = (state, key) => {
+    const value = state.puzzle ? state.puzzle[key] : undefined;
+    return Array.isArray(value) ? value.join(', ') : (value === undefined || value === null ? '' : String(value));
+  };
+  const changes = HISTORY_FIELDS
+    .map(([key, label]) => ({ label, from: show(before, key), to: show(after, key) }))
+    .filter(c => c.from !== c.to);
+  if (before.deleted !== after.deleted) {
+    changes.push({ label: 'Status', from: before.deleted ? 'deleted' : 'live', to: after.deleted ? 'deleted' : 'live' });
+  }
+  return changes;
+}
+
+// GET /admin/puzzle/:id/history - Every edit to a puzzle, with diffs and rollback
+router.get('/admin/puzzle/:id/history', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send(layout('Access Denied', '<div class="container"><h1>Access Denied</h1></div>'));
+  }
+
+  const puzzleId = parseInt(req.params.id, 10);
+  const basePuzzle = puzzles.getBasePack().puzzles.find(p => p.id === puzzleId);
+  const revisions = db.getPuzzleRevisions(puzzleId);
+  const current = revisions.length > 0 ? revisions[revisions.length - 1].id : null;
+
+  // Walk forward from the pack default so each revision diffs against the one before it
+  let previous = { puzzle: basePuzzle || null, deleted: false };
+  const entries = revisions.map(rev => {
+    const state = puzzleAtRevision(basePuzzle, rev.snapshot);
+    const changes = diffPuzzleStates(previous, state);
+    previous = state;
+    return { rev, changes };
+  }).reverse();
+
+  const title = (previous.puzzle || basePuzzle || {}).title || `Puzzle #${puzzleId}`;
+  const entryHtml = entries.map(({ rev, changes }) => `
+    <div class="revision ${rev.id === current ? 'current' : ''}">
+      <div class="revision-header">
+        <span class="revision-id">#${rev.id}</span>
+        <span class="revision-action">${escapeHtml(rev.action)}</span>
+        <span class="revision-meta">${escapeHtml(rev.author || 'unknown')} &middot; ${rev.created_at} UTC</span>
+        ${rev.id === current ? '<span class="override-badge">CURRENT</span>' : `
+          <form action="${req.base}/admin/puzzle/${puzzleId}/rollback/${rev.id}?key=${ADMIN_KEY}" method="POST">
+            <button type="submit" class="btn btn-small btn-reset" onclick="return confirm('Roll puzzle #${puzzleId} back to revision #${rev.id}?')">Roll back to this</button>
+          </form>
+        `}
+      </div>
+      ${changes.length === 0 ? '<p class="empty">No visible changes</p>' : `
+        <table class="admin-table revision-diff">
+          ${changes.map(c => `
+            <tr>
+              <th>${c.label}</th>
+              <td><del>${escapeHtml(c.from) || '<em>(empty)</em>'}</del></td>
+              <td><ins>${escapeHtml(c.to) || '<em>(empty)</em>'}</ins></td>
+            </tr>
+          `).join('')}
+        </table>
+      `}
+    </div>
+  `).join('');
+
+  const content = `
+  <div class="admin-dashboard">
+    <header class="admin-header">
+      <h1>History: #${puzzleId} ${escapeHtml(title)}</h1>
+      <nav class="admin-nav">
+        <a href="${req.base}/admin?key=${ADMIN_KEY}#puzzle-${puzzleId}" class="btn btn-small btn-secondary">&larr; Back to Admin</a>
+      </nav>
+    </header>
+
+    <section class="admin-section">
+      ${entryHtml || '<p class="empty">No edits yet.</p>'}
+      ${basePuzzle ? `<p class="revision-origin">Before the first revision: the pack default from packs/${escapeHtml(req.event.pack.id)}.json</p>` : ''}
+    </section>
+  </div>
+
+  <style>
+    .admin-dashboard { max-width: 1000px; margin: 0 auto; padding: 1rem; }
+    .admin-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 1.5rem; }
+    .admin-header h1 { color: var(--accent-gold); }
+    .admin-section { background: var(--bg-card); border-radius: var(--border-radius); padding: 1.5rem; margin-bottom: 1.5rem; }
+    .revision { border-left: 3px solid rgba(255,255,255,0.15); padding: 0.5rem 0 0.5rem 1rem; margin-bottom: 1rem; }
+    .revision.current { border-left-color: var(--accent-purple); }
+    .revision-header { display: flex; flex-wrap: wrap; align-items: center; gap: 0.75rem; margin-bottom: 0.5rem; }
+    .revision-id { font-weight: bold; color: var(--accent-gold); }
+    .revision-action { text-transform: uppercase; font-size: 0.8rem; font-weight: bold; }
+    .revision-meta { color: var(--text-secondary); font-size: 0.85rem; }
+    .revision-diff th { width: 140px; }
+    .revision-diff del { color: #e74c3c; }
+    .revision-diff ins { color: var(--accent-green); text-decoration: none; }
+    .revision-origin { color: var(--text-secondary); font-style: italic; }
+    .empty { color: var(--text-secondary); font-style: italic; }
+  </style>`;
+
+  res.send(layout('Puzzle History', content));
+});
+
+// POST /admin/puzzle/:id/rollback/:rev - Restore the puzzle's edits as of an earlier revision
+router.post('/admin/puzzle/:id/rollback/:rev', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send('Access Denied');
+  }
+
+  const puzzleId = parseInt(req.params.id, 10);
+  if (!db.rollbackPuzzleOverride(puzzleId, parseInt(req.params.rev, 10), getEditorName(req))) {
+    return res.status(404).send('Revision not found');
+  }
+
+  res.redirect(`${req.base}/admin/puzzle/${puzzleId}/history?key=${ADMIN_KEY}`);
+});
+
+// POST /admin/teams - Create a team
+router.post('/admin/teams', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send('Access Denied');
+  }
+
+  const name = (req.body.name || '').trim().slice(0, 24);
+  if (!name || !db.createTeam(name)) {
+    return res.status(400).send(name ? `There's already a team called "${escapeHtml(name)}"` : 'Need a team name');
+  }
+  res.redirect(req.base + '/admin?key=' + ADMIN_KEY + '#teams');
+});
+
+// POST /admin/teams/merge - Move one team's players into another
+router.post('/admin/teams/merge', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send('Access Denied');
+  }
+
+  const intoId = parseInt(req.body.into, 10);
+  if (!db.mergeTeams(parseInt(req.body.from, 10), intoId)) {
+    return res.status(400).send('Pick two different teams');
+  }
+  completeBranchesForScopes([`T${intoId}`]);
+  res.redirect(req.base + '/admin?key=' + ADMIN_KEY + '#teams');
+});
+
+// POST /admin/teams/balance - Even out team sizes
+router.post('/admin/teams/balance', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send('Access Denied');
+  }
+  db.balanceTeams();
+  completeBranchesForScopes(db.getTeams().map(team => `T${team.id}`));
+  res.redirect(req.base + '/admin?key=' + ADMIN_KEY + '#teams');
+});
+
+// POST /admin/participants/merge - Fold one player's solves into another's
+router.post('/admin/participants/merge', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send('Access Denied');
+  }
+
+  if (!db.mergeParticipants(req.body.from, req.body.into)) {
+    return res.status(400).send('Pick two different players');
+  }
+  completeBranchesForScopes([getParticipantScope(db.getParticipant(req.body.into))]);
+  res.redirect(req.base + '/admin?key=' + ADMIN_KEY + '#players');
+});
+
+// POST /admin/prize/:id/confirm - Confirm a super prize claim with the winner's code
+router.post('/admin/prize/:id/confirm', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send('Access Denied');
+  }
+
+  const puzzleId = parseInt(req.params.id, 10);
+  if (!db.confirmPrizeClaim(puzzleId, req.body.code)) {
+    return res.redirect(`${req.base}/admin?key=${ADMIN_KEY}&prize_error=${encodeURIComponent('That code doesn\'t match the claim')}#prize`);
+  }
+  live.publish(req.event.slug, 'prize-claimed', { puzzleId });
+  res.redirect(req.base + '/admin?key=' + ADMIN_KEY + '#prize');
+});
+
+// POST /admin/prize/:id/release - Drop an unconfirmed super prize claim
+router.post('/admin/prize/:id/release', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send('Access Denied');
+  }
+
+  db.releasePrizeClaim(parseInt(req.params.id, 10));
+  res.redirect(req.base + '/admin?key=' + ADMIN_KEY + '#prize');
+});
+
+// POST /admin/participants/:id/rename - Rename a player (unique names only)
+router.post('/admin/participants/:id/rename', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send('Access Denied');
+  }
+
+  const nickname = (req.body.nickname || '').trim().slice(0, 24);
+  if (!nickname) return res.status(400).send('Need a nickname');
+  if (db.isNicknameTaken(nickname, req.params.id)) {
+    return res.redirect(`${req.base}/admin?key=${ADMIN_KEY}&player_error=${encodeURIComponent(`Someone is already called "${nickname}"`)}#players`);
+  }
+  db.updateNickname(req.params.id, nickname);
+  res.redirect(req.base + '/admin?key=' + ADMIN_KEY + '#players');
+});
+
+// POST /admin/participants/:id/status - Hide, ban or restore a player
+router.post('/admin/participants/:id/status', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send('Access Denied');
+  }
+
+  if (!db.setParticipantStatus(req.params.id, req.body.status)) {
+    return res.status(400).send('Unknown player or status');
+  }
+  res.redirect(req.base + '/admin?key=' + ADMIN_KEY + '#players');
+});
+
+// POST /admin/blocked-words - Replace the nickname word filter
+router.post('/admin/blocked-words', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send('Access Denied');
+  }
+
+  const words = (req.body.words || '').split(/[\r\n,]+/).map(w => w.trim()).filter(Boolean);
+  db.setGlobalValue('blocked_words', [...new Set(words)].join('\n'));
+  res.redirect(req.base + '/admin?key=' + ADMIN_KEY + '#players');
+});
+
+// POST /admin/teams/:id/rename
+router.post('/admin/teams/:id/rename', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send('Access Denied');
+  }
+
+  const name = (req.body.name || '').trim().slice(0, 24);
+  if (!name || !db.renameTeam(parseInt(req.params.id, 10), name)) {
+    return res.status(400).send(name ? `There's already a team called "${escapeHtml(name)}"` : 'Need a team name');
+  }
+  res.redirect(req.base + '/admin?key=' + ADMIN_KEY + '#teams');
+});
+
+// The player admin tools solve as. It gets a random id like everyone else,
+// remembered per event so repeat calls don't add more players.
+function getAdminParticipant() {
+  let participant = db.getParticipant(db.getGlobalValue('test_participant') || '');
+  if (!participant) {
+    participant = db.createParticipant('Admin-Tester');
+    db.setGlobalValue('test_participant', participant.id);
+  }
+  return participant;
+}
+
+// POST /admin/solve-all - Solve all puzzles for testing
+router.post('/admin/solve-all', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send('Access Denied');
+  }
+  
+  const testParticipant = getAdminParticipant();
+
+  // Solve every scored puzzle
+  for (const puzzle of puzzles.getScoredPuzzles()) {
+    db.recordSolve(testParticipant.id, puzzle.id);
 
     // Check if this completes a branch
-    const puzzle = puzzles.getPuzzle(id);
-    if (puzzle && puzzle.step === 3) {
-      const doneKey = `${puzzle.branch}_DONE`;
-      if (!db.hasGlobalKey(doneKey)) {
-        db.setGlobalKey(doneKey);
-      }
-    }
+    completeBranchIfDone(puzzle.branch);
   }
 
-  res.redirect('/admin?key=' + ADMIN_KEY);
+  res.redirect(req.base + '/admin?key=' + ADMIN_KEY);
+});
+
+// POST /admin/broadcast - Send a message to every open TV and phone
+router.post('/admin/broadcast', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send('Access Denied');
+  }
+  const message = (req.body.message || '').trim().slice(0, 200);
+  if (message) live.publish(req.event.slug, 'broadcast', { message });
+  res.redirect(req.base + '/admin?key=' + ADMIN_KEY + '#actions');
 });
 
 // POST /admin/start-countdown - Start the 10-second NYE countdown
-app.post('/admin/start-countdown', (req, res) => {
+router.post('/admin/start-countdown', (req, res) => {
   if (req.query.key !== ADMIN_KEY) {
     return res.status(403).send('Access Denied');
   }
-  nyeCountdownStart = Date.now();
-  res.redirect('/admin?key=' + ADMIN_KEY + '&countdown=started');
+  nyeCountdownStarts.set(req.event.slug, Date.now());
+  res.redirect(req.base + '/admin?key=' + ADMIN_KEY + '&countdown=started');
 });
 
 // POST /admin/reset-countdown - Reset countdown
-app.post('/admin/reset-countdown', (req, res) => {
+router.post('/admin/reset-countdown', (req, res) => {
   if (req.query.key !== ADMIN_KEY) {
     return res.status(403).send('Access Denied');
   }
-  nyeCountdownStart = null;
-  res.redirect('/admin?key=' + ADMIN_KEY);
+  nyeCountdownStarts.delete(req.event.slug);
+  res.redirect(req.base + '/admin?key=' + ADMIN_KEY);
 });
 
 // GET /admin/mark-solved - Mark specific puzzles as solved
-app.get('/admin/mark-solved', (req, res) => {
+router.get('/admin/mark-solved', (req, res) => {
   if (req.query.key !== ADMIN_KEY) {
     return res.status(403).send('Access Denied');
   }
@@ -1916,26 +4472,24 @@ app.get('/admin/mark-solved', (req, res) => {
     return res.status(400).send('Need ?ids=1,2,3 etc');
   }
 
-  // Create admin participant if needed
-  const admin = db.createParticipant('Admin-Restore');
+  const admin = getAdminParticipant();
 
   const results = [];
   for (const id of ids) {
     db.recordSolve(admin.id, id);
     const puzzle = puzzles.getPuzzle(id);
-    if (puzzle && puzzle.step === 3) {
-      db.setGlobalKey(`${puzzle.branch}_DONE`);
+    if (puzzle && completeBranchIfDone(puzzle.branch)) {
       results.push(`${id} (branch ${puzzle.branch} COMPLETE)`);
     } else {
       results.push(`${id}`);
     }
   }
 
-  res.send(`Marked solved: ${results.join(', ')}. <a href="/admin?key=${ADMIN_KEY}">Back to Admin</a>`);
+  res.send(`Marked solved: ${results.join(', ')}. <a href="${req.base}/admin?key=${ADMIN_KEY}">Back to Admin</a>`);
 });
 
 // GET /admin/swap-solves - Swap solves between two puzzles
-app.get('/admin/swap-solves', (req, res) => {
+router.get('/admin/swap-solves', (req, res) => {
   if (req.query.key !== ADMIN_KEY) {
     return res.status(403).send('Access Denied');
   }
@@ -1948,19 +4502,20 @@ app.get('/admin/swap-solves', (req, res) => {
   // Swap in database
   db.swapPuzzleSolves(from, to);
 
-  res.send(`Swapped solves between puzzle ${from} and ${to}. <a href="/admin?key=${ADMIN_KEY}">Back to Admin</a>`);
+  res.send(`Swapped solves between puzzle ${from} and ${to}. <a href="${req.base}/admin?key=${ADMIN_KEY}">Back to Admin</a>`);
 });
 
 // GET /api/nye-countdown - Get NYE countdown state for client-side rendering
-app.get('/api/nye-countdown', (req, res) => {
+router.get('/api/nye-countdown', (req, res) => {
   const now = Date.now();
-  const targetUTC = Date.UTC(2026, 0, 1, 6, 0, 0); // Midnight Central = 6am UTC
-  const msRemaining = targetUTC - now;
-  const secsRemaining = Math.floor(msRemaining / 1000);
+  // Target time, timezone and year come from the event's schedule settings
+  const eventSchedule = schedule.getSchedule(req.event, now);
+  const secsRemaining = eventSchedule.secsRemaining;
 
   let display = null;
   let isNumber = false;
   let showCelebration = false;
+  const nyeCountdownStart = nyeCountdownStarts.get(req.event.slug);
 
   // Check if admin triggered a demo countdown
   if (nyeCountdownStart) {
@@ -1992,8 +4547,8 @@ app.get('/api/nye-countdown', (req, res) => {
     }
   }
   // Real midnight countdown (when not in demo mode)
-  else if (secsRemaining <= 0) {
-    // It's midnight or past - celebrate forever!
+  else if (eventSchedule.celebrating) {
+    // The target just passed - celebrate until the schedule rolls over to next year
     showCelebration = true;
   }
   else if (secsRemaining <= 10) {
@@ -2030,22 +4585,65 @@ app.get('/api/nye-countdown', (req, res) => {
     display,
     isNumber,
     showCelebration,
+    celebration: eventSchedule.celebration,
+    year: eventSchedule.year,
+    timezone: eventSchedule.timezone,
+    target: new Date(eventSchedule.target).toISOString(),
     serverTime: now,
     secsRemaining
   });
 });
 
+// GET /api/live - Server-Sent Events stream of solves, branch completions, unlocks and broadcasts
+router.get('/api/live', (req, res) => {
+  // Competitive players only hear about their own progress; the TV (no player cookie) hears everything
+  const participant = db.getParticipant(req.signedCookies[participantCookieName(req.event)] || '');
+  const scope = participant && req.event.mode === 'competitive' ? getParticipantScope(participant) : null;
+  live.subscribe(req.event.slug, req, res, scope);
+});
+
 // GET /api/status - JSON status for TV polling
-app.get('/api/status', (req, res) => {
+router.get('/api/status', (req, res) => {
   const globalSolvedIds = db.getGlobalSolvedPuzzleIds();
-  const globalSolved = globalSolvedIds.length;
-  const globalPct = Math.round(globalSolved / 12 * 100);
+  const scoredPuzzles = puzzles.getScoredPuzzles();
+  const totalPuzzles = scoredPuzzles.length;
+  const globalSolved = scoredPuzzles.filter(p => globalSolvedIds.includes(p.id)).length;
+  const globalPct = Math.round(globalSolved / totalPuzzles * 100);
   const branchStatus = db.getBranchStatus(puzzles);
   const completedBranches = db.getCompletedBranches();
   const doneCount = completedBranches.length;
   const { digits } = puzzles.computeVaultCode(completedBranches);
-  const contributors = db.getContributors(10);
+  const contributors = db.getContributors(10).map(({ nickname, solves }) => ({ nickname, solves }));
+  const leaderboard = db.getPointsLeaderboard(10).map(({ nickname, points, solves }) => ({ nickname, points, solves }));
+  // Join codes stay private to each team
+  const teams = db.getTeamStandings(10).map(({ join_code, ...team }) => team);
   const recentSolves = db.getRecentSolves(12);
+  const recentHintReveals = db.getRecentHintReveals(12);
+  // Badges whose definition is still in the pack, newest first
+  const recentAchievements = db.getRecentAchievements(10)
+    .map(a => ({ a, def: achievements.getAchievement(a.achievement_id) }))
+    .filter(({ def }) => def)
+    .map(({ a, def }) => ({ id: a.id, earned_at: a.earned_at, nickname: a.nickname, name: def.name, icon: def.icon }));
+  // Super prizes: who claimed each, once the host has confirmed (hidden players stay unnamed)
+  const superPrizes = puzzles.getSuperPrizePuzzles().map(puzzle => {
+    const claim = db.getPrizeClaim(puzzle.id);
+    const claimed = !!(claim && claim.confirmed_at);
+    return {
+      puzzle_id: puzzle.id,
+      title: puzzle.title,
+      status: !claim ? 'open' : claimed ? 'claimed' : 'pending',
+      winner: claimed && claim.status === 'active' ? claim.nickname : null
+    };
+  });
+  // Latest raffle draw, with the entrants' names for the TV's reveal
+  const lastDraw = db.getRaffleDraws()[0];
+  const lastRaffle = lastDraw ? {
+    id: lastDraw.id,
+    drawn_at: lastDraw.drawn_at,
+    prize: lastDraw.prize,
+    winner: lastDraw.winner_nickname,
+    names: lastDraw.entries.map(e => e.nickname)
+  } : null;
   
   // Enrich recent solves
   const recent = recentSolves.map(s => {
@@ -2059,24 +4657,307 @@ app.get('/api/status', (req, res) => {
     };
   });
   
+  const recentHints = recentHintReveals.map(h => {
+    const puzzle = puzzles.getPuzzle(h.puzzle_id);
+    return {
+      revealed_at: h.revealed_at,
+      nickname: h.nickname,
+      puzzle_id: h.puzzle_id,
+      branch: puzzle ? puzzle.branch : '?',
+      step: puzzle ? puzzle.step : '?',
+      hint: h.hint_index + 1
+    };
+  });
+  
   res.json({
     now: new Date().toISOString(),
-    totalPuzzles: 12,
+    mode: req.event.mode,
+    winner: db.getVaultWinner(),
+    totalPuzzles,
     globalSolved,
     globalPct,
+    branchOrder: puzzles.BRANCH_ORDER,
     branchStatus,
     completedBranches,
-    hubUnlocked: doneCount >= 2,
-    metaUnlocked: doneCount >= 4,
+    hubThreshold: puzzles.getHubThreshold(),
+    vaultThreshold: puzzles.getVaultThreshold(),
+    hubUnlocked: doneCount >= puzzles.getHubThreshold(),
+    metaUnlocked: doneCount >= puzzles.getVaultThreshold(),
     digits,
     contributors,
-    recent
+    leaderboard,
+    teams,
+    recent,
+    recentHints,
+    recentAchievements,
+    superPrizes,
+    raffle: lastRaffle
   });
 });
 
+// =============================================================================
+// EVENTS (server-wide, not scoped to one event)
+// =============================================================================
+
+// GET /admin/events - Create, clone, edit and archive events
+app.get('/admin/events', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send(layout('Access Denied', '<div class="container"><h1>Access Denied</h1></div>'));
+  }
+
+  const packOptions = packLoader.listPacks().map(id => `<option value="${escapeHtml(id)}">${escapeHtml(id)}</option>`).join('');
+  const modeOptions = selected => events.GAME_MODES.map(mode =>
+    `<option value="${mode}" ${mode === selected ? 'selected' : ''}>${mode}</option>`
+  ).join('');
+
+  const eventRows = events.listEvents().map(e => {
+    const base = events.basePath(e);
+    const archived = e.status === 'archived';
+    return `
+      <div class="event-card ${archived ? 'archived' : ''}">
+        <div class="event-header">
+          <h3>${escapeHtml(e.name)}</h3>
+          <span class="event-slug mono">${base || '/'}</span>
+          <span class="event-pack">Pack: ${escapeHtml(e.pack_id)} &middot; ${e.mode}</span>
+          ${archived ? '<span class="override-badge">ARCHIVED</span>' : ''}
+          ${e.cloned_from ? `<span class="event-clone">cloned from ${escapeHtml(e.cloned_from)}</span>` : ''}
+        </div>
+        <nav class="event-links">
+          <a href="${base}/" target="_blank" class="btn btn-small">Play</a>
+          <a href="${base}/admin?key=${ADMIN_KEY}" class="btn btn-small btn-gold">Admin</a>
+          <a href="${base}/tv" target="_blank" class="btn btn-small">TV</a>
+          <a href="${base}/admin/qr?key=${ADMIN_KEY}" class="btn btn-small">QR Codes</a>
+        </nav>
+        <form action="/admin/events/${e.slug}?key=${ADMIN_KEY}" method="POST" class="event-form">
+          <div class="form-group">
+            <label>Name:</label>
+            <input type="text" name="name" value="${escapeHtml(e.name)}" required>
+          </div>
+          <div class="form-group">
+            <label>Vault code:</label>
+            <input type="text" name="vault_code" value="${escapeHtml(e.vault_code || '')}" placeholder="${escapeHtml(VAULT_CODE)} (from env)">
+          </div>
+          <div class="form-group">
+            <label>Mode:</label>
+            <select name="mode">${modeOptions(e.mode)}</select>
+          </div>
+          <div class="form-group wide">
+            <label>Prize clue:</label>
+            <input type="text" name="prize_clue" value="${escapeHtml(e.prize_clue || '')}" placeholder="From env PRIZE_CLUE">
+          </div>
+          <div class="form-group">
+            <label>Countdown to (MM-DD HH:MM):</label>
+            <input type="text" name="target_at" value="${escapeHtml(e.target_at || '')}" placeholder="${schedule.DEFAULT_TARGET}" maxlength="11">
+          </div>
+          <div class="form-group">
+            <label>Timezone:</label>
+            <input type="text" name="timezone" value="${escapeHtml(e.timezone || '')}" placeholder="${schedule.DEFAULT_TIMEZONE}" list="timezones">
+          </div>
+          <div class="form-group wide">
+            <label>Celebration text ({year} for the year):</label>
+            <input type="text" name="celebration_text" value="${escapeHtml(e.celebration_text || '')}" placeholder="${schedule.DEFAULT_CELEBRATION}" maxlength="80">
+          </div>
+          <p class="event-schedule">Next: ${formatSchedule(e)}</p>
+          <button type="submit" class="btn btn-small btn-save">Save</button>
+        </form>
+        <div class="event-actions">
+          <form action="/admin/events/${e.slug}/clone?key=${ADMIN_KEY}" method="POST" class="event-form">
+            <input type="text" name="slug" placeholder="new-slug" required>
+            <input type="text" name="name" placeholder="New name">
+            <button type="submit" class="btn btn-small">Clone</button>
+          </form>
+          ${e.slug === events.DEFAULT_EVENT ? '' : `
+            <form action="/admin/events/${e.slug}/${archived ? 'restore' : 'archive'}?key=${ADMIN_KEY}" method="POST">
+              <button type="submit" class="btn btn-small ${archived ? '' : 'btn-reset'}">${archived ? 'Restore' : 'Archive'}</button>
+            </form>
+          `}
+        </div>
+      </div>`;
+  }).join('');
+
+  const content = `
+  <div class="admin-dashboard">
+    <header class="admin-header">
+      <h1>Events</h1>
+      <nav class="admin-nav">
+        <a href="/admin?key=${ADMIN_KEY}" class="btn btn-small btn-secondary">&larr; Back to Admin</a>
+      </nav>
+    </header>
+
+    ${req.query.error ? `<p class="event-error">&#10008; ${escapeHtml(req.query.error)}</p>` : ''}
+
+    <section class="admin-section">
+      <h2>New Event</h2>
+      <form action="/admin/events?key=${ADMIN_KEY}" method="POST" class="event-form">
+        <div class="form-group">
+          <label>Slug (URL):</label>
+          <input type="text" name="slug" placeholder="kids-2026" pattern="[a-z0-9][a-z0-9-]*" maxlength="32" required>
+        </div>
+        <div class="form-group">
+          <label>Name:</label>
+          <input type="text" name="name" placeholder="Kids' Vault">
+        </div>
+        <div class="form-group">
+          <label>Pack:</label>
+          <select name="pack_id">${packOptions}</select>
+        </div>
+        <div class="form-group">
+          <label>Vault code:</label>
+          <input type="text" name="vault_code" placeholder="Optional">
+        </div>
+        <div class="form-group">
+          <label>Mode:</label>
+          <select name="mode">${modeOptions('coop')}</select>
+        </div>
+        <div class="form-group wide">
+          <label>Prize clue:</label>
+          <input type="text" name="prize_clue" placeholder="Optional">
+        </div>
+        <div class="form-group">
+          <label>Countdown to (MM-DD HH:MM):</label>
+          <input type="text" name="target_at" placeholder="${schedule.DEFAULT_TARGET}" maxlength="11">
+        </div>
+        <div class="form-group">
+          <label>Timezone:</label>
+          <input type="text" name="timezone" placeholder="${schedule.DEFAULT_TIMEZONE}" list="timezones">
+        </div>
+        <div class="form-group wide">
+          <label>Celebration text:</label>
+          <input type="text" name="celebration_text" placeholder="${schedule.DEFAULT_CELEBRATION}" maxlength="80">
+        </div>
+        <button type="submit" class="btn btn-small btn-gold">Create</button>
+      </form>
+      <datalist id="timezones">${Intl.supportedValuesOf('timeZone').map(tz => `<option value="${tz}">`).join('')}</datalist>
+    </section>
+
+    <section class="admin-section">
+      <h2>All Events</h2>
+      ${eventRows}
+    </section>
+  </div>
+
+  <style>
+    .admin-dashboard { max-width: 1000px; margin: 0 auto; padding: 1rem; }
+    .admin-header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 1.5rem; }
+    .admin-header h1 { color: var(--accent-gold); }
+    .admin-section { background: var(--bg-card); border-radius: var(--border-radius); padding: 1.5rem; margin-bottom: 1.5rem; }
+    .mono { font-family: monospace; }
+    .event-card { border: 1px solid rgba(255,255,255,0.1); border-radius: var(--border-radius); padding: 1rem; margin-bottom: 1rem; }
+    .event-card.archived { opacity: 0.6; }
+    .event-header { display: flex; flex-wrap: wrap; gap: 0.75rem; align-items: baseline; }
+    .event-header h3 { margin: 0; }
+    .event-pack, .event-clone { opacity: 0.7; font-size: 0.9rem; }
+    .event-links, .event-actions { display: flex; flex-wrap: wrap; gap: 0.5rem; margin: 0.75rem 0; }
+    .event-form { display: flex; flex-wrap: wrap; gap: 0.5rem; align-items: flex-end; }
+    .event-form .form-group { margin: 0; }
+    .event-form .form-group.wide { flex: 1; min-width: 240px; }
+    .event-error { color: #e74c3c; font-weight: bold; }
+    .event-schedule { width: 100%; margin: 0; opacity: 0.7; font-size: 0.9rem; }
+  </style>`;
+
+  res.send(layout('Events', content));
+});
+
+// When an event's countdown ends, in its own timezone, for the events screen
+function formatSchedule(event) {
+  const { target, timezone, celebrating } = schedule.getSchedule(event);
+  const when = new Date(target).toLocaleString('en-US', { timeZone: timezone, dateStyle: 'medium', timeStyle: 'short' });
+  return `${celebrating ? 'celebrating since' : 'countdown ends'} ${when} (${escapeHtml(timezone)})`;
+}
+
+// Redirect back to the events screen, with an error if there was one
+function redirectToEvents(res, err) {
+  res.redirect(`/admin/events?key=${ADMIN_KEY}${err ? '&error=' + encodeURIComponent(err.message) : ''}`);
+}
+
+// POST /admin/events - Create an event
+app.post('/admin/events', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send('Access Denied');
+  }
+  try {
+    events.createEvent(req.body);
+  } catch (err) {
+    return redirectToEvents(res, err);
+  }
+  redirectToEvents(res);
+});
+
+// POST /admin/events/:slug - Update name, vault code, prize clue, mode and schedule
+app.post('/admin/events/:slug', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send('Access Denied');
+  }
+  try {
+    events.updateEvent(req.params.slug, req.body);
+  } catch (err) {
+    return redirectToEvents(res, err);
+  }
+  redirectToEvents(res);
+});
+
+// POST /admin/events/:slug/clone - New event with the same pack, codes, prize clue, mode, schedule, puzzle edits and vault design (no progress)
+app.post('/admin/events/:slug/clone', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send('Access Denied');
+  }
+  const source = events.getEvent(req.params.slug);
+  if (!source) {
+    return res.status(404).send('Event not found');
+  }
+
+  const { overrides, perm, vaultDesign } = events.runInEvent(source, () => ({
+    overrides: db.getAllPuzzleOverrides(),
+    perm: db.getPermutationKey(),
+    vaultDesign: db.getVaultDesign()
+  }));
+
+  try {
+    const clone = events.createEvent({
+      slug: req.body.slug,
+      name: req.body.name || `${source.name} (copy)`,
+      pack_id: source.pack.id,
+      vault_code: source.vault_code,
+      prize_clue: source.prize_clue,
+      mode: source.mode,
+      cloned_from: source.slug,
+      timezone: source.timezone,
+      target_at: source.target_at,
+      celebration_text: source.celebration_text
+    });
+    events.runInEvent(clone, () => {
+      db.restorePuzzleOverrides(overrides, `${getEditorName(req)} (clone of ${source.slug})`);
+      db.setPermutationKey(perm);
+      if (vaultDesign) db.setVaultDesign(vaultDesign);
+    });
+  } catch (err) {
+    return redirectToEvents(res, err);
+  }
+  redirectToEvents(res);
+});
+
+// POST /admin/events/:slug/archive, /restore - Archived events keep their data but take no submissions
+app.post('/admin/events/:slug/:action(archive|restore)', (req, res) => {
+  if (req.query.key !== ADMIN_KEY) {
+    return res.status(403).send('Access Denied');
+  }
+  try {
+    events.setEventArchived(req.params.slug, req.params.action === 'archive');
+  } catch (err) {
+    return redirectToEvents(res, err);
+  }
+  redirectToEvents(res);
+});
+
+// Every game route is served per event: /e/<slug>/... and, for the default
+// event, at the root so existing links and printed QR codes keep working
+app.use('/e/:event', scopeEvent, router);
+app.use(scopeEvent, router);
+
 // Start server
 app.listen(PORT, () => {
   console.log(`Midnight Vault running at http://localhost:${PORT}`);
   console.log(`TV: http://localhost:${PORT}/tv`);
   console.log(`Admin: http://localhost:${PORT}/admin?key=${ADMIN_KEY}`);
+  console.log(`Events: http://localhost:${PORT}/admin/events?key=${ADMIN_KEY}`);
 });
@@ -0,0 +1,99 @@
+/**
+ * File Purpose: Tests for achievement rules
+ * High-Level Summary: Each rule is checked against fresh solves in a small pack with a sequential and an
+ *                     unordered branch
+ * Dependencies: node:test, ../achievements.js, ../events.js
+ * Semantic Tags: tests, achievements, badges
+ * Version: 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const achievements = require('../achievements');
+const events = require('../events');
+
+const PACK = {
+  id: 'test',
+  meta: { permutationKey: '1234', finalPhrase: [] },
+  branchOrder: ['A', 'B'],
+  branches: {
+    A: { name: 'Alpha' },
+    B: { name: 'Beta', mode: 'unordered' }
+  },
+  puzzles: [
+    { id: 1, branch: 'A', step: 1, answer: 'ONE' },
+    { id: 2, branch: 'A', step: 2, answer: 'TWO' },
+    { id: 3, branch: 'A', step: 3, answer: 'THREE' },
+    { id: 4, branch: 'B', step: 1, answer: 'FOUR' },
+    { id: 5, branch: 'B', step: 2, answer: 'FIVE' }
+  ],
+  achievements: [
+    { id: 'trailblazer', rule: 'firstInBranch' },
+    { id: 'branch-master', rule: 'branchComplete' },
+    { id: 'beta-master', rule: 'branchComplete', branch: 'B' },
+    { id: 'completionist', rule: 'allPuzzles' },
+    { id: 'finder', rule: 'puzzle', puzzleId: 4 },
+    { id: 'lightning', rule: 'lightning', minutes: 2 },
+    { id: 'night-owl', rule: 'timeOfDay', fromHour: 22, toHour: 3 },
+    { id: 'three', rule: 'solveCount', count: 3 }
+  ]
+};
+
+// Ids of the badges a solve earns, in a throwaway event playing PACK
+function earned(solve, earnedIds = []) {
+  const puzzle = PACK.puzzles.find(p => p.id === solve.puzzleId);
+  const full = {
+    isFirst: false,
+    globalSolvedIds: solve.solvedIds,
+    minutesSinceUnlock: null,
+    hour: 12,
+    ...solve,
+    puzzle
+  };
+  return events.runInEvent({ slug: 'test', mode: 'coop', pack: PACK }, () =>
+    achievements.checkSolve(full, earnedIds).map(def => def.id)
+  );
+}
+
+test('firstInBranch needs the first solve in the branch', () => {
+  assert.ok(earned({ puzzleId: 1, solvedIds: [1], isFirst: true }).includes('trailblazer'));
+  assert.ok(!earned({ puzzleId: 2, solvedIds: [2], globalSolvedIds: [1, 2], isFirst: true }).includes('trailblazer'));
+});
+
+test('branchComplete needs every step of a sequential branch solved by the player', () => {
+  // Someone else solved steps 1 and 2; this player only solved the final step
+  assert.ok(!earned({ puzzleId: 3, solvedIds: [3], globalSolvedIds: [1, 2, 3] }).includes('branch-master'));
+  assert.ok(earned({ puzzleId: 3, solvedIds: [1, 2, 3] }).includes('branch-master'));
+});
+
+test('branchComplete follows the goal of other branch modes and a named branch', () => {
+  assert.deepStrictEqual(
+    earned({ puzzleId: 5, solvedIds: [4, 5] }).filter(id => id.endsWith('master')),
+    ['branch-master', 'beta-master']
+  );
+  assert.ok(!earned({ puzzleId: 3, solvedIds: [1, 2, 3] }).includes('beta-master'));
+});
+
+test('allPuzzles needs every scored puzzle', () => {
+  assert.ok(!earned({ puzzleId: 5, solvedIds: [1, 2, 4, 5] }).includes('completionist'));
+  assert.ok(earned({ puzzleId: 5, solvedIds: [1, 2, 3, 4, 5] }).includes('completionist'));
+});
+
+test('puzzle, lightning and solveCount rules', () => {
+  assert.ok(earned({ puzzleId: 4, solvedIds: [4] }).includes('finder'));
+  assert.ok(earned({ puzzleId: 1, solvedIds: [1], minutesSinceUnlock: 2 }).includes('lightning'));
+  assert.ok(!earned({ puzzleId: 1, solvedIds: [1], minutesSinceUnlock: 3 }).includes('lightning'));
+  assert.ok(!earned({ puzzleId: 1, solvedIds: [1], minutesSinceUnlock: null }).includes('lightning'));
+  assert.ok(earned({ puzzleId: 4, solvedIds: [1, 2, 4] }).includes('three'));
+});
+
+test('timeOfDay wraps past midnight', () => {
+  assert.ok(earned({ puzzleId: 1, solvedIds: [1], hour: 23 }).includes('night-owl'));
+  assert.ok(earned({ puzzleId: 1, solvedIds: [1], hour: 2 }).includes('night-owl'));
+  assert.ok(!earned({ puzzleId: 1, solvedIds: [1], hour: 3 }).includes('night-owl'));
+  assert.ok(!earned({ puzzleId: 1, solvedIds: [1], hour: 21 }).includes('night-owl'));
+});
+
+test('badges the player already has are skipped', () => {
+  assert.ok(!earned({ puzzleId: 4, solvedIds: [4] }, ['finder']).includes('finder'));
+});
@@ -0,0 +1,91 @@
+/**
+ * File Purpose: Tests for answer matching
+ * High-Level Summary: Free-text answers with aliases, typo tolerance and near-miss feedback, and the typed
+ *                     answers: number, choice, sequence and pattern
+ * Dependencies: node:test, ../puzzles.js
+ * Semantic Tags: tests, answers, aliases, typos
+ * Version: 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const puzzles = require('../puzzles');
+
+test('editDistance counts insertions, deletions and substitutions', () => {
+  assert.strictEqual(puzzles.editDistance('', ''), 0);
+  assert.strictEqual(puzzles.editDistance('ABC', ''), 3);
+  assert.strictEqual(puzzles.editDistance('KITTEN', 'SITTING'), 3);
+  assert.strictEqual(puzzles.editDistance('FALCON', 'FALCON'), 0);
+});
+
+test('normalizeAnswer ignores case, spaces and punctuation', () => {
+  assert.strictEqual(puzzles.normalizeAnswer('  New-Year\'s eve! '), 'NEWYEARSEVE');
+});
+
+test('text answers accept the answer and any alias', () => {
+  const puzzle = { answer: 'Champagne', aliases: ['bubbly', 'Sparkling wine'] };
+  assert.deepStrictEqual(puzzles.matchAnswer(puzzle, 'champagne'), { correct: true, close: false });
+  assert.deepStrictEqual(puzzles.matchAnswer(puzzle, 'BUBBLY'), { correct: true, close: false });
+  assert.deepStrictEqual(puzzles.matchAnswer(puzzle, 'sparkling-wine'), { correct: true, close: false });
+});
+
+test('text answers allow the puzzle\'s typo tolerance', () => {
+  const strict = { answer: 'CHAMPAGNE' };
+  const lenient = { answer: 'CHAMPAGNE', tolerance: 1 };
+  assert.strictEqual(puzzles.matchAnswer(strict, 'CHAMPANGE').correct, false);
+  assert.strictEqual(puzzles.matchAnswer(lenient, 'CHAMPAGN').correct, true);
+  assert.strictEqual(puzzles.matchAnswer(lenient, 'CHAMPANGE').correct, false);
+});
+
+test('a wrong answer within a quarter of the length is a near miss', () => {
+  const puzzle = { answer: 'CHAMPAGNE' };
+  assert.deepStrictEqual(puzzles.matchAnswer(puzzle, 'CHAMPAGNA'), { correct: false, close: true });
+  assert.deepStrictEqual(puzzles.matchAnswer(puzzle, 'CHAMPAN'), { correct: false, close: true });
+  assert.deepStrictEqual(puzzles.matchAnswer(puzzle, 'CHAMP'), { correct: false, close: false });
+  // Short answers still get one letter of slack
+  assert.deepStrictEqual(puzzles.matchAnswer({ answer: 'OWL' }, 'OWN'), { correct: false, close: true });
+});
+
+test('empty and missing answers never match', () => {
+  const puzzle = { answer: 'OWL', tolerance: 3 };
+  assert.deepStrictEqual(puzzles.matchAnswer(puzzle, '  '), { correct: false, close: false });
+  assert.deepStrictEqual(puzzles.matchAnswer(puzzle, undefined), { correct: false, close: false });
+});
+
+test('parseNumber reads digits and English number words', () => {
+  assert.strictEqual(puzzles.parseNumber('1,000'), 1000);
+  assert.strictEqual(puzzles.parseNumber('-2.5'), -2.5);
+  assert.strictEqual(puzzles.parseNumber('thirteen'), 13);
+  assert.strictEqual(puzzles.parseNumber('twenty-one'), 21);
+  assert.strictEqual(puzzles.parseNumber('two thousand and twenty six'), 2026);
+  assert.strictEqual(puzzles.parseNumber('a dozen'), null);
+});
+
+test('number answers match within numericTolerance and are close within 10%', () => {
+  const puzzle = { answerType: 'number', answer: '100', numericTolerance: 2 };
+  assert.strictEqual(puzzles.matchAnswer(puzzle, 'one hundred').correct, true);
+  assert.strictEqual(puzzles.matchAnswer(puzzle, '98').correct, true);
+  assert.deepStrictEqual(puzzles.matchAnswer(puzzle, '110'), { correct: false, close: true });
+  assert.deepStrictEqual(puzzles.matchAnswer(puzzle, '120'), { correct: false, close: false });
+});
+
+test('choice answers must be the listed answer, with no near misses', () => {
+  const puzzle = { answerType: 'choice', answer: 'Red', choices: ['Red', 'Blue', 'Reed'] };
+  assert.deepStrictEqual(puzzles.matchAnswer(puzzle, 'red'), { correct: true, close: false });
+  assert.deepStrictEqual(puzzles.matchAnswer(puzzle, 'Reed'), { correct: false, close: false });
+});
+
+test('sequence answers need every item in order; two swapped is close', () => {
+  const puzzle = { answerType: 'sequence', answer: 'Ace, King, Queen, Jack' };
+  assert.deepStrictEqual(puzzles.matchAnswer(puzzle, ['ace', 'king', 'queen', 'jack']), { correct: true, close: false });
+  assert.deepStrictEqual(puzzles.matchAnswer(puzzle, ['King', 'Ace', 'Queen', 'Jack']), { correct: false, close: true });
+  assert.deepStrictEqual(puzzles.matchAnswer(puzzle, ['Jack', 'Queen', 'King', 'Ace']), { correct: false, close: false });
+  assert.deepStrictEqual(puzzles.matchAnswer(puzzle, ['Ace', 'King', 'Queen']), { correct: false, close: false });
+});
+
+test('pattern answers must match the whole regex, ignoring case', () => {
+  const puzzle = { answerType: 'pattern', answer: 'AB12', pattern: '[A-Z]{2}\\d{2}' };
+  assert.strictEqual(puzzles.matchAnswer(puzzle, ' xy34 ').correct, true);
+  assert.strictEqual(puzzles.matchAnswer(puzzle, 'xy345').correct, false);
+  assert.strictEqual(puzzles.matchAnswer({ ...puzzle, pattern: '[' }, 'xy34').correct, false);
+});
@@ -0,0 +1,107 @@
+/**
+ * File Purpose: Tests for game-state backup and restore
+ * High-Level Summary: A dry-run plan reports what an import would change and refuses malformed backups;
+ *                     an import replaces the tables it carries and leaves the rest alone
+ * Dependencies: node:test, better-sqlite3, ../db.js, ../events.js, ../pack-loader.js
+ * Semantic Tags: tests, backup, restore, admin
+ * Version: 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Database = require('better-sqlite3');
+const db = require('../db');
+const events = require('../events');
+const packLoader = require('../pack-loader');
+
+const pack = packLoader.loadPack(packLoader.DEFAULT_PACK);
+
+// Run a function against a throwaway in-memory event
+function inScratchEvent(fn) {
+  return events.runInEvent({ slug: 'test', mode: 'coop', pack, db: new Database(':memory:') }, fn);
+}
+
+// A backup of an event with two players and a few solves
+function makeBackup() {
+  return inScratchEvent(() => {
+    const ada = db.createParticipant('Ada');
+    const bob = db.createParticipant('Bob');
+    db.recordSolve(ada.id, 1);
+    db.recordSolve(ada.id, 2);
+    db.recordSolve(bob.id, 1);
+    return db.exportGameState();
+  });
+}
+
+test('planning a backup of the same state finds nothing to change', () => {
+  inScratchEvent(() => {
+    db.createParticipant('Ada');
+    const backup = db.exportGameState();
+    const { errors, tables } = db.planGameStateImport(backup);
+
+    assert.deepStrictEqual(errors, []);
+    for (const plan of Object.values(tables)) {
+      assert.deepStrictEqual([plan.added, plan.removed, plan.changed], [[], [], []]);
+    }
+  });
+});
+
+test('planning reports added, removed and changed rows without writing', () => {
+  const backup = makeBackup();
+  inScratchEvent(() => {
+    const carol = db.createParticipant('Carol');
+    const { errors, tables } = db.planGameStateImport(backup);
+
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(tables.participants.current, 1);
+    assert.strictEqual(tables.participants.incoming, 2);
+    assert.strictEqual(tables.participants.added.length, 2);
+    assert.deepStrictEqual(tables.participants.removed, [carol.id]);
+    assert.strictEqual(tables.solves.added.length, 3);
+    assert.strictEqual(db.getAllParticipants().length, 1);
+  });
+
+  inScratchEvent(() => {
+    db.importGameState(backup);
+    const renamed = JSON.parse(JSON.stringify(backup));
+    renamed.participants[0].nickname = 'Ada Lovelace';
+    assert.deepStrictEqual(db.planGameStateImport(renamed).tables.participants.changed, [renamed.participants[0].id]);
+  });
+});
+
+test('planning refuses rows that are not objects, unknown columns and missing keys', () => {
+  inScratchEvent(() => {
+    const { errors } = db.planGameStateImport({
+      teams: 'nope',
+      participants: [{ id: 'x', nickname: 'X', shoe_size: 9 }],
+      solves: [{ participant_id: 'x' }]
+    });
+    assert.deepStrictEqual(errors, [
+      'teams: expected a list of rows',
+      'participants: unknown column shoe_size',
+      'solves: some rows have no puzzle_id'
+    ]);
+  });
+});
+
+test('tables missing from a backup are reported and left alone', () => {
+  inScratchEvent(() => {
+    db.createParticipant('Ada');
+    const { tables } = db.planGameStateImport({ solves: [] });
+    assert.strictEqual(tables.participants.incoming, null);
+
+    db.importGameState({ solves: [] });
+    assert.strictEqual(db.getAllParticipants().length, 1);
+  });
+});
+
+test('importing replaces the state with the backup exactly', () => {
+  const backup = makeBackup();
+  inScratchEvent(() => {
+    db.createParticipant('Carol');
+    db.importGameState(backup);
+
+    assert.deepStrictEqual(db.exportGameState(), backup);
+    assert.deepStrictEqual(db.getAllParticipants().map(p => p.nickname).sort(), ['Ada', 'Bob']);
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * File Purpose: Tests for branch structure read from the pack
+ * High-Level Summary: Step, puzzle, digit and threshold counts come from the active pack, with defaults
+ *                     when the pack leaves them out; each branch ordering mode opens and completes puzzles
+ *                     its own way
+ * Dependencies: node:test, ../puzzles.js, ../events.js
+ * Semantic Tags: tests, branches, packs, thresholds, modes
+ * Version: 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const puzzles = require('../puzzles');
+const events = require('../events');
+
+// A pack with `branchCount` scored branches of `steps` puzzles and a bonus branch X
+function makePack(branchCount, steps, meta = {}) {
+  const branchOrder = 'ABCDEFG'.slice(0, branchCount).split('');
+  const branches = { X: { name: 'Bonus', digits: [] } };
+  const list = [{ id: 999, branch: 'X', step: 1, answer: 'BONUS' }];
+  let id = 1;
+  for (const branch of branchOrder) {
+    branches[branch] = { name: branch, digits: [1, 2] };
+    for (let step = 1; step <= steps; step++) list.push({ id: id++, branch, step, answer: 'X' });
+  }
+  return { id: 'test', meta: { permutationKey: '1', finalPhrase: [], ...meta }, branchOrder, branches, puzzles: list };
+}
+
+function inPack(pack, fn) {
+  return events.runInEvent({ slug: 'test', mode: 'coop', pack }, fn);
+}
+
+test('step and puzzle counts follow the pack, leaving out bonus branches', () => {
+  inPack(makePack(3, 4), () => {
+    assert.strictEqual(puzzles.getStepCount('A'), 4);
+    assert.strictEqual(puzzles.getTotalPuzzles(), 12);
+    assert.ok(puzzles.getScoredPuzzles().every(p => p.branch !== 'X'));
+    assert.strictEqual(puzzles.getDigitCount(), 6);
+  });
+});
+
+test('thresholds default to half the branches for the hub and all of them for the vault', () => {
+  inPack(makePack(5, 1), () => {
+    assert.strictEqual(puzzles.getHubThreshold(), 3);
+    assert.strictEqual(puzzles.getVaultThreshold(), 5);
+    assert.strictEqual(puzzles.getVaultCodeLength(), 6);
+  });
+});
+
+test('a pack can set its own thresholds and code length', () => {
+  const pack = makePack(4, 1, { hubThreshold: 1, vaultThreshold: 3, vaultCodeLength: 4 });
+  inPack(pack, () => {
+    assert.strictEqual(puzzles.getHubThreshold(), 1);
+    assert.strictEqual(puzzles.getVaultThreshold(), 3);
+    assert.strictEqual(puzzles.getVaultCodeLength(), 4);
+  });
+  // Explicit packs are read without an event in scope (as the validator does)
+  assert.strictEqual(puzzles.getVaultThreshold(pack), 3);
+  assert.strictEqual(puzzles.getDigitCount(pack), 8);
+});
+
+// Branch A in the given mode, with puzzles 1-3 as steps 1-3
+function modePack(mode, extra = {}) {
+  const pack = makePack(1, 3);
+  pack.branches.A = { ...pack.branches.A, mode, ...extra };
+  return pack;
+}
+
+const byId = id => puzzles.getPuzzle(id);
+
+test('sequential branches open one step at a time and complete on the last step', () => {
+  inPack(makePack(1, 3), () => {
+    assert.strictEqual(puzzles.getBranchMode('A'), 'sequential');
+    assert.strictEqual(puzzles.isPuzzleUnlocked(byId(1), []), true);
+    assert.strictEqual(puzzles.isPuzzleUnlocked(byId(2), []), false);
+    assert.strictEqual(puzzles.isPuzzleUnlocked(byId(2), [1]), true);
+    assert.deepStrictEqual(puzzles.getUnlockedBy(byId(1), [1]).map(p => p.id), [2]);
+    assert.strictEqual(puzzles.isBranchComplete('A', [1, 2]), false);
+    assert.strictEqual(puzzles.isBranchComplete('A', [3]), true);
+  });
+});
+
+test('unordered branches open everything and need every puzzle', () => {
+  inPack(modePack('unordered'), () => {
+    assert.ok([1, 2, 3].every(id => puzzles.isPuzzleUnlocked(byId(id), [])));
+    assert.strictEqual(puzzles.isBranchComplete('A', [1, 3]), false);
+    assert.strictEqual(puzzles.isBranchComplete('A', [3, 1, 2]), true);
+  });
+});
+
+test('any-N branches complete once enough puzzles are solved', () => {
+  inPack(modePack('any', { required: 2 }), () => {
+    assert.strictEqual(puzzles.getBranchGoal('A'), 2);
+    assert.strictEqual(puzzles.isBranchComplete('A', [3]), false);
+    assert.strictEqual(puzzles.isBranchComplete('A', [1, 3]), true);
+  });
+  // A required count above the branch size is capped at the size
+  inPack(modePack('any', { required: 9 }), () => assert.strictEqual(puzzles.getBranchGoal('A'), 3));
+});
+
+test('graph branches open a puzzle once everything it requires is solved', () => {
+  const pack = modePack('graph');
+  pack.puzzles.find(p => p.id === 3).requires = [1, 2];
+  inPack(pack, () => {
+    assert.ok(puzzles.isPuzzleUnlocked(byId(1), []) && puzzles.isPuzzleUnlocked(byId(2), []));
+    assert.strictEqual(puzzles.isPuzzleUnlocked(byId(3), [1]), false);
+    assert.deepStrictEqual(puzzles.getUnlockedBy(byId(1), [1]).map(p => p.id), []);
+    assert.deepStrictEqual(puzzles.getUnlockedBy(byId(2), [1, 2]).map(p => p.id), [3]);
+    assert.strictEqual(puzzles.isBranchComplete('A', [1, 2, 3]), true);
+  });
+});
+
+test('bonus branches never count as complete', () => {
+  inPack(makePack(1, 1), () => assert.strictEqual(puzzles.isBranchComplete('X', [999]), false));
+});
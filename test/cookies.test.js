@@ -0,0 +1,69 @@
+/**
+ * File Purpose: Tests for signed participant cookies
+ * High-Level Summary: Cookies signed with any listed secret are accepted so secrets can be rotated, forged
+ *                     ones are not, and an unsigned cookie from before signing is honoured only until the
+ *                     player is given a signed one
+ * Dependencies: node:test, crypto, better-sqlite3, cookie-parser, ../db.js, ../events.js, ../pack-loader.js
+ * Semantic Tags: tests, cookies, security, sessions
+ * Version: 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+const cookieParser = require('cookie-parser');
+const db = require('../db');
+const events = require('../events');
+const packLoader = require('../pack-loader');
+
+// Run a function against a throwaway in-memory event
+function inScratchEvent(fn) {
+  const event = { slug: 'test', mode: 'coop', pack: packLoader.loadPack(packLoader.DEFAULT_PACK), db: new Database(':memory:') };
+  return events.runInEvent(event, fn);
+}
+
+// A cookie value as res.cookie(..., { signed: true }) writes it
+function sign(value, secret) {
+  return `s:${value}.${crypto.createHmac('sha256', secret).update(value).digest('base64').replace(/=+$/, '')}`;
+}
+
+test('a cookie signed with the current secret is accepted', () => {
+  assert.strictEqual(cookieParser.signedCookie(sign('abc', 'new'), ['new', 'old']), 'abc');
+});
+
+test('a cookie signed with an older listed secret is still accepted while rotating', () => {
+  assert.strictEqual(cookieParser.signedCookie(sign('abc', 'old'), ['new', 'old']), 'abc');
+  // Once the old secret is dropped from the list, its cookies stop working
+  assert.strictEqual(cookieParser.signedCookie(sign('abc', 'old'), ['new']), false);
+});
+
+test('forged and tampered cookies are rejected', () => {
+  assert.strictEqual(cookieParser.signedCookie(sign('abc', 'guess'), ['new', 'old']), false);
+  assert.strictEqual(cookieParser.signedCookie(sign('abc', 'new').replace('abc', 'abd'), ['new']), false);
+});
+
+test('an unsigned cookie from before signing is honoured until the player gets a signed one', () => {
+  inScratchEvent(() => {
+    // A player from before cookies were signed, as restored from an old backup
+    const id = crypto.randomUUID();
+    db.importGameState({ participants: [{ id, nickname: 'Ada' }] });
+    assert.strictEqual(db.isLegacySession(id), true);
+
+    db.markSessionSigned(id);
+    assert.strictEqual(db.isLegacySession(id), false);
+  });
+});
+
+test('players who joined since signing never count as unsigned sessions', () => {
+  inScratchEvent(() => {
+    assert.strictEqual(db.isLegacySession(db.createParticipant('Bob').id), false);
+  });
+});
+
+test('only ids this event generated count as unsigned sessions', () => {
+  inScratchEvent(() => {
+    assert.strictEqual(db.isLegacySession('admin'), false);
+    assert.strictEqual(db.isLegacySession(crypto.randomUUID()), false);
+  });
+});
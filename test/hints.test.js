@@ -0,0 +1,45 @@
+/**
+ * File Purpose: Tests for puzzle hints
+ * High-Level Summary: Hints come in pack order with their unlock delay and penalty, falling back to the
+ *                     pack's default penalty
+ * Dependencies: node:test, ../puzzles.js, ../events.js
+ * Semantic Tags: tests, hints
+ * Version: 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const puzzles = require('../puzzles');
+const events = require('../events');
+
+function withMeta(meta, fn) {
+  const pack = { id: 'test', meta: { permutationKey: '1', finalPhrase: [], ...meta }, branchOrder: [], branches: {}, puzzles: [] };
+  return events.runInEvent({ slug: 'test', mode: 'coop', pack }, fn);
+}
+
+const PUZZLE = {
+  id: 1,
+  hints: [
+    { text: 'Look up' },
+    { text: 'Under the stairs', afterMinutes: 10, penalty: 2 }
+  ]
+};
+
+test('hints keep pack order and fill in a zero delay and the default penalty', () => {
+  withMeta({}, () => {
+    assert.deepStrictEqual(puzzles.getHints(PUZZLE), [
+      { text: 'Look up', afterMinutes: 0, penalty: 1 },
+      { text: 'Under the stairs', afterMinutes: 10, penalty: 2 }
+    ]);
+  });
+});
+
+test('a pack can change the default hint penalty', () => {
+  withMeta({ hintPenalty: 0.5 }, () => {
+    assert.deepStrictEqual(puzzles.getHints(PUZZLE).map(h => h.penalty), [0.5, 2]);
+  });
+});
+
+test('puzzles without hints have none', () => {
+  withMeta({}, () => assert.deepStrictEqual(puzzles.getHints({ id: 2 }), []));
+});
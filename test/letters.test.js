@@ -0,0 +1,62 @@
+/**
+ * File Purpose: Tests for collected letters and the anagram board
+ * High-Level Summary: Solves earn their puzzle's letters per branch, and the final step of a branch shows
+ *                     the letters earned so far plus its own as anagram tiles
+ * Dependencies: node:test, ../puzzles.js, ../events.js
+ * Semantic Tags: tests, letters, anagram
+ * Version: 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const puzzles = require('../puzzles');
+const events = require('../events');
+
+const PACK = {
+  id: 'test',
+  meta: { permutationKey: '1', finalPhrase: [] },
+  branchOrder: ['A', 'B', 'C'],
+  branches: {
+    A: { name: 'Alpha', digits: [] },
+    B: { name: 'Beta', digits: [] },
+    C: { name: 'Gamma', digits: [], mode: 'any', required: 1 }
+  },
+  puzzles: [
+    { id: 1, branch: 'A', step: 1, answer: 'X', collectLetters: ['O'] },
+    { id: 2, branch: 'A', step: 2, answer: 'X', collectLetters: ['W'] },
+    { id: 3, branch: 'A', step: 3, answer: 'OWL', collectLetters: ['L'] },
+    { id: 4, branch: 'B', step: 1, answer: 'X' },
+    { id: 5, branch: 'B', step: 2, answer: 'X' },
+    { id: 6, branch: 'C', step: 1, answer: 'X', collectLetters: ['Z'] },
+    { id: 7, branch: 'C', step: 2, answer: 'X' }
+  ]
+};
+
+function inPack(fn) {
+  return events.runInEvent({ slug: 'test', mode: 'coop', pack: PACK }, fn);
+}
+
+test('the inventory lists earned letters per letter-collecting branch', () => {
+  inPack(() => {
+    assert.deepStrictEqual(puzzles.getLetterInventory([2, 4, 6]), [
+      { branch: 'A', letters: [{ letter: 'W', puzzleId: 2 }], total: 3 },
+      { branch: 'C', letters: [{ letter: 'Z', puzzleId: 6 }], total: 1 }
+    ]);
+    assert.deepStrictEqual(puzzles.getLetterInventory([]).map(e => e.letters), [[], []]);
+  });
+});
+
+test('the final step\'s board has the earned letters, its own and a count of the missing', () => {
+  inPack(() => {
+    assert.deepStrictEqual(puzzles.getAnagramBoard(puzzles.getPuzzle(3), [1]), { tiles: ['O', 'L'], missing: 1 });
+    assert.deepStrictEqual(puzzles.getAnagramBoard(puzzles.getPuzzle(3), [1, 2]), { tiles: ['O', 'W', 'L'], missing: 0 });
+  });
+});
+
+test('only the final step of a sequential letter branch has a board', () => {
+  inPack(() => {
+    assert.strictEqual(puzzles.getAnagramBoard(puzzles.getPuzzle(2), [1]), null);
+    assert.strictEqual(puzzles.getAnagramBoard(puzzles.getPuzzle(5), [4]), null);
+    assert.strictEqual(puzzles.getAnagramBoard(puzzles.getPuzzle(7), [6]), null);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * File Purpose: Tests for live updates
+ * High-Level Summary: Published events reach the event's open streams, scoped events skip other scopes,
+ *                     and closed streams are dropped
+ * Dependencies: node:test, node:events, ../live.js
+ * Semantic Tags: tests, live, sse
+ * Version: 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('node:events');
+const live = require('../live');
+
+// A request and a response that records what was written
+function openStream(slug, scope) {
+  const req = new EventEmitter();
+  const res = { written: [], set() {}, flushHeaders() {}, write(chunk) { this.written.push(chunk); } };
+  live.subscribe(slug, req, res, scope);
+  return { req, res, events: () => res.written.filter(c => c.startsWith('event:')) };
+}
+
+test('scoped events reach their own scope and scope-less streams only', () => {
+  const tv = openStream('live-test');
+  const mine = openStream('live-test', 'T1');
+  const theirs = openStream('live-test', 'T2');
+  const elsewhere = openStream('other-event');
+
+  live.publish('live-test', 'broadcast', { message: 'Hi' });
+  live.publish('live-test', 'solve', { puzzleId: 3 }, 'T1');
+
+  assert.deepStrictEqual(tv.events(), ['event: broadcast\ndata: {"message":"Hi"}\n\n', 'event: solve\ndata: {"puzzleId":3}\n\n']);
+  assert.strictEqual(mine.events().length, 2);
+  assert.strictEqual(theirs.events().length, 1);
+  assert.deepStrictEqual(elsewhere.events(), []);
+
+  for (const stream of [tv, mine, theirs, elsewhere]) stream.req.emit('close');
+});
+
+test('closed streams are dropped', () => {
+  const stream = openStream('live-test');
+  assert.strictEqual(live.countSubscribers('live-test'), 1);
+  stream.req.emit('close');
+  assert.strictEqual(live.countSubscribers('live-test'), 0);
+  live.publish('live-test', 'hub-unlock');
+  assert.deepStrictEqual(stream.events(), []);
+});
+
+test('unknown event types are refused', () => {
+  assert.throws(() => live.publish('live-test', 'party'), /must be one of: solve/);
+});
@@ -0,0 +1,43 @@
+/**
+ * File Purpose: Tests for loading puzzle packs
+ * High-Level Summary: Packs load from packs/<name>.json by name, and the schema check names each bad field
+ * Dependencies: node:test, ../pack-loader.js
+ * Semantic Tags: tests, packs, schema
+ * Version: 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const packLoader = require('../pack-loader');
+
+test('the default pack loads and passes the schema', () => {
+  const pack = packLoader.loadPack();
+  assert.strictEqual(pack.id, packLoader.DEFAULT_PACK);
+  assert.ok(packLoader.listPacks().includes(packLoader.DEFAULT_PACK));
+  const { id, ...data } = pack;
+  assert.deepStrictEqual(packLoader.validatePackSchema(data), []);
+});
+
+test('an unknown pack names the packs that exist', () => {
+  assert.throws(() => packLoader.loadPack('no-such-pack'), new RegExp(`not found \\(available: .*${packLoader.DEFAULT_PACK}`));
+});
+
+test('pack names cannot reach outside the packs directory', () => {
+  assert.throws(() => packLoader.loadPack('../package'), /"\.\.\/package" not found/);
+});
+
+test('the schema check reports missing fields and wrong types with their path', () => {
+  const { id, ...pack } = packLoader.loadPack();
+  const broken = JSON.parse(JSON.stringify(pack));
+  delete broken.puzzles[0].answer;
+  broken.puzzles[1].step = 'two';
+  broken.branches[broken.branchOrder[0]].digits = [1, 'x'];
+  broken.meta.permutationKey = 12345678;
+
+  assert.deepStrictEqual(packLoader.validatePackSchema(broken).sort(), [
+    `pack.branches.${broken.branchOrder[0]}.digits[1]: expected integer`,
+    'pack.meta.permutationKey: expected string',
+    'pack.puzzles[0].answer: is required',
+    'pack.puzzles[1].step: expected integer'
+  ]);
+});
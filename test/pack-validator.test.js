@@ -0,0 +1,87 @@
+/**
+ * File Purpose: Tests for the puzzle pack validator
+ * High-Level Summary: The shipped pack validates cleanly, and broken packs are reported by check name
+ * Dependencies: node:test, ../pack-validator.js, ../pack-loader.js, ../achievements.js
+ * Semantic Tags: tests, packs, validation
+ * Version: 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const packValidator = require('../pack-validator');
+const packLoader = require('../pack-loader');
+const achievements = require('../achievements');
+
+const PACK = packLoader.loadPack();
+
+// A copy of the shipped pack with some changes
+function breakPack(change) {
+  const pack = JSON.parse(JSON.stringify(PACK));
+  change(pack);
+  return pack;
+}
+
+// Error messages for one check
+function errorsFor(pack, check, options = {}) {
+  return packValidator.validatePack(pack, options).errors.filter(e => e.check === check).map(e => e.message);
+}
+
+test('the shipped pack has no errors and derives the default vault code', () => {
+  const { errors, derived } = packValidator.validatePack(PACK, { vaultCode: '194082', storedPermutationKey: PACK.meta.permutationKey });
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(derived.vaultCode, '194082');
+});
+
+test('schema errors stop the other checks', () => {
+  const result = packValidator.validatePack(breakPack(pack => { delete pack.branchOrder; }));
+  assert.deepStrictEqual(result.errors.map(e => e.check), ['schema']);
+  assert.strictEqual(result.derived, null);
+});
+
+test('missing and doubled steps and reused ids are errors', () => {
+  const [first, second] = PACK.puzzles.filter(p => p.branch === 'L');
+  const pack = breakPack(p => {
+    p.puzzles.find(x => x.id === second.id).step = first.step;
+    p.puzzles.push({ ...p.puzzles[0] });
+  });
+  assert.ok(errorsFor(pack, 'steps').includes(`Branch L is missing step ${second.step}`));
+  assert.ok(errorsFor(pack, 'ids').includes(`Puzzle id ${PACK.puzzles[0].id} is used 2 times`));
+});
+
+test('the permutation must use every position once and match the digits', () => {
+  const pack = breakPack(p => { p.meta.permutationKey = p.meta.permutationKey.replace(/^./, p.meta.permutationKey[1]); });
+  assert.strictEqual(errorsFor(pack, 'permutation').length, 1);
+
+  const short = breakPack(p => { p.branches.L.digits.push(7); });
+  assert.match(errorsFor(short, 'digits')[0], /Branch digits total 9, expected 8/);
+});
+
+test('the vault code and stored permutation key are checked for drift', () => {
+  assert.deepStrictEqual(errorsFor(PACK, 'vault-code', { vaultCode: '000000' }),
+    ['VAULT_CODE 000000 differs from the computed code 194082']);
+  assert.strictEqual(errorsFor(PACK, 'permutation', { storedPermutationKey: '12345678' }).length, 1);
+  assert.ok(packValidator.validatePack(PACK).warnings.some(w => w.check === 'vault-code'));
+});
+
+test('graph branches need an entry puzzle and no cycles', () => {
+  const pack = breakPack(p => {
+    p.branches.L.mode = 'graph';
+    const ids = p.puzzles.filter(x => x.branch === 'L').map(x => x.id);
+    p.puzzles.filter(x => x.branch === 'L').forEach((x, i) => { x.requires = [ids[(i + 1) % ids.length]]; });
+  });
+  assert.deepStrictEqual(errorsFor(pack, 'modes'), [
+    'Branch L has no entry puzzle (every puzzle requires another)',
+    'Branch L requires form a cycle'
+  ]);
+});
+
+test('achievements must use a known rule with the fields it reads', () => {
+  const pack = breakPack(p => {
+    p.achievements.push({ id: 'odd', name: 'Odd', icon: '?', description: '', rule: 'luck' });
+    p.achievements.push({ id: 'quick', name: 'Quick', icon: '?', description: '', rule: 'lightning' });
+  });
+  assert.deepStrictEqual(errorsFor(pack, 'achievements'), [
+    `Achievement "odd" has unknown rule "luck" (expected ${achievements.RULE_NAMES.join(', ')})`,
+    'Achievement "quick" needs minutes above 0'
+  ]);
+});
@@ -0,0 +1,65 @@
+/**
+ * File Purpose: Tests for the raffle draw
+ * High-Level Summary: Entries are weighted and ordered so a draw can be re-run from its seed, and the
+ *                     winner is the holder of the drawn ticket
+ * Dependencies: node:test, ../raffle.js
+ * Semantic Tags: tests, raffle, random, audit
+ * Version: 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const raffle = require('../raffle');
+
+const PLAYERS = [
+  { id: 'c', nickname: 'Cy', solves: 1, points: 300 },
+  { id: 'a', nickname: 'Ada', solves: 3, points: 100 },
+  { id: 'b', nickname: 'Bob', solves: 0, points: 0 },
+  { id: 'd', nickname: 'Di', solves: 2, points: 50 }
+];
+
+test('entries get a ticket per solve or point, sorted by id, without empty or excluded players', () => {
+  assert.deepStrictEqual(raffle.buildEntries(PLAYERS, 'solves', ['d']), [
+    { id: 'a', nickname: 'Ada', tickets: 3 },
+    { id: 'c', nickname: 'Cy', tickets: 1 }
+  ]);
+  assert.deepStrictEqual(raffle.buildEntries(PLAYERS, 'points').map(e => e.tickets), [100, 300, 50]);
+  assert.throws(() => raffle.buildEntries(PLAYERS, 'luck'), /Weighting must be one of/);
+});
+
+test('the same seed and entries always draw the same ticket', () => {
+  const entries = raffle.buildEntries(PLAYERS, 'points');
+  for (const seed of ['a1b2c3d4', 'party', '']) {
+    assert.deepStrictEqual(raffle.drawWinner(entries, seed), raffle.drawWinner(entries, seed));
+  }
+  // Player order in the leaderboard doesn't matter once entries are built
+  const reordered = raffle.buildEntries(PLAYERS.slice().reverse(), 'points');
+  assert.deepStrictEqual(raffle.drawWinner(reordered, 'party'), raffle.drawWinner(entries, 'party'));
+});
+
+test('the winner holds the drawn ticket', () => {
+  const entries = raffle.buildEntries(PLAYERS, 'solves');
+  for (let i = 0; i < 50; i++) {
+    const { winner, ticket, totalTickets } = raffle.drawWinner(entries, `seed-${i}`);
+    assert.strictEqual(totalTickets, 6);
+    assert.ok(ticket >= 0 && ticket < 6);
+    // Tickets 0-2 are Ada's, 3 is Cy's, 4-5 are Di's
+    assert.strictEqual(winner.id, ticket < 3 ? 'a' : ticket < 4 ? 'c' : 'd');
+  }
+});
+
+test('there is no winner without tickets', () => {
+  assert.strictEqual(raffle.drawWinner([], 'seed'), null);
+  assert.strictEqual(raffle.drawWinner(raffle.buildEntries(PLAYERS, 'solves', ['a', 'c', 'd']), 'seed'), null);
+});
+
+test('the seeded generator repeats and stays in [0, 1)', () => {
+  const first = raffle.createRng('seed');
+  const second = raffle.createRng('seed');
+  for (let i = 0; i < 100; i++) {
+    const value = first();
+    assert.strictEqual(value, second());
+    assert.ok(value >= 0 && value < 1);
+  }
+  assert.notStrictEqual(raffle.createRng('seed')(), raffle.createRng('other')());
+});
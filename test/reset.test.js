@@ -0,0 +1,32 @@
+/**
+ * File Purpose: Tests for resetting an event's game data
+ * High-Level Summary: A reset clears progress but keeps the admin's settings
+ * Dependencies: node:test, better-sqlite3, ../db.js, ../events.js, ../pack-loader.js
+ * Semantic Tags: tests, reset, admin, moderation
+ * Version: 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Database = require('better-sqlite3');
+const db = require('../db');
+const events = require('../events');
+const packLoader = require('../pack-loader');
+
+// Run a function against a throwaway in-memory event
+function inScratchEvent(fn) {
+  const event = { slug: 'test', mode: 'coop', pack: packLoader.loadPack(packLoader.DEFAULT_PACK), db: new Database(':memory:') };
+  return events.runInEvent(event, fn);
+}
+
+test('resetAllData keeps the blocked-word list', () => {
+  inScratchEvent(() => {
+    db.setGlobalValue('blocked_words', 'badword\nworse');
+    db.createParticipant('Tester');
+
+    db.resetAllData();
+
+    assert.strictEqual(db.getGlobalValue('blocked_words'), 'badword\nworse');
+    assert.strictEqual(db.getAllParticipants().length, 0);
+  });
+});
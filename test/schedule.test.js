@@ -0,0 +1,73 @@
+/**
+ * File Purpose: Tests for event schedules
+ * High-Level Summary: The countdown target is worked out in the event's timezone, celebrates for a while
+ *                     once it passes and then rolls over to next year
+ * Dependencies: node:test, ../schedule.js
+ * Semantic Tags: tests, schedule, countdown, timezone
+ * Version: 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const schedule = require('../schedule');
+
+const at = iso => Date.parse(iso);
+
+test('the default event counts down to midnight on New Year\'s Day, US Central', () => {
+  const s = schedule.getSchedule({}, at('2025-12-31T12:00:00Z'));
+  assert.strictEqual(s.timezone, 'America/Chicago');
+  assert.strictEqual(s.target, at('2026-01-01T06:00:00Z'));
+  assert.strictEqual(s.year, 2026);
+  assert.strictEqual(s.secsRemaining, 18 * 60 * 60);
+  assert.strictEqual(s.celebrating, false);
+  assert.strictEqual(s.celebration, 'HAPPY NEW YEAR 2026!');
+});
+
+test('after the target it celebrates for 12 hours, then counts down to next year', () => {
+  const celebrating = schedule.getSchedule({}, at('2026-01-01T07:00:00Z'));
+  assert.strictEqual(celebrating.year, 2026);
+  assert.strictEqual(celebrating.celebrating, true);
+  assert.strictEqual(celebrating.secsRemaining, -60 * 60);
+
+  const next = schedule.getSchedule({}, at('2026-01-01T18:01:00Z'));
+  assert.strictEqual(next.year, 2027);
+  assert.strictEqual(next.target, at('2027-01-01T06:00:00Z'));
+  assert.strictEqual(next.celebrating, false);
+});
+
+test('a late-December target still celebrates after the year turns', () => {
+  const event = { timezone: 'UTC', target_at: '12-31 20:00', celebration_text: 'Party {year}' };
+  const s = schedule.getSchedule(event, at('2026-01-01T01:00:00Z'));
+  assert.strictEqual(s.year, 2025);
+  assert.strictEqual(s.celebrating, true);
+  assert.strictEqual(s.celebration, 'Party 2025');
+});
+
+test('targets follow the event\'s timezone, daylight saving included', () => {
+  const london = schedule.getSchedule({ timezone: 'Europe/London' }, at('2025-12-31T12:00:00Z'));
+  assert.strictEqual(london.target, at('2026-01-01T00:00:00Z'));
+
+  const kolkata = schedule.getSchedule({ timezone: 'Asia/Kolkata' }, at('2025-12-31T12:00:00Z'));
+  assert.strictEqual(kolkata.target, at('2025-12-31T18:30:00Z'));
+
+  // Central Daylight Time is UTC-5
+  const july = schedule.getSchedule({ target_at: '07-04 21:00' }, at('2026-06-01T00:00:00Z'));
+  assert.strictEqual(july.target, at('2026-07-05T02:00:00Z'));
+});
+
+test('getLocalHour is the hour in the event\'s timezone', () => {
+  assert.strictEqual(schedule.getLocalHour({}, at('2026-01-01T06:30:00Z')), 0);
+  assert.strictEqual(schedule.getLocalHour({ timezone: 'Asia/Kolkata' }, at('2026-01-01T00:00:00Z')), 5);
+});
+
+test('parseTarget accepts real MM-DD HH:MM times only', () => {
+  assert.deepStrictEqual(schedule.parseTarget(' 02-29 23:59 '), { month: 2, day: 29, hour: 23, minute: 59 });
+  for (const bad of ['13-01 00:00', '02-30 00:00', '01-01 24:00', '1-1 0:00', 'midnight']) {
+    assert.throws(() => schedule.parseTarget(bad), /MM-DD HH:MM/, bad);
+  }
+});
+
+test('checkTimezone refuses names the runtime doesn\'t know', () => {
+  assert.doesNotThrow(() => schedule.checkTimezone('Pacific/Auckland'));
+  assert.throws(() => schedule.checkTimezone('Mars/Olympus_Mons'), /Unknown timezone/);
+});
@@ -0,0 +1,55 @@
+/**
+ * File Purpose: Tests for the points model
+ * High-Level Summary: Solve points decay from the step unlocking down to a floor, with a first-solve bonus
+ *                     and hint and wrong-answer penalties; packs can override every number
+ * Dependencies: node:test, ../puzzles.js, ../events.js
+ * Semantic Tags: tests, scoring, points
+ * Version: 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const puzzles = require('../puzzles');
+const events = require('../events');
+
+// Run a function in a throwaway event whose pack has the given meta
+function withMeta(meta, fn) {
+  const pack = { id: 'test', meta: { permutationKey: '1', finalPhrase: [], ...meta }, branchOrder: [], branches: {}, puzzles: [] };
+  return events.runInEvent({ slug: 'test', mode: 'coop', pack }, fn);
+}
+
+const solve = (fields = {}) => ({ isFirst: false, minutesSinceUnlock: 0, hintCost: 0, wrongAnswers: 0, ...fields });
+
+test('points decay a point a minute from the step unlocking, down to the floor', () => {
+  withMeta({}, () => {
+    assert.strictEqual(puzzles.scoreSolve(solve()), 100);
+    assert.strictEqual(puzzles.scoreSolve(solve({ minutesSinceUnlock: 30.9 })), 70);
+    assert.strictEqual(puzzles.scoreSolve(solve({ minutesSinceUnlock: 500 })), 25);
+    assert.strictEqual(puzzles.scoreSolve(solve({ minutesSinceUnlock: -5 })), 100);
+  });
+});
+
+test('the first solve earns a bonus; hints and wrong answers cost points', () => {
+  withMeta({}, () => {
+    assert.strictEqual(puzzles.scoreSolve(solve({ isFirst: true })), 150);
+    assert.strictEqual(puzzles.scoreSolve(solve({ hintCost: 20, wrongAnswers: 3 })), 65);
+  });
+});
+
+test('a solve never scores below zero', () => {
+  withMeta({}, () => {
+    assert.strictEqual(puzzles.scoreSolve(solve({ minutesSinceUnlock: 500, wrongAnswers: 40 })), 0);
+  });
+});
+
+test('a pack can override the points model', () => {
+  withMeta({ scoring: { solvePoints: 10, minSolvePoints: 5, decayPerMinute: 0, firstSolveBonus: 0, wrongAnswerPenalty: 1 } }, () => {
+    assert.strictEqual(puzzles.scoreSolve(solve({ isFirst: true, minutesSinceUnlock: 60, wrongAnswers: 2 })), 8);
+  });
+});
+
+test('hints cost points only when the pack says so', () => {
+  const hint = { penalty: 1.5 };
+  withMeta({}, () => assert.strictEqual(puzzles.getHintCost(hint), 0));
+  withMeta({ hintsCostScore: true }, () => assert.strictEqual(puzzles.getHintCost(hint), 30));
+});
@@ -0,0 +1,38 @@
+/**
+ * File Purpose: Tests for the TV scene playlist
+ * High-Level Summary: Playlists are checked and tidied before saving, and a stored playlist that no
+ *                     longer passes falls back to the default
+ * Dependencies: node:test, ../tv-scenes.js
+ * Semantic Tags: tests, tv, playlist
+ * Version: 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const tvScenes = require('../tv-scenes');
+
+test('durations are rounded and announcements keep only their text', () => {
+  assert.deepStrictEqual(tvScenes.normalizePlaylist([
+    { type: 'leaderboard', seconds: '12.4', title: 'ignored' },
+    { type: 'announcement', seconds: 30, title: '  Pizza  ', text: '' }
+  ]), [
+    { type: 'leaderboard', seconds: 12 },
+    { type: 'announcement', seconds: 30, title: 'Pizza', text: '' }
+  ]);
+});
+
+test('bad playlists name the scene at fault', () => {
+  assert.throws(() => tvScenes.normalizePlaylist([]), /at least one scene/);
+  assert.throws(() => tvScenes.normalizePlaylist([{ type: 'video', seconds: 10 }, { type: 'fireworks', seconds: 10 }]),
+    /Scene 2: type must be one of/);
+  assert.throws(() => tvScenes.normalizePlaylist([{ type: 'video', seconds: 2 }]), /Scene 1: show it for 5-3600 seconds/);
+  assert.throws(() => tvScenes.normalizePlaylist([{ type: 'announcement', seconds: 10, title: ' ' }]),
+    /Scene 1: an announcement needs a title or text/);
+});
+
+test('missing or broken stored playlists fall back to the default', () => {
+  assert.strictEqual(tvScenes.parsePlaylist(null), tvScenes.DEFAULT_PLAYLIST);
+  assert.strictEqual(tvScenes.parsePlaylist('{oops'), tvScenes.DEFAULT_PLAYLIST);
+  assert.strictEqual(tvScenes.parsePlaylist('[{"type":"gone","seconds":10}]'), tvScenes.DEFAULT_PLAYLIST);
+  assert.deepStrictEqual(tvScenes.parsePlaylist('[{"type":"countdown","seconds":20}]'), [{ type: 'countdown', seconds: 20 }]);
+});
@@ -0,0 +1,94 @@
+/**
+ * File Purpose: Tests for the vault code math and designer
+ * High-Level Summary: Permutation keys, designs worked back from a lockbox code, and designs laid over a
+ *                     pack per event
+ * Dependencies: node:test, ../puzzles.js, ../events.js
+ * Semantic Tags: tests, vault, permutation, designer
+ * Version: 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const puzzles = require('../puzzles');
+const events = require('../events');
+
+const PACK = {
+  id: 'test',
+  meta: { permutationKey: '4321', vaultCodeLength: 3, finalPhrase: [] },
+  branchOrder: ['A', 'B'],
+  branches: {
+    A: { name: 'Alpha', digits: [1, 2] },
+    B: { name: 'Beta', digits: [3, 4] }
+  },
+  puzzles: []
+};
+
+function inPack(fn) {
+  return events.runInEvent({ slug: 'test', mode: 'coop', pack: PACK }, fn);
+}
+
+// Repeatable stand-in for Math.random
+function seededRandom(seed) {
+  return () => {
+    seed = (seed * 16807) % 2147483647;
+    return (seed - 1) / 2147483646;
+  };
+}
+
+test('parsePermutation reads run-together and separated keys', () => {
+  assert.deepStrictEqual(puzzles.parsePermutation('2413'), [2, 4, 1, 3]);
+  assert.deepStrictEqual(puzzles.parsePermutation('2,10,1'), [2, 10, 1]);
+  assert.deepStrictEqual(puzzles.parsePermutation('2 10 1'), [2, 10, 1]);
+});
+
+test('applyPermutation refuses keys that do not fit the digits', () => {
+  assert.strictEqual(puzzles.applyPermutation('1234', '4321'), '4321');
+  assert.strictEqual(puzzles.applyPermutation('1234', '321'), null);
+  assert.strictEqual(puzzles.applyPermutation('1234', '5321'), null);
+});
+
+test('computeVaultCode applies the pack key and code length', () => {
+  inPack(() => {
+    assert.deepStrictEqual(puzzles.computeVaultCode(['A', 'B']), { digits: '1234', permuted: '4321', vaultCode: '432' });
+    assert.strictEqual(puzzles.computeVaultCode(['A']).vaultCode, null);
+  });
+});
+
+test('designVaultCode opens with the target code and keeps fixed digits', () => {
+  inPack(() => {
+    for (let seed = 1; seed <= 20; seed++) {
+      const design = puzzles.designVaultCode('907', { A: '9?' }, seededRandom(seed));
+      assert.strictEqual(design.vaultCode, '907');
+      assert.strictEqual(design.branches.A[0], 9);
+      assert.strictEqual(puzzles.applyPermutation(design.digits, design.permutationKey).slice(0, 3), '907');
+    }
+  });
+});
+
+test('designVaultCode rejects codes and fixed digits that cannot work', () => {
+  inPack(() => {
+    assert.throws(() => puzzles.designVaultCode('12'), /3 digits/);
+    assert.throws(() => puzzles.designVaultCode('123', { A: '123' }), /has 2 digits/);
+    assert.throws(() => puzzles.designVaultCode('123', { A: 'x' }), /not a digit/);
+    assert.throws(() => puzzles.designVaultCode('567', { A: '11', B: '11' }), /Not enough free digits/);
+  });
+});
+
+test('applyVaultDesign lays a design over the pack without changing it', () => {
+  const design = { branches: { A: [5, 6], B: [7, 8] }, permutationKey: '1234' };
+  const designed = puzzles.applyVaultDesign(PACK, design);
+
+  assert.deepStrictEqual(designed.branches.A.digits, [5, 6]);
+  assert.strictEqual(designed.meta.permutationKey, '1234');
+  assert.deepStrictEqual(PACK.branches.A.digits, [1, 2]);
+  assert.strictEqual(PACK.meta.permutationKey, '4321');
+  assert.strictEqual(puzzles.applyVaultDesign(PACK, null), PACK);
+});
+
+test('applyVaultDesign ignores a design that no longer fits the pack', () => {
+  const design = { branches: { A: [5, 6, 7], B: [8] }, permutationKey: '1234' };
+  assert.throws(() => puzzles.checkVaultDesign(design, PACK), /Branch A needs 2 digits/);
+  assert.strictEqual(puzzles.applyVaultDesign(PACK, design), PACK);
+  assert.throws(() => puzzles.checkVaultDesign({ branches: { A: [5, 6], B: [7, 8] }, permutationKey: '123' }, PACK),
+    /doesn't fit 4 digits/);
+});
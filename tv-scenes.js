@@ -0,0 +1,86 @@
+/**
+ * File Purpose: TV scene playlist for Midnight Vault
+ * High-Level Summary: The TV cycles through a playlist of scenes (video, branch map, solves feed, leaderboard,
+ *                     countdown, announcement slides), each shown for its own number of seconds; the host edits
+ *                     the playlist from the admin and it is stored per event
+ * Dependencies: none
+ * Semantic Tags: tv, scenes, playlist, display
+ * Version: 1.0.0
+ */
+
+// Scene types and what they show:
+//   video        - the NYE YouTube video, full screen
+//   branches     - every branch with its step progress and earned digits
+//   solves       - the latest solves, newest first
+//   leaderboard  - top players by points and, once teams exist, team standings
+//   countdown    - time left to midnight, then the celebration
+//   announcement - a custom slide: `title` and `text`
+const SCENE_TYPES = ['video', 'branches', 'solves', 'leaderboard', 'countdown', 'announcement'];
+
+const MIN_SECONDS = 5;
+const MAX_SECONDS = 3600;
+const MAX_SCENES = 20;
+
+const DEFAULT_PLAYLIST = [
+  { type: 'video', seconds: 60 },
+  { type: 'branches', seconds: 15 },
+  { type: 'solves', seconds: 15 },
+  { type: 'leaderboard', seconds: 15 },
+  { type: 'countdown', seconds: 10 }
+];
+
+/**
+ * Check and tidy a playlist
+ * @param {object[]} scenes - [{ type, seconds, title?, text? }]
+ * @returns {object[]} - Scenes with whole seconds and announcement text trimmed
+ * @throws {Error} - If the playlist is empty or too long, a type is unknown, a duration is out of
+ *                   range, or an announcement has no text
+ */
+function normalizePlaylist(scenes) {
+  if (!Array.isArray(scenes) || scenes.length === 0) {
+    throw new Error('The playlist needs at least one scene');
+  }
+  if (scenes.length > MAX_SCENES) {
+    throw new Error(`The playlist can have at most ${MAX_SCENES} scenes`);
+  }
+  return scenes.map((scene, i) => {
+    if (!SCENE_TYPES.includes(scene.type)) {
+      throw new Error(`Scene ${i + 1}: type must be one of: ${SCENE_TYPES.join(', ')}`);
+    }
+    const seconds = Math.round(Number(scene.seconds));
+    if (!(seconds >= MIN_SECONDS && seconds <= MAX_SECONDS)) {
+      throw new Error(`Scene ${i + 1}: show it for ${MIN_SECONDS}-${MAX_SECONDS} seconds`);
+    }
+    if (scene.type !== 'announcement') return { type: scene.type, seconds };
+
+    const title = String(scene.title || '').trim().slice(0, 80);
+    const text = String(scene.text || '').trim().slice(0, 300);
+    if (!title && !text) {
+      throw new Error(`Scene ${i + 1}: an announcement needs a title or text`);
+    }
+    return { type: scene.type, seconds, title, text };
+  });
+}
+
+/**
+ * Read a stored playlist, falling back to the default if it's missing or no longer valid
+ * @param {string|null} json - As saved by the admin
+ * @returns {object[]}
+ */
+function parsePlaylist(json) {
+  if (!json) return DEFAULT_PLAYLIST;
+  try {
+    return normalizePlaylist(JSON.parse(json));
+  } catch (err) {
+    return DEFAULT_PLAYLIST;
+  }
+}
+
+module.exports = {
+  SCENE_TYPES,
+  MIN_SECONDS,
+  MAX_SECONDS,
+  DEFAULT_PLAYLIST,
+  normalizePlaylist,
+  parsePlaylist
+};